@@ -1,4 +1,4 @@
-import { ZlibCore } from 'zlibcore';
+import { compressFile } from 'zlibcore/node';
 import fs from 'node:fs';
 
 // 1. Ingest Data
@@ -8,13 +8,10 @@ if (!fs.existsSync(inputPath)) {
     fs.writeFileSync(inputPath, 'This is a sample text file for zlibcore compression testing. Repeat. Repeat.');
 }
 
-const inputBuffer = fs.readFileSync(inputPath);
-
-// 2. Execute Compression (RFC 1950/1951)
-console.log(`Original Size: ${inputBuffer.length} bytes`);
-const compressedBuffer = ZlibCore.compress(inputBuffer);
-console.log(`Compressed Size: ${compressedBuffer.length} bytes`);
+// 2. Execute Compression (RFC 1950/1951), streamed chunk by chunk
+console.log(`Original Size: ${fs.statSync(inputPath).size} bytes`);
+await compressFile(inputPath, 'output.zlib', { level: 6 });
+console.log(`Compressed Size: ${fs.statSync('output.zlib').size} bytes`);
 
 // 3. Artifact Generation
-fs.writeFileSync('output.zlib', compressedBuffer);
 console.log('Artifact "output.zlib" generated.');
@@ -27,7 +27,7 @@ console.log(`Compressed Config Size: ${compressed.length} bytes`);
 fs.writeFileSync('config.zlib', compressed);
 
 // 4. Verify (Decompress)
-const restored = ZlibCore.decompress(fs.readFileSync('config.zlib'));
+const { data: restored } = ZlibCore.decompress(fs.readFileSync('config.zlib'));
 const decoder = new TextDecoder();
 const restoredJson = decoder.decode(restored);
 const restoredParams = JSON.parse(restoredJson);
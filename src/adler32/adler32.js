@@ -5,16 +5,23 @@
 
 /**
  * The Adler-32 divisor constant (largest prime smaller than 65536).
- * @constant {bigint}
+ * @constant {number}
  * @see {@link https://datatracker.ietf.org/doc/html/rfc1950#section-2.2|RFC 1950 Section 2.2}
  */
-const BASE = 65521n;
+const BASE = 65521;
+
+/**
+ * Largest number of bytes that can be summed before s2 must be reduced
+ * modulo BASE to stay below 2^32 (as zlib: 255n(n+1)/2 + (n+1)(BASE-1) < 2^32).
+ * @constant {number}
+ */
+const NMAX = 5552;
 
 /**
  * Calculates the Adler-32 checksum for a buffer.
  * Complies with RFC 1950, Section 2.2.
  * @param {Uint8Array} buffer - The input data stream.
- * @param {number} [initial] - The initial checksum value (s1=1, s2=0).
+ * @param {number} [initial] - The checksum of the preceding data (1 to start: s1=1, s2=0).
  * @returns {number} The 32-bit unsigned Adler checksum as a standard number.
  * @throws {TypeError} If input is not a Uint8Array.
  * @see {@link https://datatracker.ietf.org/doc/html/rfc1950#section-9|RFC 1950 Appendix}
@@ -24,25 +31,50 @@ export default function adler32(buffer, initial = 1) {
     throw new TypeError('Input data must be a Uint8Array.');
   }
 
-  // Initial values: s1 is correct initial, s2 is zero
-  // RFC 1950: "s1 is initialized to 1, s2 to 0"
-  // The 'initial' parameter usually contains the previous checksum (s2 << 16 | s1)
-  let s1 = BigInt(initial) & 0xffffn;
-  let s2 = (BigInt(initial) >> 16n) & 0xffffn;
-
-  // Process data in blocks to avoid modulo overhead if performance is needed,
-  // but for strict simplicity/correctness first, we process byte by byte or small chunks.
-  // Optimization: "The modulo operation can be delayed for at most 5552 steps"
-  // However, BigInt handles large numbers so we aren't strictly limited by 32-bit overflow
-  // immediately, but we should stick to the algorithm.
+  // "The Adler-32 value is stored ... as (s2*65536) + s1"
+  let s1 = initial & 0xFFFF;
+  let s2 = (initial >>> 16) & 0xFFFF;
 
+  // The modulo is deferred to the end of each NMAX run of bytes.
   const len = buffer.length;
-  for (let i = 0; i < len; i++) {
-    s1 = (s1 + BigInt(buffer[i])) % BASE;
-    s2 = (s2 + s1) % BASE;
+  let pos = 0;
+  while (pos < len) {
+    const end = Math.min(pos + NMAX, len);
+    for (; pos < end; pos++) {
+      s1 += buffer[pos];
+      s2 += s1;
+    }
+    s1 %= BASE;
+    s2 %= BASE;
+  }
+
+  return ((s2 << 16) | s1) >>> 0;
+}
+
+/**
+ * Combines the checksums of two consecutive pieces of data into the checksum
+ * of their concatenation, without the data itself (zlib's adler32_combine).
+ * @param {number} adler1 - Adler-32 of the first piece.
+ * @param {number} adler2 - Adler-32 of the second piece (computed from the initial value 1).
+ * @param {number} len2 - Length of the second piece in bytes.
+ * @returns {number} The 32-bit unsigned Adler-32 of both pieces.
+ * @throws {RangeError} If `len2` is not a non-negative safe integer.
+ */
+export function adler32Combine(adler1, adler2, len2) {
+  if (!Number.isSafeInteger(len2) || len2 < 0) {
+    throw new RangeError(`Invalid length: ${len2}`);
   }
 
-  // "The Adler-32 value is stored in high-byte first (network) order as (s2*65536) + s1"
-  // But we return it as a number here.
-  return Number((s2 << 16n) | s1);
-}
\ No newline at end of file
+  // s1 = s1a + s1b - 1, s2 = s2a + s2b + len2 * s1a - len2 (mod BASE);
+  // BASE terms keep the intermediate sums non-negative.
+  const rem = len2 % BASE;
+  let sum1 = adler1 & 0xFFFF;
+  let sum2 = (rem * sum1) % BASE;
+  sum1 += (adler2 & 0xFFFF) + BASE - 1;
+  sum2 += ((adler1 >>> 16) & 0xFFFF) + ((adler2 >>> 16) & 0xFFFF) + BASE - rem;
+  if (sum1 >= BASE) sum1 -= BASE;
+  if (sum1 >= BASE) sum1 -= BASE;
+  if (sum2 >= BASE * 2) sum2 -= BASE * 2;
+  if (sum2 >= BASE) sum2 -= BASE;
+  return ((sum2 << 16) | sum1) >>> 0;
+}
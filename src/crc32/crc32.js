@@ -0,0 +1,155 @@
+/**
+ * @module crc32
+ * @description Implementation of the CRC-32 checksum (IEEE 802.3, as used by RFC 1952).
+ */
+
+/**
+ * Reversed CRC-32 polynomial (0x04C11DB7 bit-reflected).
+ * @constant {number}
+ * @see {@link https://datatracker.ietf.org/doc/html/rfc1952#section-8|RFC 1952 Section 8}
+ */
+const POLYNOMIAL = 0xEDB88320;
+
+/**
+ * Builds the slicing-by-8 lookup tables of a CRC, 256 entries each. Table 0
+ * is the classic byte-wise table; table k gives the CRC of a byte followed by
+ * k zero bytes, so eight bytes can be folded in with eight independent lookups.
+ * @param {number} polynomial - The bit-reflected CRC polynomial.
+ * @returns {Int32Array} The eight tables, one after another.
+ */
+export function crcTables(polynomial) {
+  const tables = new Int32Array(8 * 256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (polynomial ^ (c >>> 1)) : (c >>> 1);
+    }
+    tables[n] = c;
+  }
+  for (let n = 0; n < 256; n++) {
+    let c = tables[n];
+    for (let k = 1; k < 8; k++) {
+      c = tables[c & 0xFF] ^ (c >>> 8);
+      tables[k * 256 + n] = c;
+    }
+  }
+  return tables;
+}
+
+/**
+ * Continues a reflected 32-bit CRC over a buffer.
+ * @param {Int32Array} tables - Tables from {@link crcTables}.
+ * @param {Uint8Array} buffer - The input data stream.
+ * @param {number} initial - The CRC of the preceding data (0 to start).
+ * @returns {number} The 32-bit unsigned CRC.
+ * @throws {TypeError} If input is not a Uint8Array.
+ */
+export function crcUpdate(tables, buffer, initial) {
+  if (!(buffer instanceof Uint8Array)) {
+    throw new TypeError('Input data must be a Uint8Array.');
+  }
+
+  // The register is kept inverted between calls (pre/post conditioning).
+  let crc = ~initial;
+  const len = buffer.length;
+  let i = 0;
+
+  // Eight bytes at a time: the first four are XORed into the register.
+  for (const last = len - 8; i <= last; i += 8) {
+    const low = crc ^ (buffer[i] | (buffer[i + 1] << 8) | (buffer[i + 2] << 16)
+      | (buffer[i + 3] << 24));
+    crc = tables[0x700 + (low & 0xFF)] ^ tables[0x600 + ((low >>> 8) & 0xFF)]
+      ^ tables[0x500 + ((low >>> 16) & 0xFF)] ^ tables[0x400 + (low >>> 24)]
+      ^ tables[0x300 + buffer[i + 4]] ^ tables[0x200 + buffer[i + 5]]
+      ^ tables[0x100 + buffer[i + 6]] ^ tables[buffer[i + 7]];
+  }
+  for (; i < len; i++) {
+    crc = tables[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+/**
+ * CRC-32 lookup tables.
+ * @type {Int32Array}
+ */
+const TABLES = crcTables(POLYNOMIAL);
+
+/**
+ * Calculates the CRC-32 of a buffer.
+ * @param {Uint8Array} buffer - The input data stream.
+ * @param {number} [initial] - The CRC of the preceding data (0 to start).
+ * @returns {number} The 32-bit unsigned CRC.
+ * @throws {TypeError} If input is not a Uint8Array.
+ */
+export default function crc32(buffer, initial = 0) {
+  return crcUpdate(TABLES, buffer, initial);
+}
+
+/**
+ * Multiplies two polynomials modulo the CRC polynomial (bit-reflected, so
+ * x^0 is the top bit).
+ * @param {number} a - First factor (non-zero).
+ * @param {number} b - Second factor.
+ * @returns {number} The product modulo the polynomial.
+ */
+function multModP(a, b) {
+  let m = 0x80000000;
+  let p = 0;
+  let x = b;
+  for (;;) {
+    if (a & m) {
+      p ^= x;
+      if ((a & (m - 1)) === 0) break;
+    }
+    m >>>= 1;
+    x = (x & 1) ? (x >>> 1) ^ POLYNOMIAL : x >>> 1;
+  }
+  return p;
+}
+
+/**
+ * x^(2^n) modulo the CRC polynomial, for n = 0..31.
+ * @type {Int32Array}
+ */
+const X2N_TABLE = new Int32Array(32);
+X2N_TABLE[0] = 0x40000000; // x^1
+for (let n = 1; n < 32; n++) {
+  X2N_TABLE[n] = multModP(X2N_TABLE[n - 1], X2N_TABLE[n - 1]);
+}
+
+/**
+ * x^(n * 2^k) modulo the CRC polynomial.
+ * @param {number} n - Exponent factor (a non-negative safe integer).
+ * @param {number} k - Power of two of the other factor.
+ * @returns {number} The power modulo the polynomial.
+ */
+function x2nModP(n, k) {
+  let p = 0x80000000; // x^0
+  let rest = n;
+  let bit = k;
+  while (rest > 0) {
+    if (rest % 2 === 1) p = multModP(X2N_TABLE[bit & 31], p);
+    rest = Math.floor(rest / 2);
+    bit++;
+  }
+  return p;
+}
+
+/**
+ * Combines the CRCs of two consecutive pieces of data into the CRC of their
+ * concatenation, without the data itself (zlib's crc32_combine): the first
+ * CRC is shifted past `len2` zero bytes in O(log len2) and the second XORed in.
+ * @param {number} crc1 - CRC-32 of the first piece.
+ * @param {number} crc2 - CRC-32 of the second piece (computed from the initial value 0).
+ * @param {number} len2 - Length of the second piece in bytes.
+ * @returns {number} The 32-bit unsigned CRC-32 of both pieces.
+ * @throws {RangeError} If `len2` is not a non-negative safe integer.
+ */
+export function crc32Combine(crc1, crc2, len2) {
+  if (!Number.isSafeInteger(len2) || len2 < 0) {
+    throw new RangeError(`Invalid length: ${len2}`);
+  }
+  // x^(8 * len2): eight bits per byte
+  return (multModP(x2nModP(len2, 3), crc1) ^ crc2) >>> 0;
+}
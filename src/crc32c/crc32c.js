@@ -0,0 +1,30 @@
+/**
+ * @module crc32c
+ * @description Implementation of the CRC-32C checksum (Castagnoli, as used by iSCSI and SCTP).
+ */
+
+import { crcTables, crcUpdate } from '../crc32/crc32.js';
+
+/**
+ * Reversed Castagnoli polynomial (0x1EDC6F41 bit-reflected).
+ * @constant {number}
+ * @see {@link https://datatracker.ietf.org/doc/html/rfc3720#appendix-B.4|RFC 3720 Appendix B.4}
+ */
+const POLYNOMIAL = 0x82F63B78;
+
+/**
+ * CRC-32C lookup tables (slicing-by-8).
+ * @type {Int32Array}
+ */
+const TABLES = crcTables(POLYNOMIAL);
+
+/**
+ * Calculates the CRC-32C of a buffer.
+ * @param {Uint8Array} buffer - The input data stream.
+ * @param {number} [initial] - The CRC of the preceding data (0 to start).
+ * @returns {number} The 32-bit unsigned CRC.
+ * @throws {TypeError} If input is not a Uint8Array.
+ */
+export default function crc32c(buffer, initial = 0) {
+  return crcUpdate(TABLES, buffer, initial);
+}
@@ -115,6 +115,16 @@ export default class DeflateBitStream {
     this.buffer[this.byteOffset++] = byte;
   }
 
+  /**
+   * Copies raw bytes into the buffer. The stream must be byte aligned.
+   * @param {Uint8Array} bytes The bytes to append.
+   */
+  writeBytes(bytes) {
+    this.ensureCapacity(bytes.length);
+    this.buffer.set(bytes, this.byteOffset);
+    this.byteOffset += bytes.length;
+  }
+
   /**
    * Aligns the bit stream to the next byte boundary.
    */
@@ -126,6 +136,17 @@ export default class DeflateBitStream {
     }
   }
 
+  /**
+   * Returns the complete bytes written so far and empties the buffer.
+   * Bits of an unfinished byte stay pending in the accumulator.
+   * @returns {Uint8Array} A copy of the completed bytes.
+   */
+  take() {
+    const out = this.buffer.slice(0, this.byteOffset);
+    this.byteOffset = 0;
+    return out;
+  }
+
   /**
    * Returns the packed data as a Uint8Array.
    * @returns {Uint8Array} The buffer.
@@ -4,110 +4,623 @@
  */
 
 import DeflateBitStream from './bitstream.js';
-import { LZ77, TokenType } from './lz77.js';
+import {
+  LZ77, BlockState, DEFAULT_LEVEL, MAX_STORED, Strategy,
+} from './lz77.js';
 import { HuffmanTree, BL_ORDER } from './huffman.js';
+import {
+  LENGTH_BASE, EXTRA_LBITS, DIST_BASE, EXTRA_DBITS, LENGTH_CODE, DIST_CODE,
+} from './tables.js';
+import { concatBytes } from '../utils/bytes.js';
 
-// RFC 1951 Tables
-const LENGTH_BASE = [
-  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
-  163, 195, 227, 258,
-];
-const EXTRA_LBITS = [
-  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
-];
-const DIST_BASE = [
-  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
-  3073, 4097, 6145, 8193, 12289, 16385, 24577,
-];
-const EXTRA_DBITS = [
-  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
-];
+/**
+ * Extra bits following the code length repeat symbols 16, 17 and 18.
+ */
+const RLE_EXTRA_BITS = { 16: 2, 17: 3, 18: 7 };
+
+/**
+ * Fixed Huffman codes (RFC 1951 Section 3.2.6), shared by all fixed blocks.
+ */
+const FIXED_LIT_TREE = new HuffmanTree(288);
+FIXED_LIT_TREE.lens.fill(8, 0, 144);
+FIXED_LIT_TREE.lens.fill(9, 144, 256);
+FIXED_LIT_TREE.lens.fill(7, 256, 280);
+FIXED_LIT_TREE.lens.fill(8, 280, 288);
+FIXED_LIT_TREE.genCodes();
+const FIXED_DIST_TREE = new HuffmanTree(30);
+FIXED_DIST_TREE.lens.fill(5);
+FIXED_DIST_TREE.genCodes();
+
+/**
+ * Cost model iterations of the optimal parser when not given.
+ */
+const DEFAULT_ITERATIONS = 5;
+
+/**
+ * Candidate split points evaluated per round when searching a block split.
+ */
+const SPLIT_SAMPLES = 9;
+
+/**
+ * Upper bound on the number of blocks one symbol buffer is split into.
+ */
+const MAX_SPLIT_BLOCKS = 15;
+
+/**
+ * Run-length encoded code lengths of a dynamic block, ready to be written.
+ * @typedef {object} DynamicHeader
+ * @property {number} hlit Number of literal/length codes - 257.
+ * @property {number} hdist Number of distance codes - 1.
+ * @property {number} hclen Number of code length codes - 4.
+ * @property {number[]} codeLens Code length alphabet symbols (0-18).
+ * @property {number[]} codeExtra Extra bits value per symbol (-1 for none).
+ * @property {HuffmanTree} codeLenTree Codes for the code length alphabet.
+ * @property {number} bits Header size in bits (BFINAL/BTYPE excluded).
+ */
+
+/**
+ * The cheapest encoding of a run of buffered symbols.
+ * @typedef {object} BlockPlan
+ * @property {number} from First symbol.
+ * @property {number} to Symbol after the last.
+ * @property {number} start Window position of the symbols' input.
+ * @property {number} bytes Length of the symbols' input.
+ * @property {number} type BTYPE: 0 (stored), 1 (fixed) or 2 (dynamic).
+ * @property {number} bits Size in bits, BFINAL/BTYPE included.
+ * @property {HuffmanTree} litLenTree Literal/length codes (symbol counts for stored).
+ * @property {HuffmanTree} distTree Distance codes.
+ * @property {DynamicHeader|null} header Dynamic header, when `type` is 2.
+ */
+
+/**
+ * Validates and normalizes a compression level.
+ * @param {number} [level] Requested level (0-9, or -1 for the default).
+ * @returns {number} The effective level (0-9).
+ * @throws {RangeError} If the level is out of range.
+ */
+export function normalizeLevel(level = DEFAULT_LEVEL) {
+  if (!Number.isInteger(level) || level < -1 || level > 9) {
+    throw new RangeError(`Invalid compression level: ${level}`);
+  }
+  return level === -1 ? DEFAULT_LEVEL : level;
+}
+
+/**
+ * Validates a compression strategy.
+ * @param {number} [strategy] Requested strategy (a Strategy value).
+ * @returns {number} The strategy.
+ * @throws {RangeError} If it is not a Strategy value.
+ */
+export function normalizeStrategy(strategy = Strategy.DEFAULT) {
+  if (!Object.values(Strategy).includes(strategy)) {
+    throw new RangeError(`Invalid compression strategy: ${strategy}`);
+  }
+  return strategy;
+}
+
+/**
+ * Validates the number of optimal parsing iterations.
+ * @param {number} [iterations] Requested count (default 5).
+ * @returns {number} The count.
+ * @throws {RangeError} If it is not a positive integer.
+ */
+export function normalizeIterations(iterations = DEFAULT_ITERATIONS) {
+  if (!Number.isInteger(iterations) || iterations < 1) {
+    throw new RangeError(`Invalid optimal parsing iterations: ${iterations}`);
+  }
+  return iterations;
+}
+
+/**
+ * Flush modes accepted by `push()` (same values as zlib's Z_NO_FLUSH ... Z_BLOCK).
+ * @enum {number}
+ */
+export const FlushMode = {
+  /** Buffer input; blocks are emitted only when the symbol buffer fills. */
+  NO_FLUSH: 0,
+  /** End the current block and byte-align with an empty stored block (00 00 FF FF). */
+  SYNC_FLUSH: 2,
+  /** As SYNC_FLUSH, and drop the match history so a decoder can start here. */
+  FULL_FLUSH: 3,
+  /** Terminate the stream; the last block carries BFINAL. */
+  FINISH: 4,
+  /** End the current block without byte alignment. */
+  BLOCK: 5,
+};
+
+/**
+ * Validates a flush mode.
+ * @param {number} flush The requested mode.
+ * @returns {number} The mode.
+ * @throws {RangeError} If it is not a FlushMode value.
+ */
+export function normalizeFlush(flush = FlushMode.NO_FLUSH) {
+  if (!Object.values(FlushMode).includes(flush)) {
+    throw new RangeError(`Invalid flush mode: ${flush}`);
+  }
+  return flush;
+}
+
+/**
+ * Reverses bits of integer `val` for `len` bits.
+ * @param {number} val The value.
+ * @param {number} len The bit length.
+ * @returns {number} Reversed value.
+ */
+function reverseBits(val, len) {
+  let res = 0;
+  for (let i = 0; i < len; i++) {
+    if ((val >>> i) & 1) {
+      res |= 1 << (len - 1 - i);
+    }
+  }
+  return res;
+}
+
+/**
+ * Computes the size of counted symbols (EOB included) under the given code lengths.
+ * @param {HuffmanTree} litLen Literal/length symbol counts.
+ * @param {HuffmanTree} dist Distance symbol counts.
+ * @param {Uint8Array} litLenLens Literal/length code lengths.
+ * @param {Uint8Array} distLens Distance code lengths.
+ * @returns {number} Size in bits, extra bits included.
+ */
+function symbolBits(litLen, dist, litLenLens, distLens) {
+  let bits = 0;
+  for (let sym = 0; sym < 286; sym++) {
+    const freq = litLen.freqs[sym];
+    if (freq > 0) {
+      bits += freq * litLenLens[sym];
+      if (sym > 256) bits += freq * EXTRA_LBITS[sym - 257];
+    }
+  }
+  for (let code = 0; code < 30; code++) {
+    bits += dist.freqs[code] * (distLens[code] + EXTRA_DBITS[code]);
+  }
+  return bits;
+}
+
+/**
+ * Run-length encodes the code lengths of both trees (RFC 1951 Section 3.2.7)
+ * and builds the code length tree.
+ * @param {HuffmanTree} litLen Literal/Length Tree.
+ * @param {HuffmanTree} dist Distance Tree.
+ * @returns {DynamicHeader} The encoded header.
+ */
+function encodeTrees(litLen, dist) {
+  // Only send lengths up to the last used code.
+  // RFC: HLIT = # of literal/length codes - 257 (257..286)
+  // HDIST = # of dist codes - 1 (1..32)
+  let numLit = 286;
+  while (numLit > 257 && litLen.lens[numLit - 1] === 0) numLit--;
+  let numDist = 30;
+  while (numDist > 1 && dist.lens[numDist - 1] === 0) numDist--;
+  const hlit = numLit - 257;
+  const hdist = numDist - 1;
+
+  // Run-Length Encode the code lengths of both trees (runs may cross from one into the other)
+  const combinedLens = [...litLen.lens.subarray(0, numLit), ...dist.lens.subarray(0, numDist)];
+
+  // RLE logic for code lengths
+  const codeLens = []; // Symbols for the code length alphabet (0-18)
+  const codeExtra = [];
+
+  let i = 0;
+  while (i < combinedLens.length) {
+    const val = combinedLens[i];
+    let runLen = 1;
+    while (i + runLen < combinedLens.length && combinedLens[i + runLen] === val) {
+      runLen++;
+    }
+
+    if (val === 0) {
+      while (runLen >= 11) {
+        const n = Math.min(runLen, 138);
+        codeLens.push(18);
+        codeExtra.push(n - 11);
+        runLen -= n;
+        i += n;
+      }
+      if (runLen >= 3) {
+        const n = Math.min(runLen, 10);
+        codeLens.push(17);
+        codeExtra.push(n - 3);
+        runLen -= n;
+        i += n;
+      }
+    } else {
+      // Non-zero
+      codeLens.push(val);
+      codeExtra.push(-1);
+      i++;
+      runLen--;
+
+      // Check repeats
+      while (runLen >= 3) {
+        const n = Math.min(runLen, 6);
+        codeLens.push(16);
+        codeExtra.push(n - 3);
+        runLen -= n;
+        i += n;
+      }
+    }
+
+    // Handle remaining singles
+    while (runLen > 0) {
+      codeLens.push(val);
+      codeExtra.push(-1);
+      i++;
+      runLen--;
+    }
+  }
+
+  // Build Code Length Tree
+  const codeLenTree = new HuffmanTree(19);
+  codeLens.forEach((sym) => codeLenTree.count(sym));
+  codeLenTree.build(7); // Lengths are sent in 3-bit fields
+
+  let hclen = 15;
+  for (let k = 18; k >= 0; k--) {
+    if (codeLenTree.lens[BL_ORDER[k]] > 0) {
+      hclen = k - 3;
+      // RFC: HCLEN = #code len codes - 4.
+      // We send (HCLEN + 4) items.
+      // HCLEN is 4 bits (0-15). So we can send 4 to 19 codes.
+      // If k=3 (4th item). HCLEN = 0.
+      break;
+    }
+  }
+  if (hclen < 0) hclen = 0;
+
+  // Size: HLIT, HDIST, HCLEN, the code length code lengths, then the RLE symbols.
+  let bits = 5 + 5 + 4 + 3 * (hclen + 4);
+  codeLens.forEach((sym) => {
+    bits += codeLenTree.lens[sym] + (RLE_EXTRA_BITS[sym] || 0);
+  });
+
+  return {
+    hlit, hdist, hclen, codeLens, codeExtra, codeLenTree, bits,
+  };
+}
 
 /**
  * Deflate compressor.
+ *
+ * Streaming: `push()` feeds input and returns the compressed bytes completed
+ * so far; `finish()` terminates the stream with a final block. The LZ77 window
+ * persists across calls, so matches may reference earlier chunks.
+ * A flush mode other than NO_FLUSH makes everything pushed so far decodable
+ * from the returned bytes.
  */
 export default class Deflate {
   /**
-   *
+   * @param {object} [options] Compression options.
+   * @param {number} [options.level] Compression level: 0 (stored) to 9 (best), default 6.
+   * @param {Strategy} [options.strategy] Matching / block strategy (default DEFAULT).
+   * @param {Uint8Array} [options.dictionary] Preset dictionary: matches may reference it
+   *   as if it preceded the input. The decompressor must be given the same bytes.
+   * @param {boolean} [options.optimal] Use optimal parsing and block splitting (much
+   *   slower, a few percent smaller). Ignored at level 0 and by the HUFFMAN_ONLY and
+   *   RLE strategies; the level still sets how far the hash chains are searched.
+   * @param {number} [options.iterations] Cost model iterations of optimal parsing (default 5).
    */
-  constructor() {
+  constructor(options = {}) {
+    this.level = normalizeLevel(options.level);
+    this.strategy = normalizeStrategy(options.strategy);
+    const iterations = normalizeIterations(options.iterations);
+    this.optimal = Boolean(options.optimal) && this.level > 0
+      && this.strategy !== Strategy.HUFFMAN_ONLY && this.strategy !== Strategy.RLE;
     this.stream = new DeflateBitStream();
-    this.lz77 = new LZ77();
+    this.lz77 = new LZ77(this.level, this.strategy, this.optimal ? iterations : 0);
+    if (options.dictionary) this.lz77.setDictionary(options.dictionary);
+    this.finished = false;
+  }
+
+  /**
+   * Feeds a chunk of input.
+   * @param {Uint8Array} chunk Input data.
+   * @param {FlushMode} [flush] Flush mode applied after the chunk (default NO_FLUSH).
+   * @returns {Uint8Array} Compressed bytes ready so far (possibly empty).
+   * @throws {Error} If the stream was already finished.
+   */
+  push(chunk, flush = FlushMode.NO_FLUSH) {
+    if (this.finished) throw new Error('Deflate stream already finished');
+    if (normalizeFlush(flush) === FlushMode.FINISH) {
+      return concatBytes([this.push(chunk), this.finish()]);
+    }
+
+    let offset = 0;
+    while (offset < chunk.length) {
+      offset += this.lz77.fill(chunk, offset);
+      this.run(false);
+    }
+    if (flush !== FlushMode.NO_FLUSH) this.flushBlock(flush);
+    return this.stream.take();
   }
 
   /**
-   * Compresses input data.
+   * Compresses any buffered input and writes the final block (BFINAL=1).
+   * @returns {Uint8Array} The remaining compressed bytes.
+   * @throws {Error} If the stream was already finished.
+   */
+  finish() {
+    if (this.finished) throw new Error('Deflate stream already finished');
+
+    this.run(true);
+    this.writeBlock(true);
+    this.stream.align();
+    this.finished = true;
+    return this.stream.take();
+  }
+
+  /**
+   * Compresses a complete input in one call.
    * @param {Uint8Array} input The input data.
-   * @param {boolean} [lastBlock] Whether this is the last block.
-   * @returns {Uint8Array} Compressed block.
+   * @returns {Uint8Array} The complete raw DEFLATE stream.
    */
-  compress(input, lastBlock = true) {
-    // 1. LZ77
-    const tokens = this.lz77.process(input);
+  compress(input) {
+    return concatBytes([this.push(input), this.finish()]);
+  }
 
-    // 2. Build Trees
+  /**
+   * Ends the current block for a SYNC_FLUSH, FULL_FLUSH or BLOCK flush.
+   * BLOCK leaves up to 7 bits pending; the sync flushes append an empty
+   * stored block so the output ends on a byte boundary.
+   * @param {FlushMode} flush The flush mode.
+   */
+  flushBlock(flush) {
+    this.run(true);
+    if (this.lz77.blockBytes > 0) this.writeBlock(false);
+    if (flush === FlushMode.BLOCK) return;
+
+    this.writeStored(new Uint8Array(0), false);
+    if (flush === FlushMode.FULL_FLUSH) this.lz77.clearHistory();
+  }
+
+  /**
+   * Runs the matcher over the buffered input, emitting a block whenever
+   * the symbol buffer fills up.
+   * @param {boolean} flush Whether to consume the whole lookahead.
+   */
+  run(flush) {
+    while (this.lz77.deflate(flush) === BlockState.BLOCK_DONE) {
+      this.writeBlock(false);
+    }
+  }
+
+  /**
+   * Emits the current block and starts a new one.
+   * @param {boolean} lastBlock Whether this block carries BFINAL.
+   */
+  writeBlock(lastBlock) {
+    const { lz77 } = this;
+    const start = lz77.blockStart;
+    if (this.level === 0) {
+      this.writeStored(lz77.window.subarray(start, start + lz77.blockBytes), lastBlock);
+    } else {
+      this.writeCompressed(lastBlock);
+    }
+    lz77.blockStart += lz77.blockBytes;
+    lz77.resetBlock();
+  }
+
+  /**
+   * Writes the buffered symbols as compressed blocks. In optimal mode the
+   * symbols are first split where separate blocks come out smaller.
+   * @param {boolean} lastBlock Whether the final block carries BFINAL.
+   */
+  writeCompressed(lastBlock) {
+    const { symCount, blockStart, blockBytes } = this.lz77;
+    if (!this.optimal) {
+      this.writePlanned(this.planBlock(0, symCount, blockStart, blockBytes), lastBlock);
+      return;
+    }
+
+    const offsets = this.symbolOffsets();
+    const splits = this.findSplits(offsets);
+    for (let i = 0; i + 1 < splits.length; i++) {
+      const from = splits[i];
+      const to = splits[i + 1];
+      const start = blockStart + offsets[from];
+      const plan = this.planBlock(from, to, start, offsets[to] - offsets[from]);
+      this.writePlanned(plan, lastBlock && to === symCount);
+    }
+  }
+
+  /**
+   * Input offset of every buffered symbol relative to the block start.
+   * @returns {Int32Array} `symCount + 1` offsets; the last one is the block length.
+   */
+  symbolOffsets() {
+    const { symValue, symDist, symCount } = this.lz77;
+    const offsets = new Int32Array(symCount + 1);
+    for (let i = 0; i < symCount; i++) {
+      offsets[i + 1] = offsets[i] + (symDist[i] === 0 ? 1 : symValue[i]);
+    }
+    return offsets;
+  }
+
+  /**
+   * Splits the buffered symbols into blocks (Zopfli's recursive splitting):
+   * a range is cut at the point minimizing the size of both halves, if that
+   * beats keeping it whole, and the halves are split again.
+   * @param {Int32Array} offsets Symbol input offsets (see `symbolOffsets()`).
+   * @returns {number[]} Sorted split points, starting with 0 and ending with `symCount`.
+   */
+  findSplits(offsets) {
+    const { blockStart } = this.lz77;
+    const cost = (from, to) => {
+      const start = blockStart + offsets[from];
+      return this.planBlock(from, to, start, offsets[to] - offsets[from]).bits;
+    };
+
+    const splits = [0, this.lz77.symCount];
+    const pending = [[0, this.lz77.symCount]];
+    while (pending.length > 0 && splits.length <= MAX_SPLIT_BLOCKS) {
+      const [from, to] = pending.pop();
+      if (to - from >= 2) {
+        const split = Deflate.findMinimum((i) => cost(from, i) + cost(i, to), from + 1, to);
+        if (split.value < cost(from, to)) {
+          splits.push(split.index);
+          pending.push([from, split.index], [split.index, to]);
+        }
+      }
+    }
+    return splits.sort((a, b) => a - b);
+  }
+
+  /**
+   * Finds an index in `[start, end)` where `f` is (close to) minimal by
+   * repeatedly sampling the range and narrowing it around the best sample.
+   * @param {function(number): number} f The function to minimize.
+   * @param {number} start First index.
+   * @param {number} end Index after the last.
+   * @returns {{index: number, value: number}} The best index found and its value.
+   */
+  static findMinimum(f, start, end) {
+    let best = { index: start, value: Infinity };
+    let lo = start;
+    let hi = end;
+    while (hi - lo > SPLIT_SAMPLES) {
+      const step = (hi - lo) / (SPLIT_SAMPLES + 1);
+      let bestSample = 0;
+      for (let s = 1; s <= SPLIT_SAMPLES; s++) {
+        const index = lo + Math.floor(step * s);
+        const value = f(index);
+        if (value < best.value) {
+          best = { index, value };
+          bestSample = s;
+        }
+      }
+      if (bestSample === 0) break; // No sample improved: keep the best so far
+      const nextLo = lo + Math.floor(step * (bestSample - 1));
+      hi = lo + Math.floor(step * (bestSample + 1));
+      lo = nextLo;
+    }
+    for (let index = lo; index < hi; index++) {
+      const value = f(index);
+      if (value < best.value) best = { index, value };
+    }
+    return best;
+  }
+
+  /**
+   * Picks the cheapest encoding for buffered symbols `[from, to)`: stored,
+   * fixed or dynamic (the FIXED strategy never uses dynamic). Stored is only
+   * considered while the input is still in the window.
+   * @param {number} from First symbol.
+   * @param {number} to Symbol after the last.
+   * @param {number} start Window position of the symbols' input.
+   * @param {number} bytes Length of the symbols' input.
+   * @returns {BlockPlan} The chosen encoding.
+   */
+  planBlock(from, to, start, bytes) {
+    const { symValue, symDist } = this.lz77;
+
+    // 1. Build Trees
     const litLenTree = new HuffmanTree(286);
     const distTree = new HuffmanTree(30);
 
     // Count freqs
-    tokens.forEach((t) => {
-      if (t.type === TokenType.LITERAL) {
-        litLenTree.count(t.value);
+    for (let i = from; i < to; i++) {
+      if (symDist[i] === 0) {
+        litLenTree.count(symValue[i]);
       } else {
-        // Match
-        const len = t.value;
-        const dist = t.extra;
-
-        // Find Length Code
-        let lenCode = 0;
-        for (let i = 0; i < LENGTH_BASE.length; i++) {
-          if (len >= LENGTH_BASE[i]) lenCode = i;
-          else break;
-        }
-        litLenTree.count(lenCode + 257);
-
-        // Find Dist Code
-        let distCode = 0;
-        for (let i = 0; i < DIST_BASE.length; i++) {
-          if (dist >= DIST_BASE[i]) distCode = i;
-          else break;
-        }
-        distTree.count(distCode);
+        litLenTree.count(LENGTH_CODE[symValue[i]] + 257);
+        distTree.count(DIST_CODE[symDist[i]]);
       }
-    });
+    }
 
     litLenTree.count(256); // EOB symbol
 
-    litLenTree.build();
-    distTree.build();
+    // 2. Exact sizes in bits
+    let header = null;
+    let dynamicBits = Infinity;
+    if (this.strategy !== Strategy.FIXED) {
+      litLenTree.build(15);
+      distTree.build(15);
+      header = encodeTrees(litLenTree, distTree);
+      dynamicBits = 3 + header.bits
+        + symbolBits(litLenTree, distTree, litLenTree.lens, distTree.lens);
+    }
+    const fixedBits = 3
+      + symbolBits(litLenTree, distTree, FIXED_LIT_TREE.lens, FIXED_DIST_TREE.lens);
+    const storedBits = start >= 0 ? this.storedBits(bytes) : Infinity;
+
+    // 3. Choose the cheapest encoding
+    const plan = {
+      from, to, start, bytes, type: 2, bits: dynamicBits, litLenTree, distTree, header,
+    };
+    if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+      plan.type = 0;
+      plan.bits = storedBits;
+    } else if (fixedBits <= dynamicBits) {
+      plan.type = 1;
+      plan.bits = fixedBits;
+    }
+    return plan;
+  }
 
-    // 3. Write Block Header
-    // BFINAL
-    this.stream.writeBits(lastBlock ? 1 : 0, 1);
-    // BTYPE: 10 (Dynamic Huffman)
-    this.stream.writeBits(2, 2);
+  /**
+   * Writes a block as planned.
+   * @param {BlockPlan} plan The symbols and encoding, from `planBlock()`.
+   * @param {boolean} lastBlock Whether this block carries BFINAL.
+   */
+  writePlanned(plan, lastBlock) {
+    const {
+      from, to, start, bytes,
+    } = plan;
+    if (plan.type === 0) {
+      this.writeStored(this.lz77.window.subarray(start, start + bytes), lastBlock);
+    } else if (plan.type === 1) {
+      // BFINAL, BTYPE: 01 (Fixed Huffman)
+      this.stream.writeBits(lastBlock ? 1 : 0, 1);
+      this.stream.writeBits(1, 2);
+      this.writeSymbols(FIXED_LIT_TREE, FIXED_DIST_TREE, from, to);
+    } else {
+      // BFINAL, BTYPE: 10 (Dynamic Huffman)
+      this.stream.writeBits(lastBlock ? 1 : 0, 1);
+      this.stream.writeBits(2, 2);
+      this.writeDynamicHeader(plan.header);
+      this.writeSymbols(plan.litLenTree, plan.distTree, from, to);
+    }
+  }
 
-    // 4. Encode Code Lengths
-    this.writeDynamicHeader(litLenTree, distTree);
+  /**
+   * Computes the size of `length` bytes written as stored blocks from the current bit position.
+   * @param {number} length Number of input bytes.
+   * @returns {number} Size in bits, headers and alignment included.
+   */
+  storedBits(length) {
+    const blocks = Math.max(1, Math.ceil(length / MAX_STORED));
+    // First header is aligned from the current position, later ones from a byte boundary.
+    const firstPad = (8 - ((this.stream.bitCount + 3) & 7)) & 7;
+    return blocks * (3 + 32) + firstPad + (blocks - 1) * 5 + length * 8;
+  }
 
-    // 5. Write Data
-    for (const t of tokens) {
-      if (t.type === TokenType.LITERAL) {
-        const c = litLenTree.getCode(t.value);
-        this.stream.writeBits(this.reverseBits(c.code, c.len), c.len);
+  /**
+   * Writes buffered symbols `[from, to)` and the EOB code with the given trees.
+   * @param {HuffmanTree} litLenTree Literal/length codes.
+   * @param {HuffmanTree} distTree Distance codes.
+   * @param {number} from First symbol.
+   * @param {number} to Symbol after the last.
+   */
+  writeSymbols(litLenTree, distTree, from, to) {
+    const { symValue, symDist } = this.lz77;
+
+    for (let i = from; i < to; i++) {
+      const dist = symDist[i];
+      if (dist === 0) {
+        const c = litLenTree.getCode(symValue[i]);
+        this.stream.writeBits(reverseBits(c.code, c.len), c.len);
       } else {
         // Match
-        const len = t.value;
-        const dist = t.extra;
+        const len = symValue[i];
 
         // Length
-        let lenCode = 0;
-        for (let i = 0; i < LENGTH_BASE.length; i++) {
-          if (len >= LENGTH_BASE[i]) lenCode = i;
-          else break;
-        }
+        const lenCode = LENGTH_CODE[len];
         const c = litLenTree.getCode(lenCode + 257);
-        this.stream.writeBits(this.reverseBits(c.code, c.len), c.len);
+        this.stream.writeBits(reverseBits(c.code, c.len), c.len);
 
         // Extra bits for Length
         const extraLen = EXTRA_LBITS[lenCode];
@@ -116,13 +629,9 @@ export default class Deflate {
         }
 
         // Distance
-        let distCode = 0;
-        for (let i = 0; i < DIST_BASE.length; i++) {
-          if (dist >= DIST_BASE[i]) distCode = i;
-          else break;
-        }
+        const distCode = DIST_CODE[dist];
         const d = distTree.getCode(distCode);
-        this.stream.writeBits(this.reverseBits(d.code, d.len), d.len);
+        this.stream.writeBits(reverseBits(d.code, d.len), d.len);
 
         // Extra bits for Distance (Not reversed, LSB first per RFC)
         const extraDist = EXTRA_DBITS[distCode];
@@ -132,107 +641,47 @@ export default class Deflate {
       }
     }
 
-    // 6. Write EOB
+    // Write EOB
     const eob = litLenTree.getCode(256);
-    this.stream.writeBits(this.reverseBits(eob.code, eob.len), eob.len);
+    this.stream.writeBits(reverseBits(eob.code, eob.len), eob.len);
+  }
 
-    this.stream.align();
-    return this.stream.getView();
+  /**
+   * Writes `input` as stored (BTYPE=00) blocks.
+   * RFC 1951 Section 3.2.4: a block holds at most 65535 bytes, so longer
+   * input is split; only the last piece carries BFINAL.
+   * @param {Uint8Array} input The raw bytes.
+   * @param {boolean} lastBlock Whether the final piece carries BFINAL.
+   */
+  writeStored(input, lastBlock) {
+    let offset = 0;
+    do {
+      const len = Math.min(input.length - offset, MAX_STORED);
+      const final = lastBlock && offset + len === input.length;
+
+      this.stream.writeBits(final ? 1 : 0, 1);
+      this.stream.writeBits(0, 2);
+      this.stream.align();
+      this.stream.writeBits(len, 16);
+      this.stream.writeBits(len ^ 0xFFFF, 16);
+      this.stream.writeBytes(input.subarray(offset, offset + len));
+      offset += len;
+    } while (offset < input.length);
   }
 
   /**
    * Writes the Dynamic Huffman Header.
-   * @param {HuffmanTree} litLen Literal/Length Tree.
-   * @param {HuffmanTree} dist Distance Tree.
+   * @param {DynamicHeader} header The header produced by `encodeTrees`.
    */
-  writeDynamicHeader(litLen, dist) {
-    // Run-Length Encode the code lengths of both trees
-    const combinedLens = [...litLen.lens, ...dist.lens];
-    // RFC: HLIT = # of literal/length codes - 257 (257..286)
-    // HDIST = # of dist codes - 1 (1..32)
-    const HLIT = 286 - 257;
-    const HDIST = 30 - 1;
-
-    // RLE logic for code lengths
-    const codeLens = []; // Symbols for the code length alphabet (0-18)
-    const codeExtra = [];
-
-    let i = 0;
-    while (i < combinedLens.length) {
-      const val = combinedLens[i];
-      let runLen = 1;
-      while (i + runLen < combinedLens.length && combinedLens[i + runLen] === val) {
-        runLen++;
-      }
+  writeDynamicHeader(header) {
+    const { codeLens, codeExtra, codeLenTree } = header;
 
-      if (val === 0) {
-        while (runLen >= 11) {
-          const n = Math.min(runLen, 138);
-          codeLens.push(18);
-          codeExtra.push(n - 11);
-          runLen -= n;
-          i += n;
-        }
-        if (runLen >= 3) {
-          const n = Math.min(runLen, 10);
-          codeLens.push(17);
-          codeExtra.push(n - 3);
-          runLen -= n;
-          i += n;
-        }
-      } else {
-        // Non-zero
-        codeLens.push(val);
-        codeExtra.push(-1);
-        i++;
-        runLen--;
-
-        // Check repeats
-        while (runLen >= 3) {
-          const n = Math.min(runLen, 6);
-          codeLens.push(16);
-          codeExtra.push(n - 3);
-          runLen -= n;
-          i += n;
-        }
-      }
-
-      // Handle remaining singles
-      while (runLen > 0) {
-        codeLens.push(val);
-        codeExtra.push(-1);
-        i++;
-        runLen--;
-      }
-    }
-
-    // Build Code Length Tree
-    const codeLenTree = new HuffmanTree(19);
-    codeLens.forEach((sym) => codeLenTree.count(sym));
-    codeLenTree.build();
-
-    // Header
-    this.stream.writeBits(HLIT, 5);
-    this.stream.writeBits(HDIST, 5);
-
-    let HCLEN = 15;
-    for (let k = 18; k >= 0; k--) {
-      if (codeLenTree.lens[BL_ORDER[k]] > 0) {
-        HCLEN = k - 3;
-        // If k < 4 (first 4 codes), HCLEN < 1. 0 is min.
-        // RFC: HCLEN = #code len codes - 4.
-        // We send (HCLEN + 4) items.
-        // HCLEN is 4 bits (0-15). So we can send 4 to 19 codes.
-        // If k=3 (4th item). HCLEN = 0.
-        break;
-      }
-    }
-    if (HCLEN < 0) HCLEN = 0;
-
-    this.stream.writeBits(HCLEN, 4);
+    this.stream.writeBits(header.hlit, 5);
+    this.stream.writeBits(header.hdist, 5);
+    this.stream.writeBits(header.hclen, 4);
 
     // Write code lengths for code length alphabet
-    for (let j = 0; j < HCLEN + 4; j++) {
+    for (let j = 0; j < header.hclen + 4; j++) {
       this.stream.writeBits(codeLenTree.lens[BL_ORDER[j]], 3);
     }
 
@@ -240,31 +689,11 @@ export default class Deflate {
     for (let k = 0; k < codeLens.length; k++) {
       const sym = codeLens[k];
       const c = codeLenTree.getCode(sym);
-      // Code Length Alphabet Codes are ALSO Huffman Codes. Need Reversal?
-      // RFC 1951: "The code length codes ... are Huffman codes."
-      // Yes, all Huffman codes are packed MSB first.
-      this.stream.writeBits(this.reverseBits(c.code, c.len), c.len);
+      // Code length codes are Huffman codes too: packed MSB first.
+      this.stream.writeBits(reverseBits(c.code, c.len), c.len);
 
       // Extra bits
-      if (sym === 16) this.stream.writeBits(codeExtra[k], 2);
-      else if (sym === 17) this.stream.writeBits(codeExtra[k], 3);
-      else if (sym === 18) this.stream.writeBits(codeExtra[k], 7);
-    }
-  }
-
-  /**
-   * Reverses bits of integer `val` for `len` bits.
-   * @param {number} val The value.
-   * @param {number} len The bit length.
-   * @returns {number} Reversed value.
-   */
-  reverseBits(val, len) {
-    let res = 0;
-    for (let i = 0; i < len; i++) {
-      if ((val >>> i) & 1) {
-        res |= 1 << (len - 1 - i);
-      }
+      if (sym >= 16) this.stream.writeBits(codeExtra[k], RLE_EXTRA_BITS[sym]);
     }
-    return res; // Ensure integer range? JS number is 53 bit. OK.
   }
 }
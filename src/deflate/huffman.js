@@ -8,8 +8,6 @@
  */
 const MAX_BITS = 15;
 
-// Constants removed as they were unused: LITERALS, DISTANCES, BL_CODES
-
 /**
  * Order of code length codes (RFC 1951).
  */
@@ -20,7 +18,6 @@ export const BL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2,
  */
 class Node {
   /**
-   *
    * @param {number} freq Frequency of the symbol.
    * @param {number} id Symbol ID or -1 for internal node.
    */
@@ -64,18 +61,22 @@ export class HuffmanTree {
   }
 
   /**
-   * Builds the tree and generates code lengths.
-   * Uses a standard heap-based construction or package-merge.
-   * RFC 1951 limit: 15 bits.
-   * Package-Merge is better for strictly limited length, but expensive.
-   * Simple heap method can exceed 15 bits, requiring adjustment.
+   * Builds the tree and generates code lengths, limited to `maxBits`.
    *
-   * Current implementation: Standard Heap + Length Limiting heuristic (folding).
-   * Or simpler: "In-place" package merge for robust limiting.
+   * Lengths come from a standard Huffman tree (two-queue construction over
+   * the leaves sorted by frequency). If the tree is deeper than `maxBits`,
+   * over-long codes are clamped and the length counts are rebalanced until
+   * the Kraft sum is exactly 1 again (the same fix-up as miniz), which keeps
+   * the code complete and decodable.
    *
-   * Let's use a simpler Priority Queue based construction, then limit depths.
+   * Like zlib, at least two codes are always produced (unused symbols get a
+   * dummy code), since a single code would be an incomplete set.
+   * @param {number} [maxBits] Maximum code length: 15 for literal/length and
+   *   distance codes, 7 for the code length alphabet.
    */
-  build() {
+  build(maxBits = MAX_BITS) {
+    this.lens.fill(0);
+
     // 1. Create leaf nodes for non-zero frequencies
     const leaves = [];
     for (let i = 0; i < this.freqs.length; i++) {
@@ -84,61 +85,80 @@ export class HuffmanTree {
       }
     }
 
-    // Edge case: 0 or 1 symbol
-    if (leaves.length === 0) return;
-    if (leaves.length === 1) {
-      this.lens[leaves[0].id] = 1;
-      this.codes[leaves[0].id] = 0;
-      return;
+    // Edge case: fewer than 2 symbols. Add dummies so the code is complete.
+    for (let sym = 0; leaves.length < 2; sym++) {
+      if (this.freqs[sym] === 0) leaves.push(new Node(0, sym));
     }
 
-    // 2. Build Tree
-    // Sort by freq
-    // Use a simple array as PQ (performance is acceptable for 286 items)
-    const nodes = [...leaves];
+    leaves.sort((a, b) => a.freq - b.freq || a.id - b.id);
 
-    while (nodes.length > 1) {
-      nodes.sort((a, b) => a.freq - b.freq); // Slow sort inside loop? Optimized later if needed.
+    // 2. Build Tree (two queues: internal nodes are created in non-decreasing order)
+    const merged = [];
+    let leafPos = 0;
+    let mergedPos = 0;
+    const takeSmallest = () => {
+      if (mergedPos >= merged.length
+        || (leafPos < leaves.length && leaves[leafPos].freq <= merged[mergedPos].freq)) {
+        return leaves[leafPos++];
+      }
+      return merged[mergedPos++];
+    };
 
-      const left = nodes.shift();
-      const right = nodes.shift();
+    for (let n = leaves.length - 1; n > 0; n--) {
+      const left = takeSmallest();
+      const right = takeSmallest();
 
       const parent = new Node(left.freq + right.freq, -1);
       parent.left = left;
       parent.right = right;
-      nodes.push(parent);
+      merged.push(parent);
     }
 
-    const root = nodes[0];
-
-    // 3. Generate lengths (DFS)
-    // Check max depth. If > 15, we must strict limit.
-    // For this checkpoint, we implement the depth calculation.
-    // Handling overflow > 15 bits is "Phase 3 Optimization" or specific strict logic?
-    // RFC 1951: "The code lengths are... limited to 15".
-    // A simple tree might exceed 15.
-    // We will assume for now it fits or we implement the correct "shallowing" logic later?
-    // RFC 1951: "The code lengths are... limited to 15".
+    const root = merged[merged.length - 1];
 
-    // Let's implement Kraft's inequality adjustment if needed, but for now:
-    // Just traverse.
-
-    const assignLen = (node, depth) => {
-      if (!node) return;
+    // 3. Count code lengths (DFS), clamping depths beyond maxBits
+    const blCount = new Uint16Array(maxBits + 1);
+    let overflow = false;
+    const countLen = (node, depth) => {
       if (node.id !== -1) {
         // Leaf
-        let d = depth;
-        if (d > MAX_BITS) d = MAX_BITS; // Limit depth to 15 (RFC 1951)
-        this.lens[node.id] = d;
+        if (depth > maxBits) overflow = true;
+        blCount[Math.min(depth, maxBits)]++;
       } else {
-        assignLen(node.left, depth + 1);
-        assignLen(node.right, depth + 1);
+        countLen(node.left, depth + 1);
+        countLen(node.right, depth + 1);
       }
     };
 
-    assignLen(root, 0);
+    countLen(root, 0);
+
+    // 4. Restore the Kraft equality: sum(blCount[len] << (maxBits - len)) == 1 << maxBits
+    if (overflow) {
+      let total = 0;
+      for (let len = 1; len <= maxBits; len++) total += blCount[len] << (maxBits - len);
+      while (total > (1 << maxBits)) {
+        // Drop a longest code and split a shorter leaf into two: the sum shrinks by one unit.
+        blCount[maxBits]--;
+        for (let len = maxBits - 1; len > 0; len--) {
+          if (blCount[len] > 0) {
+            blCount[len]--;
+            blCount[len + 1] += 2;
+            break;
+          }
+        }
+        total--;
+      }
+    }
+
+    // 5. Assign lengths: the rarest symbols get the longest codes
+    let next = 0;
+    for (let len = maxBits; len > 0; len--) {
+      for (let k = 0; k < blCount[len]; k++) {
+        this.lens[leaves[next++].id] = len;
+      }
+    }
 
-    // 4. Generate Codes (Canonical)
+    // 6. Generate Codes (Canonical)
     this.genCodes();
   }
 
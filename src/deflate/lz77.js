@@ -3,6 +3,8 @@
  * @description Implementation of LZ77 sliding window compression (RFC 1951).
  */
 
+import OptimalParser from './optimal.js';
+
 /**
  * Constants strictly from RFC 1951 / ZLIB specification.
  */
@@ -12,55 +14,160 @@ const MIN_MATCH = 3;
 const MAX_MATCH = 258;
 const HASH_SIZE = 32768; // Power of 2 for fast masking
 const HASH_MASK = HASH_SIZE - 1;
-const MAX_CHAIN = 128; // Speed vs Compression trade-off.
-// "Lazy matching" is an optimization, but we start with greedy for valid baseline.
+const TOO_FAR = 4096; // Matches of length 3 further away than this are not worth it.
+
+/**
+ * Minimum lookahead kept in the window while more input may follow,
+ * so that a maximal match plus the next hash can always be evaluated.
+ */
+const MIN_LOOKAHEAD = MAX_MATCH + MIN_MATCH + 1;
+
+/**
+ * Largest match distance used. Positions further back may already have been
+ * overwritten in the `prev` chain table (same limit as zlib's MAX_DIST).
+ */
+const MAX_DIST = WINDOW_SIZE - MIN_LOOKAHEAD;
+
+/**
+ * Maximum payload of a stored block (LEN is a 16-bit field).
+ */
+export const MAX_STORED = 65535;
+
+/**
+ * Number of symbols buffered before a block is emitted (zlib's lit_bufsize at memLevel 8).
+ */
+export const SYM_BUFFER_SIZE = 16384;
+
+/**
+ * Per-level matcher parameters (same tuning as zlib's `configuration_table`).
+ * - `good`: once the previous match reaches this length, search a quarter of the chain.
+ * - `lazy`: do not try lazy matching past this length (greedy levels: max insert length).
+ * - `nice`: stop searching once a match of this length is found.
+ * - `chain`: maximum number of hash chain entries to inspect.
+ * - `lazyMatch`: whether the level uses lazy evaluation (zlib's `deflate_slow`).
+ * Level 0 never reaches the matcher; its input is emitted as stored blocks.
+ * @type {Array<{good: number, lazy: number, nice: number, chain: number, lazyMatch: boolean}>}
+ */
+export const LEVEL_CONFIG = [
+  {
+    good: 0, lazy: 0, nice: 0, chain: 0, lazyMatch: false,
+  },
+  {
+    good: 4, lazy: 4, nice: 8, chain: 4, lazyMatch: false,
+  },
+  {
+    good: 4, lazy: 5, nice: 16, chain: 8, lazyMatch: false,
+  },
+  {
+    good: 4, lazy: 6, nice: 32, chain: 32, lazyMatch: false,
+  },
+  {
+    good: 4, lazy: 4, nice: 16, chain: 16, lazyMatch: true,
+  },
+  {
+    good: 8, lazy: 16, nice: 32, chain: 32, lazyMatch: true,
+  },
+  {
+    good: 8, lazy: 16, nice: 128, chain: 128, lazyMatch: true,
+  },
+  {
+    good: 8, lazy: 32, nice: 128, chain: 256, lazyMatch: true,
+  },
+  {
+    good: 32, lazy: 128, nice: 258, chain: 1024, lazyMatch: true,
+  },
+  {
+    good: 32, lazy: 258, nice: 258, chain: 4096, lazyMatch: true,
+  },
+];
+
+/**
+ * Block splitting (same heuristic as libdeflate): symbols are sorted into a
+ * few coarse observation types, and every OBSERVATIONS_PER_CHECK symbols the
+ * recent distribution is compared with the block's so far. A large change
+ * ends the block so the next one gets its own Huffman codes.
+ */
+const LITERAL_OBSERVATION_TYPES = 8;
+const OBSERVATION_TYPES = LITERAL_OBSERVATION_TYPES + 2;
+const OBSERVATIONS_PER_CHECK = 512;
+const MIN_BLOCK_LENGTH = 5000; // Shorter blocks do not repay a new dynamic header
+
+/**
+ * Default compression level (zlib's Z_DEFAULT_COMPRESSION maps to 6).
+ */
+export const DEFAULT_LEVEL = 6;
 
 /**
- * Token types.
+ * Compression strategies (same values as zlib's Z_DEFAULT_STRATEGY ... Z_FIXED).
  * @enum {number}
  */
-export const TokenType = {
-  LITERAL: 0,
-  MATCH: 1,
+export const Strategy = {
+  /** Normal LZ77 matching for the level. */
+  DEFAULT: 0,
+  /** Lazy levels (4-9) drop matches of 5 bytes or less; suits filtered image/numeric data. */
+  FILTERED: 1,
+  /** No string matching: literals only, entropy coded. */
+  HUFFMAN_ONLY: 2,
+  /** Only runs of the previous byte (distance 1) are matched. */
+  RLE: 3,
+  /** Normal matching, but blocks use the fixed Huffman codes (or stored). */
+  FIXED: 4,
 };
 
 /**
- * Represents a compression token (Literal or Match).
+ * Outcome of a matcher run.
+ * @enum {number}
  */
-export class Token {
-  /**
-   *
-   * @param {number} type Match or Literal.
-   * @param {number} value Byte value or Length.
-   * @param {number} [extra] Distance (if Match).
-   */
-  constructor(type, value, extra) {
-    this.type = type;
-    this.value = value; // Literal byte OR Match Length
-    this.extra = extra; // Undefined for literal OR Match Distance
-  }
-}
+export const BlockState = {
+  /** All usable input was consumed; feed more (or flush). */
+  NEED_MORE: 0,
+  /** The current block is complete (buffer full or statistics changed); emit it. */
+  BLOCK_DONE: 1,
+};
 
 /**
  * LZ77 Compressor.
  * Manages the sliding window and hash chains to find matches.
+ *
+ * The window keeps 32K of history plus up to 32K of lookahead. When the
+ * current position reaches the upper half, the window slides down by 32K
+ * (standard zlib approach), so history carries across calls to `fill()`.
+ *
+ * Matches and literals are recorded in a bounded symbol buffer:
+ * `symValue[i]` is the literal byte or match length, `symDist[i]` is the
+ * match distance (0 for literals).
  */
 export class LZ77 {
   /**
-   *
+   * @param {number} [level] Compression level (0-9) selecting the matcher parameters.
+   * @param {Strategy} [strategy] Matching strategy.
+   * @param {number} [optimalIterations] Use the optimal parser with this many
+   *   cost model iterations (0, the default, uses the level's greedy/lazy matcher).
    */
-  constructor() {
+  constructor(level = DEFAULT_LEVEL, strategy = Strategy.DEFAULT, optimalIterations = 0) {
     /**
-     * The window buffer stores the previous 32KB of data + current lookahead.
-     * We use a "double buffer" or rolling buffer strategy.
-     * For simplicity, we can use a single large Uint8Array and shift data,
-     * or use a circular buffer logic.
-     *
-     * To start, we'll use a linear buffer that we shift when full (standard zlib approach).
-     * Size = 2 * WINDOW_SIZE (keep 32K history + 32K lookahead space).
+     * Compression level.
+     * @type {number}
      */
-    this.bufferSize = WINDOW_SIZE * 2;
-    this.window = new Uint8Array(this.bufferSize);
+    this.level = level;
+
+    /**
+     * Matching strategy.
+     * @type {Strategy}
+     */
+    this.strategy = strategy;
+
+    /**
+     * Matcher parameters for the selected level.
+     * @type {{good: number, lazy: number, nice: number, chain: number, lazyMatch: boolean}}
+     */
+    this.config = LEVEL_CONFIG[level];
+
+    /**
+     * [32K history][32K lookahead].
+     * @type {Uint8Array}
+     */
+    this.window = new Uint8Array(WINDOW_SIZE * 2);
 
     /**
      * Head of the hash chain.
@@ -74,8 +181,36 @@ export class LZ77 {
      */
     this.prev = new Int32Array(WINDOW_SIZE).fill(-1);
 
-    this.readPos = 0; // Current position in window we are compressing
-    this.writePos = 0; // Current fill position in window
+    this.strStart = 0; // Current position in window we are compressing
+    this.lookahead = 0; // Number of valid bytes ahead of strStart
+    this.blockStart = 0; // Window position where the current block begins
+    this.blockBytes = 0; // Number of input bytes covered by the current block
+    this.historyStart = 0; // First window position matches may reference (after FULL_FLUSH)
+
+    this.symValue = new Uint16Array(SYM_BUFFER_SIZE);
+    this.symDist = new Uint16Array(SYM_BUFFER_SIZE);
+    this.symCount = 0;
+
+    // Block split statistics: observations since the last check, and before it.
+    this.newObservations = new Uint32Array(OBSERVATION_TYPES);
+    this.observations = new Uint32Array(OBSERVATION_TYPES);
+    this.numNewObservations = 0;
+    this.numObservations = 0;
+
+    // Optimal parsing: match candidates of the segment and the tokens not yet tallied.
+    this.optimal = optimalIterations > 0 ? new OptimalParser(optimalIterations) : null;
+    this.candOffsets = null;
+    this.candLens = null;
+    this.candDists = null;
+    this.optLens = null;
+    this.optDists = null;
+    this.optCount = 0;
+    this.optNext = 0;
+
+    // Lazy evaluation state (carried across calls).
+    this.matchAvailable = false;
+    this.matchLength = MIN_MATCH - 1;
+    this.matchDist = 0;
   }
 
   /**
@@ -84,228 +219,563 @@ export class LZ77 {
   reset() {
     this.head.fill(-1);
     this.prev.fill(-1);
-    this.readPos = 0;
-    this.writePos = 0;
+    this.strStart = 0;
+    this.lookahead = 0;
+    this.blockStart = 0;
+    this.historyStart = 0;
+    this.matchAvailable = false;
+    this.matchLength = MIN_MATCH - 1;
+    this.matchDist = 0;
+    this.optCount = 0;
+    this.optNext = 0;
+    this.resetBlock();
+  }
+
+  /**
+   * Preloads the window with a preset dictionary (RFC 1950 FDICT).
+   * Must be called before any input is filled. Only the last 32K of the
+   * dictionary can be referenced, so earlier bytes are ignored.
+   * @param {Uint8Array} dictionary The dictionary bytes.
+   */
+  setDictionary(dictionary) {
+    const dict = dictionary.subarray(Math.max(0, dictionary.length - WINDOW_SIZE));
+    this.window.set(dict, 0);
+    for (let pos = 0; pos + MIN_MATCH <= dict.length; pos++) {
+      this.insertString(pos);
+    }
+    this.strStart = dict.length;
+    this.blockStart = dict.length;
+  }
+
+  /**
+   * Forgets all match history (FULL_FLUSH): later matches cannot reference
+   * anything before the current position.
+   */
+  clearHistory() {
+    this.head.fill(-1);
+    this.prev.fill(-1);
+    this.historyStart = this.strStart;
+    this.matchAvailable = false;
+    this.matchLength = MIN_MATCH - 1;
+  }
+
+  /**
+   * Clears the symbol buffer after a block has been emitted.
+   */
+  resetBlock() {
+    this.symCount = 0;
+    this.blockBytes = 0;
+    this.newObservations.fill(0);
+    this.observations.fill(0);
+    this.numNewObservations = 0;
+    this.numObservations = 0;
+  }
+
+  /**
+   * Copies as much of `input` (from `offset`) into the window as fits,
+   * sliding the window first if the current position is in the upper half.
+   * @param {Uint8Array} input Source data.
+   * @param {number} offset Offset of the first byte to copy.
+   * @returns {number} Number of bytes copied.
+   */
+  fill(input, offset) {
+    if (this.strStart >= WINDOW_SIZE + MAX_DIST) this.slide();
+
+    const end = this.strStart + this.lookahead;
+    const n = Math.min(this.window.length - end, input.length - offset);
+    this.window.set(input.subarray(offset, offset + n), end);
+    this.lookahead += n;
+    return n;
+  }
+
+  /**
+   * Slides the window down by 32K and rebases the hash chains.
+   * Chain entries that fall out of the window become empty (-1).
+   */
+  slide() {
+    this.window.copyWithin(0, WINDOW_SIZE, WINDOW_SIZE * 2);
+    this.strStart -= WINDOW_SIZE;
+    this.blockStart -= WINDOW_SIZE;
+    this.historyStart = Math.max(0, this.historyStart - WINDOW_SIZE);
+
+    const { head, prev } = this;
+    for (let i = 0; i < HASH_SIZE; i++) {
+      head[i] = head[i] >= WINDOW_SIZE ? head[i] - WINDOW_SIZE : -1;
+    }
+    for (let i = 0; i < WINDOW_SIZE; i++) {
+      prev[i] = prev[i] >= WINDOW_SIZE ? prev[i] - WINDOW_SIZE : -1;
+    }
+  }
+
+  /**
+   * Records a literal in the symbol buffer.
+   * @param {number} byte The literal byte.
+   * @returns {boolean} True if the block should end (buffer full or statistics changed).
+   */
+  tallyLiteral(byte) {
+    this.symValue[this.symCount] = byte;
+    this.symDist[this.symCount] = 0;
+    this.symCount++;
+    this.blockBytes++;
+    // Type: the top 2 bits of the byte and its lowest bit, as in libdeflate.
+    this.newObservations[((byte >> 5) & 0x6) | (byte & 1)]++;
+    this.numNewObservations++;
+    return this.symCount === SYM_BUFFER_SIZE || (!this.optimal && this.shouldEndBlock());
   }
 
   /**
-   * Processes input data and returns an array of Tokens.
-   * Note: This implementation assumes we fit in memory for the tokens logic for now.
-   * In a streaming implementation, this would yield or callback.
-   * @param {Uint8Array} input Input data to compress.
-   * @returns {Token[]} The sequence of LZ77 tokens (literals/matches).
+   * Records a match in the symbol buffer.
+   * @param {number} len Match length (3-258).
+   * @param {number} dist Match distance (1-32768).
+   * @returns {boolean} True if the block should end (buffer full or statistics changed).
    */
-  compress(input) {
-    const tokens = [];
-    const inputOffset = 0;
-
-    while (inputOffset < input.length) {
-      // 1. Fill window if needed
-      this.fillWindow(input, inputOffset);
-
-      // Calculate how many bytes we just added to consider
-      // The fillWindow moves input bytes to this.window.
-      // inputOffset is advanced by fillWindow logic or we handle it here?
-      // Better: Copy chunk into window, then process loop.
-
-      // Let's refine the loop:
-      // We copy *all* input to window (shifting if necessary).
-      // Then we loop `readPos` until we exhaust valid data.
+  tallyMatch(len, dist) {
+    this.symValue[this.symCount] = len;
+    this.symDist[this.symCount] = dist;
+    this.symCount++;
+    this.blockBytes += len;
+    this.newObservations[LITERAL_OBSERVATION_TYPES + (len >= 9 ? 1 : 0)]++;
+    this.numNewObservations++;
+    return this.symCount === SYM_BUFFER_SIZE || (!this.optimal && this.shouldEndBlock());
+  }
+
+  /**
+   * Decides whether the symbol statistics changed enough to end the block here.
+   * Checked every OBSERVATIONS_PER_CHECK symbols once the block is long enough;
+   * otherwise the recent observations are merged into the block's.
+   * @returns {boolean} True if the block should end.
+   */
+  shouldEndBlock() {
+    if (this.numNewObservations < OBSERVATIONS_PER_CHECK) return false;
+    if (this.blockBytes < MIN_BLOCK_LENGTH) return false;
+
+    const numNew = this.numNewObservations;
+    const num = this.numObservations;
+    if (num > 0) {
+      let totalDelta = 0;
+      for (let i = 0; i < OBSERVATION_TYPES; i++) {
+        const expected = this.observations[i] * numNew;
+        const actual = this.newObservations[i] * num;
+        totalDelta += Math.abs(actual - expected);
+      }
+
+      const numItems = num + numNew;
+      let cutoff = Math.floor((numNew * 200) / 512) * num;
+      // Short blocks need stronger evidence.
+      if (this.blockBytes < 10000 && numItems < 8192) {
+        cutoff += Math.floor((cutoff * (8192 - numItems)) / 8192);
+      }
+      // Long blocks are split more readily.
+      if (totalDelta + Math.floor(this.blockBytes / 4096) * num >= cutoff) return true;
+    }
+
+    for (let i = 0; i < OBSERVATION_TYPES; i++) {
+      this.observations[i] += this.newObservations[i];
+      this.newObservations[i] = 0;
     }
-    // Rewriting main loop logic for clarity below.
-    return tokens; // Placeholder for JSDoc structure, real logic in `process`
+    this.numObservations += numNew;
+    this.numNewObservations = 0;
+    return false;
   }
 
   /**
-   * Computes a rolling hash for the next 3 bytes.
-   * @param {number} idx - Index in this.window
-   * @returns {number} Hash value
+   * Inserts the 3-byte string starting at `pos` into the hash chains.
+   * @param {number} pos Window position of the string.
+   * @returns {number} The previous head of the chain (-1 if empty).
    */
-  getHash(idx) {
-    // Simple hash: ((p[0] << 5) ^ p[1] ^ p[2]) & HASH_MASK (Standard zlibish)
-    // Or simpler: just ensure it distinguishes 3-byte sequences.
-    // Zlib uses: h = (h<<5) ^ c.
-
-    let h = 0;
-    const b0 = this.window[idx];
-    const b1 = this.window[idx + 1];
-    const b2 = this.window[idx + 2];
-
-    h = ((b0 << 5) ^ b1) ^ (b2 << 5); // Just a mix
-    // Actually standard zlib:
-    // UPDATE_HASH(h, c): h = (((h)<<H_SHIFT) ^ (c)) & H_MASK
-
-    // Let's stick to a robust simple one:
-    // (b0 << 10 ^ b1 << 5 ^ b2) & HASH_MASK ?
-    // No, standard hash is fine enough.
-    h = ((b0 << 10) ^ (b1 << 5) ^ b2) & HASH_MASK;
-    return h;
+  insertString(pos) {
+    const w = this.window;
+    const h = ((w[pos] << 10) ^ (w[pos + 1] << 5) ^ w[pos + 2]) & HASH_MASK;
+    const matchHead = this.head[h];
+    this.prev[pos & WINDOW_MASK] = matchHead;
+    this.head[h] = pos;
+    return matchHead;
   }
 
   /**
-   * Simple non-streaming single-pass implementation for Phase 2.
-   * We assume `input` fits reasonably.
-   * @param {Uint8Array} input Input data.
-   * @returns {Token[]} List of tokens.
+   * Walks the hash chain from `curMatch` looking for the longest match at `strStart`.
+   * Honours the level's `chain`, `good` and `nice` limits.
+   * @param {number} curMatch Head of the hash chain for `strStart`.
+   * @param {number} prevLength Length of the previous match (lazy evaluation), or 0.
+   * @returns {{len: number, dist: number}} Best match found (`len` 0 if none beats `prevLength`).
    */
-  process(input) {
-    // For specific requirement "Vanillla JS", "Strict RFC".
-    // We will do a direct implementation on the input buffer if small,
-    // but correct LZ77 needs a dictionary (window) of 32K.
-
-    // Re-initialize window for this block (simplification for "stateless" block usage)
-    // Or maintain state if we want to support chunks.
-    // Let's assume input is the whole stream for this basic implementation step
-    // or properly maintain state.
-    // Use `this.window` as the history.
-
-    const tokens = [];
-    // const n = input.length;
-    // const i = 0; // Input index
-
-    // We need to manage the window.
-    // If input is > 32K, we slide.
-    // To simplify: Copy input to a new buffer that we can use?
-    // Or just treat `input` as the source if we don't support stream history yet.
-    // We'll insert into `this.window` and slide.
-
-    // Logic:
-    // Copy chunk to `window[writePos]`.
-    // If `writePos` exceeds limit, slide data down and adjust hash table.
-
-    // Let's just implement the "Find Match" and "Emit Token" logic on a buffer.
-
-    // Combined Buffer: [Dictionary (32K)][Lookahead (Input)]
-    // Actually, we can just use the input as the lookahead and keep 32K dictionary separately
-    // or use one big buffer.
-
-    // To follow standard approach:
-    // 1. Update hash chain at current position.
-    // 2. Find match.
-    // 3. Emit.
-
-    /*
-               For this initial implementation, I will treat the input as a standalone block
-               with NO previous history (Dictionary empty).
-               Future refactoring can add streaming/history support.
-            */
-
-    this.reset();
-
-    // For performance, we might just operate on the input directly if we don't have history.
-    // But to support back-references, we need to handle indices correctly.
-
-    const src = input;
-    const len = src.length;
-    let pos = 0;
-
-    while (pos < len) {
+  longestMatch(curMatch, prevLength) {
+    const { good, nice } = this.config;
+    const w = this.window;
+    const pos = this.strStart;
+    let chainLen = this.config.chain;
+    // With a good match already in hand, only search a quarter of the chain.
+    if (prevLength >= good) chainLen >>= 2;
+
+    const limit = pos > MAX_DIST ? pos - MAX_DIST : 0;
+    const maxLen = Math.min(MAX_MATCH, this.lookahead);
+    const niceLen = Math.min(nice, maxLen);
+    let bestLen = prevLength;
+    let bestDist = 0;
+    let cur = curMatch;
+
+    while (chainLen > 0 && cur >= limit) {
+      // Quick reject: a longer match must agree at the current best end.
+      if (bestLen < maxLen && w[cur + bestLen] === w[pos + bestLen] && w[cur] === w[pos]) {
+        let matchLen = 1;
+        while (matchLen < maxLen && w[pos + matchLen] === w[cur + matchLen]) {
+          matchLen++;
+        }
+
+        if (matchLen > bestLen) {
+          bestLen = matchLen;
+          bestDist = pos - cur;
+          if (bestLen >= niceLen) break;
+        }
+      }
+
+      cur = this.prev[cur & WINDOW_MASK];
+      chainLen--;
+    }
+
+    if (bestDist === 0) return { len: 0, dist: 0 };
+    return { len: bestLen, dist: bestDist };
+  }
+
+  /**
+   * Walks the hash chain from `curMatch` and records every improvement of
+   * the match length at `pos` (optimal parsing needs all of them, not just
+   * the longest): after the call, lengths up to `candLens[k]` are available
+   * at distance `candDists[k]`.
+   * @param {number} curMatch Head of the hash chain for `pos`.
+   * @param {number} pos Window position.
+   * @param {number} maxLen Longest match allowed (available bytes).
+   * @param {number} out Index of the first free candidate entry.
+   * @returns {number} Index after the last candidate written.
+   */
+  findMatches(curMatch, pos, maxLen, out) {
+    const w = this.window;
+    const limit = pos > MAX_DIST ? pos - MAX_DIST : 0;
+    let chainLen = this.config.chain;
+    let bestLen = MIN_MATCH - 1;
+    let next = out;
+    let cur = curMatch;
+
+    while (chainLen > 0 && cur >= limit) {
+      if (w[cur + bestLen] === w[pos + bestLen] && w[cur] === w[pos]) {
+        let matchLen = 1;
+        while (matchLen < maxLen && w[pos + matchLen] === w[cur + matchLen]) {
+          matchLen++;
+        }
+
+        if (matchLen > bestLen) {
+          bestLen = matchLen;
+          this.candLens[next] = matchLen;
+          this.candDists[next] = pos - cur;
+          next++;
+          if (bestLen >= maxLen) break;
+        }
+      }
+
+      cur = this.prev[cur & WINDOW_MASK];
+      chainLen--;
+    }
+    return next;
+  }
+
+  /**
+   * Tokenizes the buffered lookahead into the symbol buffer.
+   * Without `flush`, stops while fewer than MIN_LOOKAHEAD bytes are buffered
+   * (more input may extend a match); with `flush`, consumes everything.
+   * @param {boolean} flush Whether no more input is expected for now.
+   * @returns {BlockState} Why the run stopped.
+   */
+  deflate(flush) {
+    if (this.level === 0) return this.deflateStored();
+    if (this.strategy === Strategy.HUFFMAN_ONLY) return this.deflateHuffman();
+    if (this.strategy === Strategy.RLE) return this.deflateRle(flush);
+    if (this.optimal) return this.deflateOptimal(flush);
+    if (this.config.lazyMatch) return this.deflateLazy(flush);
+    return this.deflateGreedy(flush);
+  }
+
+  /**
+   * Level 0: accounts buffered bytes to the current (stored) block.
+   * The block is closed when full, or before the window has to slide.
+   * @returns {BlockState} Why the run stopped.
+   */
+  deflateStored() {
+    const n = Math.min(this.lookahead, MAX_STORED - this.blockBytes);
+    this.strStart += n;
+    this.lookahead -= n;
+    this.blockBytes += n;
+
+    if (this.blockBytes === MAX_STORED
+      || (this.blockBytes > 0 && this.strStart >= WINDOW_SIZE + MAX_DIST)) {
+      return BlockState.BLOCK_DONE;
+    }
+    return BlockState.NEED_MORE;
+  }
+
+  /**
+   * HUFFMAN_ONLY (zlib's `deflate_huff`): every byte becomes a literal.
+   * No lookahead is needed, so all buffered input is consumed at once.
+   * @returns {BlockState} Why the run stopped.
+   */
+  deflateHuffman() {
+    while (this.lookahead > 0) {
+      const full = this.tallyLiteral(this.window[this.strStart]);
+      this.strStart++;
+      this.lookahead--;
+      if (full) return BlockState.BLOCK_DONE;
+    }
+    return BlockState.NEED_MORE;
+  }
+
+  /**
+   * RLE (zlib's `deflate_rle`): the only match considered is a run of the
+   * previous byte, i.e. distance 1. No hash chains are used.
+   * @param {boolean} flush Whether no more input is expected for now.
+   * @returns {BlockState} Why the run stopped.
+   */
+  deflateRle(flush) {
+    const w = this.window;
+
+    for (;;) {
+      // A run can be at most MAX_MATCH long, so that is all the lookahead needed.
+      if (this.lookahead <= MAX_MATCH && (!flush || this.lookahead === 0)) {
+        return BlockState.NEED_MORE;
+      }
+
+      const pos = this.strStart;
+      let len = 0;
+      if (this.lookahead >= MIN_MATCH && pos > this.historyStart) {
+        const prevByte = w[pos - 1];
+        const maxLen = Math.min(MAX_MATCH, this.lookahead);
+        while (len < maxLen && w[pos + len] === prevByte) len++;
+      }
+
+      let full;
+      if (len >= MIN_MATCH) {
+        full = this.tallyMatch(len, 1);
+        this.strStart += len;
+        this.lookahead -= len;
+      } else {
+        full = this.tallyLiteral(w[pos]);
+        this.strStart++;
+        this.lookahead--;
+      }
+
+      if (full) return BlockState.BLOCK_DONE;
+    }
+  }
+
+  /**
+   * Optimal parsing: tallies the tokens of the last parsed segment, then
+   * parses the next one when they run out. See `parseSegment()`.
+   * @param {boolean} flush Whether no more input is expected for now.
+   * @returns {BlockState} Why the run stopped.
+   */
+  deflateOptimal(flush) {
+    for (;;) {
+      while (this.optNext < this.optCount) {
+        const len = this.optLens[this.optNext];
+        const dist = this.optDists[this.optNext];
+        this.optNext++;
+
+        const full = dist === 0
+          ? this.tallyLiteral(this.window[this.strStart])
+          : this.tallyMatch(len, dist);
+        this.strStart += len;
+        this.lookahead -= len;
+        if (full) return BlockState.BLOCK_DONE;
+      }
+
+      // A segment must leave at least one position to commit.
+      if (this.lookahead <= MIN_LOOKAHEAD && (!flush || this.lookahead === 0)) {
+        return BlockState.NEED_MORE;
+      }
+      this.parseSegment(flush);
+    }
+  }
+
+  /**
+   * Parses the whole lookahead optimally and keeps the tokens up to `limit`.
+   *
+   * Without `flush`, the last MIN_LOOKAHEAD bytes are only used to let matches
+   * run to their full length: candidates are collected (and strings hashed)
+   * for positions before `limit`, and tokens are kept up to the first one
+   * that reaches `limit`. The remaining strings it covers are hashed afterwards
+   * so the chains stay in position order.
+   * @param {boolean} flush Whether no more input is expected for now.
+   */
+  parseSegment(flush) {
+    const start = this.strStart;
+    const n = this.lookahead;
+    const end = start + n;
+    const limit = flush ? end : end - MIN_LOOKAHEAD;
+
+    if (!this.candOffsets || this.candOffsets.length <= n) {
+      this.candOffsets = new Int32Array(this.window.length + 1);
+      this.candLens = new Uint16Array(this.window.length * 4);
+      this.candDists = new Uint16Array(this.window.length * 4);
+    }
+
+    // 1. Match candidates
+    let count = 0;
+    for (let pos = start; pos < end; pos++) {
+      this.candOffsets[pos - start] = count;
+      if (pos < limit && pos + MIN_MATCH <= end) {
+        if (this.candLens.length - count < MAX_MATCH) this.growCandidates();
+        const matchHead = this.insertString(pos);
+        if (matchHead !== -1 && pos - matchHead <= MAX_DIST) {
+          count = this.findMatches(matchHead, pos, Math.min(MAX_MATCH, end - pos), count);
+        }
+      }
+    }
+    this.candOffsets[n] = count;
+
+    // 2. Shortest path
+    const {
+      window, candOffsets, candLens, candDists, optimal,
+    } = this;
+    const fixed = this.strategy === Strategy.FIXED;
+    const parse = optimal.parse(window, start, n, candOffsets, candLens, candDists, fixed);
+
+    // 3. Keep the tokens that start before `limit`
+    let pos = start;
+    let kept = 0;
+    while (pos < limit) pos += parse.lens[kept++];
+    this.optLens = parse.lens;
+    this.optDists = parse.dists;
+    this.optCount = kept;
+    this.optNext = 0;
+
+    for (let k = limit; k < pos; k++) {
+      if (k + MIN_MATCH <= end) this.insertString(k);
+    }
+  }
+
+  /**
+   * Doubles the candidate buffers.
+   */
+  growCandidates() {
+    const lens = new Uint16Array(this.candLens.length * 2);
+    const dists = new Uint16Array(this.candDists.length * 2);
+    lens.set(this.candLens);
+    dists.set(this.candDists);
+    this.candLens = lens;
+    this.candDists = dists;
+  }
+
+  /**
+   * Greedy matching (zlib's `deflate_fast`), used by levels 1-3.
+   * Every match found is taken immediately. Strings inside a match are only
+   * inserted into the hash chains when the match is short (`config.lazy`).
+   * @param {boolean} flush Whether no more input is expected for now.
+   * @returns {BlockState} Why the run stopped.
+   */
+  deflateGreedy(flush) {
+    const maxInsert = this.config.lazy;
+
+    for (;;) {
+      if (this.lookahead < MIN_LOOKAHEAD && (!flush || this.lookahead === 0)) {
+        return BlockState.NEED_MORE;
+      }
+
+      const pos = this.strStart;
+      const end = pos + this.lookahead;
+      let match = { len: 0, dist: 0 };
+
       // If less than 3 bytes remain, no match possible
-      if (len - pos < MIN_MATCH) {
-        tokens.push(new Token(TokenType.LITERAL, src[pos]));
-        pos++;
-        continue;
+      if (this.lookahead >= MIN_MATCH) {
+        const matchHead = this.insertString(pos);
+        if (matchHead !== -1 && pos - matchHead <= MAX_DIST) {
+          match = this.longestMatch(matchHead, 0);
+        }
       }
 
-      // Calculate Hash
-      const h = ((src[pos] << 10) ^ (src[pos + 1] << 5) ^ src[pos + 2]) & HASH_MASK;
-
-      // Check head
-      const matchHead = this.head[h];
-
-      // Update chain
-      // "Mask the position to ensure we stay in valid 16-bit range for this.prev?"
-      // But `pos` can grow large.
-      // Standard LZ77 uses `pos & WINDOW_MASK` for `prev` index.
-      const prevIndex = pos & WINDOW_MASK;
-      this.prev[prevIndex] = matchHead;
-      this.head[h] = pos;
-      // JS Array stores numbers, so 50k is fine.
-      // Let's use `matchHead` verification: `matchLength` logic.
-
-      let bestLen = 0;
-      let bestDist = 0;
-
-      // Find longest match
-      // Iterate chain
-      if (matchHead !== -1) {
-        // Check distance
-        // logic: distance = pos - matchHead
-        // if distance > WINDOW_SIZE, drop it.
-        let chainLen = MAX_CHAIN;
-        let curMatch = matchHead;
-
-        while (chainLen > 0 && curMatch !== -1) {
-          const dist = pos - curMatch;
-          if (dist > WINDOW_SIZE || dist <= 0) break;
-
-          // Check match content
-          // Optimization: check match length before full compare?
-
-          let matchLen = 0;
-          // Compare bytes
-          while (
-            matchLen < MAX_MATCH
-            && (pos + matchLen) < src.length
-            && src[pos + matchLen] === src[curMatch + matchLen]
-          ) {
-            matchLen++;
-          }
+      let full;
+      if (match.len >= MIN_MATCH) {
+        full = this.tallyMatch(match.len, match.dist);
 
-          if (matchLen > bestLen) {
-            bestLen = matchLen;
-            bestDist = dist;
-            if (bestLen === MAX_MATCH) break; // Max logical match
+        if (match.len <= maxInsert) {
+          // Insert the remaining `len - 1` strings so later matches can overlap.
+          for (let k = pos + 1; k < pos + match.len; k++) {
+            if (k + MIN_MATCH <= end) this.insertString(k);
           }
+        }
+        this.strStart += match.len;
+        this.lookahead -= match.len;
+      } else {
+        full = this.tallyLiteral(this.window[pos]);
+        this.strStart++;
+        this.lookahead--;
+      }
 
-          // Move to next in chain
-          // prev array is circular based on window mask
-          curMatch = this.prev[curMatch & WINDOW_MASK];
-          chainLen--;
-          // Note: `this.prev` values are absolute positions?
-          // If yes, we need to store absolute positions.
-          // If `head` stores absolute, `prev` stores absolute.
-          // `this.prev` was Int16Array initialized.
-          // 32K limit.
-          // If processing > 32K data, Int16 will overflow/wrap.
-          // If processing > 32K data, Int16 will overflow/wrap.
-          // -> CRITICAL: Constructor MUST use Int32Array/Uint32Array
-          // if we store absolute positions.
+      if (full) return BlockState.BLOCK_DONE;
+    }
+  }
+
+  /**
+   * Lazy matching (zlib's `deflate_slow`), used by levels 4-9.
+   * A match at `pos` is only emitted if the match starting at `pos + 1` is not longer.
+   * @param {boolean} flush Whether no more input is expected for now.
+   * @returns {BlockState} Why the run stopped.
+   */
+  deflateLazy(flush) {
+    const maxLazy = this.config.lazy;
+
+    for (;;) {
+      if (this.lookahead < MIN_LOOKAHEAD && (!flush || this.lookahead === 0)) {
+        if (flush && this.matchAvailable) {
+          // Input exhausted: the pending byte can no longer start a match.
+          this.matchAvailable = false;
+          if (this.tallyLiteral(this.window[this.strStart - 1])) return BlockState.BLOCK_DONE;
         }
+        return BlockState.NEED_MORE;
       }
 
-      if (bestLen >= MIN_MATCH) {
-        tokens.push(new Token(TokenType.MATCH, bestLen, bestDist));
-
-        // Insert the bytes equivalent to the match into the hash chain
-        // (Lazy match skip? Standard deflate skips inserting all?
-        // RFC says "The compressor must identify duplicated strings."
-        // Standard: insert string to update hash.
-        // Optimization: skip some insertions for speed.
-        // Correctness: insert all to find overlapping matches next time.
-
-        // We consume `bestLen` bytes. The first one is already inserted.
-        // Insert the remaining `bestLen - 1` bytes into hash.
-        for (let k = 1; k < bestLen; k++) {
-          if (pos + k + 2 < src.length) { // Verify we have 3 bytes for hash
-            const s1 = src[pos + k];
-            const s2 = src[pos + k + 1];
-            const s3 = src[pos + k + 2];
-            const hNext = ((s1 << 10) ^ (s2 << 5) ^ s3) & HASH_MASK;
-            const rawPos = pos + k;
-
-            this.prev[rawPos & WINDOW_MASK] = this.head[hNext];
-            this.head[hNext] = rawPos;
+      const pos = this.strStart;
+      const end = pos + this.lookahead;
+      const matchHead = this.lookahead >= MIN_MATCH ? this.insertString(pos) : -1;
+
+      // The match found at the previous position becomes the candidate.
+      const prevLen = this.matchLength;
+      const prevDist = this.matchDist;
+      this.matchLength = MIN_MATCH - 1;
+
+      if (matchHead !== -1 && prevLen < maxLazy && pos - matchHead <= MAX_DIST) {
+        const match = this.longestMatch(matchHead, prevLen);
+        if (match.len > 0) {
+          this.matchLength = match.len;
+          this.matchDist = match.dist;
+          if (match.len <= 5 && (this.strategy === Strategy.FILTERED
+            || (match.len === MIN_MATCH && match.dist > TOO_FAR))) {
+            // Filtered data: short matches are worth less than literals.
+            this.matchLength = MIN_MATCH - 1;
           }
         }
+      }
+
+      let full = false;
+      if (prevLen >= MIN_MATCH && this.matchLength <= prevLen) {
+        // The previous match is at least as good: emit it (it started at pos - 1).
+        full = this.tallyMatch(prevLen, prevDist);
 
-        pos += bestLen;
+        // `pos` is already hashed; insert the rest of the match.
+        const matchEnd = pos - 1 + prevLen;
+        for (let k = pos + 1; k < matchEnd; k++) {
+          if (k + MIN_MATCH <= end) this.insertString(k);
+        }
+        this.lookahead -= matchEnd - pos;
+        this.strStart = matchEnd;
+        this.matchAvailable = false;
+        this.matchLength = MIN_MATCH - 1;
       } else {
-        tokens.push(new Token(TokenType.LITERAL, src[pos]));
-        pos++;
+        // The byte before `pos` is not covered by a match: emit it as a literal.
+        if (this.matchAvailable) full = this.tallyLiteral(this.window[pos - 1]);
+        this.matchAvailable = true;
+        this.strStart++;
+        this.lookahead--;
       }
-    }
 
-    return tokens;
+      if (full) return BlockState.BLOCK_DONE;
+    }
   }
 }
@@ -0,0 +1,265 @@
+/**
+ * @module deflate/optimal
+ * @description Optimal parsing (Zopfli-style shortest path over match candidates).
+ */
+
+import {
+  EXTRA_LBITS, EXTRA_DBITS, LENGTH_CODE, DIST_CODE,
+} from './tables.js';
+
+const MIN_MATCH = 3;
+const MAX_MATCH = 258;
+const LITLEN_CODES = 286;
+const DIST_CODES = 30;
+
+/**
+ * Estimated cost in bits of every literal, length and distance code.
+ * Length and distance costs include their extra bits.
+ */
+class CostModel {
+  /**
+   * Starts with all costs zero; `setFixed()` or `setFromCounts()` fills them in.
+   */
+  constructor() {
+    this.literal = new Float64Array(256);
+    this.length = new Float64Array(MAX_MATCH + 1);
+    this.dist = new Float64Array(DIST_CODES);
+  }
+
+  /**
+   * Uses the fixed Huffman code lengths (RFC 1951 Section 3.2.6).
+   */
+  setFixed() {
+    for (let i = 0; i < 256; i++) this.literal[i] = i < 144 ? 8 : 9;
+    for (let len = MIN_MATCH; len <= MAX_MATCH; len++) {
+      const code = LENGTH_CODE[len];
+      this.length[len] = (code + 257 < 280 ? 7 : 8) + EXTRA_LBITS[code];
+    }
+    for (let code = 0; code < DIST_CODES; code++) this.dist[code] = 5 + EXTRA_DBITS[code];
+  }
+
+  /**
+   * Uses the entropy of the given symbol counts: a symbol seen `c` times out
+   * of `n` costs log2(n / c) bits, an unseen one log2(n) bits.
+   * @param {Uint32Array} litLenCounts Literal/length symbol counts (286).
+   * @param {Uint32Array} distCounts Distance code counts (30).
+   */
+  setFromCounts(litLenCounts, distCounts) {
+    const litLen = CostModel.entropy(litLenCounts);
+    const dist = CostModel.entropy(distCounts);
+    for (let i = 0; i < 256; i++) this.literal[i] = litLen[i];
+    for (let len = MIN_MATCH; len <= MAX_MATCH; len++) {
+      const code = LENGTH_CODE[len];
+      this.length[len] = litLen[code + 257] + EXTRA_LBITS[code];
+    }
+    for (let code = 0; code < DIST_CODES; code++) this.dist[code] = dist[code] + EXTRA_DBITS[code];
+  }
+
+  /**
+   * Computes per-symbol entropy (bits) from counts.
+   * @param {Uint32Array} counts Symbol counts.
+   * @returns {Float64Array} Bits per symbol.
+   */
+  static entropy(counts) {
+    let sum = 0;
+    for (let i = 0; i < counts.length; i++) sum += counts[i];
+    const log2Sum = Math.log2(sum === 0 ? counts.length : sum);
+
+    const bits = new Float64Array(counts.length);
+    for (let i = 0; i < counts.length; i++) {
+      bits[i] = counts[i] === 0 ? log2Sum : log2Sum - Math.log2(counts[i]);
+    }
+    return bits;
+  }
+}
+
+/**
+ * Optimal parser.
+ *
+ * Given, for every position of a segment, the match candidates found on the
+ * hash chains, finds the cheapest sequence of literals and matches by dynamic
+ * programming (shortest path, one node per position). Costs come from a
+ * CostModel; each iteration re-derives the model from the previous parse's
+ * statistics, and the cheapest parse seen is kept.
+ *
+ * Candidates are stored compactly: for position `i`, entries
+ * `[offsets[i], offsets[i + 1])` of `candLens` / `candDists` are the chain's
+ * successive improvements, i.e. every length up to `candLens[k]` (and above the
+ * previous entry) is reachable at distance `candDists[k]`.
+ */
+export default class OptimalParser {
+  /**
+   * @param {number} iterations Number of cost model refinements (at least 1).
+   */
+  constructor(iterations) {
+    this.iterations = iterations;
+    this.costs = new CostModel();
+    this.litLenCounts = new Uint32Array(LITLEN_CODES);
+    this.distCounts = new Uint32Array(DIST_CODES);
+
+    // Shortest path state, grown on demand
+    this.pathCost = new Float64Array(0);
+    this.pathLen = new Uint16Array(0);
+    this.pathDist = new Uint16Array(0);
+
+    // Result: the chosen tokens (dist 0 = literal, length 1)
+    this.lens = new Uint16Array(0);
+    this.dists = new Uint16Array(0);
+    this.count = 0;
+    this.bestLens = new Uint16Array(0);
+    this.bestDists = new Uint16Array(0);
+  }
+
+  /**
+   * Parses `window[start, start + n)`.
+   * @param {Uint8Array} window The LZ77 window.
+   * @param {number} start Window position of the segment.
+   * @param {number} n Segment length.
+   * @param {Int32Array} offsets Candidate range per position (n + 1 entries).
+   * @param {Uint16Array} candLens Candidate maximum lengths.
+   * @param {Uint16Array} candDists Candidate distances.
+   * @param {boolean} fixed Whether blocks will use the fixed codes (costs never change).
+   * @returns {{lens: Uint16Array, dists: Uint16Array, count: number}} The cheapest parse.
+   */
+  parse(window, start, n, offsets, candLens, candDists, fixed) {
+    this.ensureCapacity(n);
+    this.costs.setFixed();
+
+    let bestCost = Infinity;
+    let bestCount = 0;
+    for (let iter = 0; iter < this.iterations; iter++) {
+      this.shortestPath(window, start, n, offsets, candLens, candDists);
+      // Fixed costs never change, so one pass is optimal.
+      if (fixed) return { lens: this.lens, dists: this.dists, count: this.count };
+
+      this.countSymbols(window, start);
+      const cost = this.entropyCost();
+      if (cost < bestCost) {
+        bestCost = cost;
+        bestCount = this.count;
+        this.bestLens.set(this.lens.subarray(0, this.count));
+        this.bestDists.set(this.dists.subarray(0, this.count));
+      }
+
+      this.costs.setFromCounts(this.litLenCounts, this.distCounts);
+    }
+
+    return { lens: this.bestLens, dists: this.bestDists, count: bestCount };
+  }
+
+  /**
+   * Grows the work buffers for a segment of `n` bytes.
+   * @param {number} n Segment length.
+   */
+  ensureCapacity(n) {
+    if (this.pathCost.length > n) return;
+    this.pathCost = new Float64Array(n + 1);
+    this.pathLen = new Uint16Array(n + 1);
+    this.pathDist = new Uint16Array(n + 1);
+    this.lens = new Uint16Array(n);
+    this.dists = new Uint16Array(n);
+    this.bestLens = new Uint16Array(n);
+    this.bestDists = new Uint16Array(n);
+  }
+
+  /**
+   * Finds the cheapest parse under the current cost model and stores its tokens.
+   * @param {Uint8Array} window The LZ77 window.
+   * @param {number} start Window position of the segment.
+   * @param {number} n Segment length.
+   * @param {Int32Array} offsets Candidate range per position.
+   * @param {Uint16Array} candLens Candidate maximum lengths.
+   * @param {Uint16Array} candDists Candidate distances.
+   */
+  shortestPath(window, start, n, offsets, candLens, candDists) {
+    const {
+      pathCost, pathLen, pathDist, costs,
+    } = this;
+    pathCost.fill(Infinity, 0, n + 1);
+    pathCost[0] = 0;
+
+    for (let i = 0; i < n; i++) {
+      const base = pathCost[i];
+
+      // Literal
+      const litCost = base + costs.literal[window[start + i]];
+      if (litCost < pathCost[i + 1]) {
+        pathCost[i + 1] = litCost;
+        pathLen[i + 1] = 1;
+        pathDist[i + 1] = 0;
+      }
+
+      // Matches: each candidate covers the lengths above the previous one
+      let minLen = MIN_MATCH;
+      for (let k = offsets[i]; k < offsets[i + 1]; k++) {
+        const maxLen = candLens[k];
+        const dist = candDists[k];
+        const distCost = base + costs.dist[DIST_CODE[dist]];
+        for (let len = minLen; len <= maxLen; len++) {
+          const cost = distCost + costs.length[len];
+          if (cost < pathCost[i + len]) {
+            pathCost[i + len] = cost;
+            pathLen[i + len] = len;
+            pathDist[i + len] = dist;
+          }
+        }
+        minLen = maxLen + 1;
+      }
+    }
+
+    // Trace back from the end, then reverse into `lens` / `dists`.
+    let count = 0;
+    for (let pos = n; pos > 0; pos -= pathLen[pos]) {
+      this.lens[count] = pathLen[pos];
+      this.dists[count] = pathDist[pos];
+      count++;
+    }
+    this.lens.subarray(0, count).reverse();
+    this.dists.subarray(0, count).reverse();
+    this.count = count;
+  }
+
+  /**
+   * Counts the literal/length and distance symbols of the current parse.
+   * @param {Uint8Array} window The LZ77 window.
+   * @param {number} start Window position of the segment.
+   */
+  countSymbols(window, start) {
+    const { litLenCounts, distCounts } = this;
+    litLenCounts.fill(0);
+    distCounts.fill(0);
+
+    let pos = start;
+    for (let k = 0; k < this.count; k++) {
+      const len = this.lens[k];
+      if (this.dists[k] === 0) {
+        litLenCounts[window[pos]]++;
+      } else {
+        litLenCounts[LENGTH_CODE[len] + 257]++;
+        distCounts[DIST_CODE[this.dists[k]]]++;
+      }
+      pos += len;
+    }
+    litLenCounts[256]++; // EOB
+  }
+
+  /**
+   * Size of the current parse under its own statistics (an estimate of the
+   * dynamic block size, tree header excluded).
+   * @returns {number} Size in bits.
+   */
+  entropyCost() {
+    const litLen = CostModel.entropy(this.litLenCounts);
+    const dist = CostModel.entropy(this.distCounts);
+    let bits = 0;
+    for (let sym = 0; sym < LITLEN_CODES; sym++) {
+      const c = this.litLenCounts[sym];
+      if (c > 0) bits += c * (litLen[sym] + (sym > 256 ? EXTRA_LBITS[sym - 257] : 0));
+    }
+    for (let code = 0; code < DIST_CODES; code++) {
+      const c = this.distCounts[code];
+      if (c > 0) bits += c * (dist[code] + EXTRA_DBITS[code]);
+    }
+    return bits;
+  }
+}
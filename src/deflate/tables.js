@@ -0,0 +1,56 @@
+/**
+ * @module deflate/tables
+ * @description Length and distance code tables (RFC 1951 Section 3.2.5).
+ */
+
+const MAX_MATCH_LEN = 258;
+
+/**
+ * Base length for each length code (257-285 minus 257).
+ */
+export const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+];
+
+/**
+ * Extra bits for each length code.
+ */
+export const EXTRA_LBITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+
+/**
+ * Base distance for each distance code (0-29).
+ */
+export const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+
+/**
+ * Extra bits for each distance code.
+ */
+export const EXTRA_DBITS = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+/**
+ * Length (3-258) to length code (0-28) lookup.
+ */
+export const LENGTH_CODE = new Uint8Array(MAX_MATCH_LEN + 1);
+
+/**
+ * Distance (1-32768) to distance code (0-29) lookup.
+ */
+export const DIST_CODE = new Uint8Array(32768 + 1);
+
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  const end = Math.min(LENGTH_BASE[code] + (1 << EXTRA_LBITS[code]), MAX_MATCH_LEN + 1);
+  for (let len = LENGTH_BASE[code]; len < end; len++) LENGTH_CODE[len] = code;
+}
+LENGTH_CODE[MAX_MATCH_LEN] = 28; // 258 has its own code (285) rather than 284 + 31
+for (let code = 0; code < DIST_BASE.length; code++) {
+  const end = DIST_BASE[code] + (1 << EXTRA_DBITS[code]);
+  for (let dist = DIST_BASE[code]; dist < end; dist++) DIST_CODE[dist] = code;
+}
@@ -0,0 +1,81 @@
+/**
+ * @module gzip/compressor
+ * @description Streaming GZIP compressor (RFC 1952 member around Deflate).
+ */
+
+import Deflate, { FlushMode } from '../deflate/deflate.js';
+import GzipHeader from './header.js';
+import Hasher from '../hash/hasher.js';
+import { concatBytes } from '../utils/bytes.js';
+
+/**
+ * Streaming GZIP compressor.
+ * Emits the header with the first output, keeps a running CRC-32 and size of
+ * the input, and appends both (Little Endian) after the final block.
+ */
+export default class GzipCompressor {
+  /**
+   * @param {object} [options] Compression options (see {@link Deflate}).
+   * @param {number} [options.level] Compression level: 0 (stored) to 9 (best), default 6.
+   * @param {number} [options.strategy] Compression strategy (a Strategy value, default DEFAULT).
+   * @param {boolean} [options.optimal] Optimal parsing: slower, smaller output.
+   * @param {number} [options.iterations] Cost model iterations of optimal parsing (default 5).
+   * @param {object} [options.header] Header fields: `text`, `mtime`, `os`, `extra`,
+   *   `name`, `comment`, `hcrc` (see {@link GzipHeader.generate}).
+   * @throws {TypeError} If a preset dictionary is given (GZIP has no way to signal one).
+   */
+  constructor(options = {}) {
+    if (options.dictionary) throw new TypeError('GZIP does not support a preset dictionary');
+    this.deflate = new Deflate(options);
+    // Generated up front so invalid header fields are reported immediately.
+    this.header = GzipHeader.generate({
+      ...options.header,
+      level: this.deflate.level,
+      strategy: this.deflate.strategy,
+    });
+    this.checksum = Hasher.create('crc32');
+    this.headerWritten = false;
+  }
+
+  /**
+   * Feeds a chunk of input.
+   * @param {Uint8Array} chunk Input data.
+   * @param {FlushMode} [flush] Flush mode applied after the chunk (default NO_FLUSH);
+   *   FINISH also writes the trailer.
+   * @returns {Uint8Array} Compressed bytes ready so far (possibly empty).
+   */
+  push(chunk, flush = FlushMode.NO_FLUSH) {
+    if (!(chunk instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+    if (flush === FlushMode.FINISH) return concatBytes([this.push(chunk), this.finish()]);
+
+    const body = this.deflate.push(chunk, flush);
+    this.checksum.update(chunk);
+    return this.withHeader(body);
+  }
+
+  /**
+   * Writes the final block and the CRC-32 / ISIZE trailer.
+   * @returns {Uint8Array} The remaining bytes of the GZIP member.
+   */
+  finish() {
+    const body = this.deflate.finish();
+
+    const trailer = new Uint8Array(8);
+    const view = new DataView(trailer.buffer);
+    view.setUint32(0, this.checksum.digest(), true); // Little Endian
+    view.setUint32(4, this.checksum.length >>> 0, true); // ISIZE is the size modulo 2^32
+
+    return this.withHeader(concatBytes([body, trailer]));
+  }
+
+  /**
+   * Prefixes the header to the first output of the member.
+   * @param {Uint8Array} bytes Compressed bytes.
+   * @returns {Uint8Array} The bytes, with the header if not yet emitted.
+   */
+  withHeader(bytes) {
+    if (this.headerWritten) return bytes;
+    this.headerWritten = true;
+    return concatBytes([this.header, bytes]);
+  }
+}
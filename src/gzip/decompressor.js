@@ -0,0 +1,232 @@
+/**
+ * @module gzip/decompressor
+ * @description Streaming GZIP decompressor (RFC 1952 members around Inflate).
+ */
+
+import Inflate from '../inflate/inflate.js';
+import { GzipHeaderParser } from './header.js';
+import DecompressionLimit from '../inflate/limits.js';
+import Hasher from '../hash/hasher.js';
+import { concatBytes } from '../utils/bytes.js';
+import {
+  ZlibError, DataError, BufferError, ChecksumError,
+} from '../utils/errors.js';
+
+/**
+ * Decompressor states.
+ * @enum {number}
+ */
+const State = {
+  HEADER: 0,
+  BODY: 1,
+  TRAILER: 2,
+  DONE: 3,
+  PADDING: 4,
+};
+
+/**
+ * Streaming GZIP decompressor.
+ * Accepts input in arbitrary pieces; the header (with its optional fields)
+ * and the 8-byte trailer may be split across chunks.
+ *
+ * A GZIP file may consist of several members (e.g. `cat a.gz b.gz`); by default
+ * they are decoded one after another into a single output. Zero bytes after a
+ * member are padding (as written to tapes and fixed-size blocks) and are
+ * skipped, as zlib and gzip(1) do; anything else after them is an error.
+ */
+export default class GzipDecompressor {
+  /**
+   * @param {object} [options] Decompression options.
+   * @param {boolean} [options.multiMember] Decode members following the first (default true).
+   *   When false, any data after the first member is an error.
+   * @param {number} [options.maxOutputLength] Stop with a DecompressionLimitError once
+   *   more than this many bytes are decompressed (all members together).
+   * @param {number} [options.maxRatio] Stop with a DecompressionLimitError once the output
+   *   exceeds this multiple of the compressed bytes consumed.
+   * @param {number} [options.sizeHint] Expected decompressed size of the first member,
+   *   preallocated when it starts.
+   */
+  constructor({ multiMember = true, sizeHint = 0, ...limits } = {}) {
+    this.multiMember = multiMember;
+    this.sizeHint = sizeHint;
+    this.limit = DecompressionLimit.fromOptions(limits);
+    this.inflate = null;
+    this.state = State.HEADER;
+    this.headerParser = new GzipHeaderParser();
+    this.checksum = Hasher.create('crc32'); // CRC-32 and size of the current member
+    this.buffered = new Uint8Array(0); // Partial trailer bytes
+
+    // Positions, for errors
+    this.totalIn = 0; // Bytes received so far
+    this.memberStart = 0; // Input offset of the current member
+    this.headerLength = 0; // Header length of the current member
+    this.outputBefore = 0; // Bytes decoded from the previous members
+    this.padding = 0; // Zero bytes seen after the last member
+
+    /**
+     * Headers of the members decoded so far (the current one included).
+     * @type {import('./header.js').GzipHeaderInfo[]}
+     */
+    this.members = [];
+  }
+
+  /**
+   * Header of the first member (null until it has been parsed).
+   * @returns {import('./header.js').GzipHeaderInfo|null} The header metadata.
+   */
+  get header() {
+    return this.members.length > 0 ? this.members[0] : null;
+  }
+
+  /**
+   * Whether the last member started, trailer included, has been decoded and verified.
+   * @returns {boolean} True at a member boundary (or in the padding after the last one).
+   */
+  get ended() {
+    return this.state === State.DONE || this.state === State.PADDING;
+  }
+
+  /**
+   * Feeds compressed input.
+   * @param {Uint8Array} chunk The next piece of the GZIP file.
+   * @returns {Uint8Array} The bytes decoded so far (possibly empty).
+   * @throws {ZlibError} On an invalid header, corrupt data or trailer mismatch.
+   */
+  push(chunk) {
+    if (!(chunk instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    const receivedBefore = this.totalIn;
+    this.totalIn += chunk.length;
+    try {
+      return this.decode(chunk);
+    } catch (err) {
+      if (err instanceof ZlibError) {
+        const memberOut = this.state === State.BODY ? this.inflate.totalOut : 0;
+        err.setContext({ byteOffset: receivedBefore, bytesOut: this.outputBefore + memberOut });
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Runs the container state machine over a chunk (see `push()`).
+   * @param {Uint8Array} chunk The next piece of the GZIP file.
+   * @returns {Uint8Array} The bytes decoded so far (possibly empty).
+   */
+  decode(chunk) {
+    const outputs = [];
+    let input = chunk;
+
+    while (input.length > 0) {
+      if (this.state === State.DONE) {
+        if (input[0] === 0) {
+          this.state = State.PADDING;
+        } else if (!this.multiMember) {
+          throw this.junkError(0);
+        } else {
+          this.headerParser = new GzipHeaderParser(this.memberStart);
+          this.state = State.HEADER;
+        }
+      }
+
+      if (this.state === State.PADDING) {
+        const junk = input.findIndex((byte) => byte !== 0);
+        if (junk !== -1) throw this.junkError(this.padding + junk);
+        this.padding += input.length;
+        break;
+      }
+
+      if (this.state === State.HEADER) {
+        input = input.subarray(this.headerParser.push(input));
+        if (!this.headerParser.done) break;
+
+        const { header, length } = this.headerParser;
+        this.members.push(header);
+        this.headerLength = length;
+        const first = this.members.length === 1;
+        this.inflate = new Inflate(undefined, { sizeHint: first ? this.sizeHint : 0 });
+        this.inflate.setLimit(this.limit);
+        this.inflate.inputOffset = this.memberStart + length;
+        this.inflate.outputOffset = this.outputBefore;
+        this.checksum.reset();
+        this.state = State.BODY;
+      }
+
+      if (this.state === State.BODY) {
+        const output = this.inflate.push(input);
+        outputs.push(output);
+        this.checksum.update(output);
+        if (!this.inflate.ended) break;
+
+        input = this.inflate.takeRemaining();
+        if (this.limit) this.limit.advance(this.inflate.totalOut, this.inflate.bytesConsumed);
+        this.state = State.TRAILER;
+      }
+
+      if (this.state === State.TRAILER) {
+        this.buffered = concatBytes([this.buffered, input]);
+        if (this.buffered.length < 8) break;
+
+        const view = new DataView(this.buffered.buffer, this.buffered.byteOffset, 8);
+        if (view.getUint32(0, true) !== this.checksum.digest()) {
+          throw new ChecksumError('CRC32 Checksum Failed', this.trailerContext(0));
+        }
+        if (view.getUint32(4, true) !== this.checksum.length >>> 0) {
+          throw new ChecksumError('GZIP Length Mismatch', this.trailerContext(4));
+        }
+
+        input = this.buffered.subarray(8);
+        this.buffered = new Uint8Array(0);
+        this.memberStart += this.headerLength + this.inflate.bytesConsumed + 8;
+        this.outputBefore += this.inflate.totalOut;
+        this.state = State.DONE;
+      }
+    }
+
+    return outputs.length === 0 ? new Uint8Array(0) : concatBytes(outputs);
+  }
+
+  /**
+   * Error for data after the last member.
+   * @param {number} pos Offset of the data from the end of the last member.
+   * @returns {DataError} The error.
+   */
+  junkError(pos) {
+    return new DataError('Junk found after end of compressed data', {
+      byteOffset: this.memberStart + pos, bitOffset: 0, bytesOut: this.outputBefore,
+    });
+  }
+
+  /**
+   * Describes a position in the current member's trailer, for errors.
+   * @param {number} pos Offset from the start of the trailer (0 = CRC32, 4 = ISIZE).
+   * @returns {import('../utils/errors.js').ErrorContext} The position.
+   */
+  trailerContext(pos) {
+    return {
+      byteOffset: this.memberStart + this.headerLength + this.inflate.bytesConsumed + pos,
+      bitOffset: 0,
+      blockIndex: null,
+      blockType: null,
+      bytesOut: this.outputBefore + this.inflate.totalOut,
+    };
+  }
+
+  /**
+   * Checks that the last member is complete.
+   * @returns {Uint8Array} Always empty; all output is returned by `push()`.
+   * @throws {BufferError} If the input ended inside a member.
+   */
+  finish() {
+    if (this.state === State.BODY) this.inflate.finish(); // Throws, positioned in the data
+    if (this.state === State.TRAILER) {
+      throw new BufferError('Unexpected end of input', this.trailerContext(this.buffered.length));
+    }
+    if (this.state === State.HEADER) {
+      throw new BufferError('Unexpected end of input', {
+        byteOffset: this.totalIn, bitOffset: 0, bytesOut: this.outputBefore,
+      });
+    }
+    return new Uint8Array(0);
+  }
+}
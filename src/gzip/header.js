@@ -0,0 +1,427 @@
+/**
+ * @module gzip/header
+ * @description GZIP member header (RFC 1952).
+ */
+
+import crc32 from '../crc32/crc32.js';
+import { concatBytes } from '../utils/bytes.js';
+import { Strategy } from '../deflate/lz77.js';
+import { DataError, ChecksumError } from '../utils/errors.js';
+
+/**
+ * Header flag bits (FLG).
+ * @enum {number}
+ */
+export const GzipFlags = {
+  FTEXT: 0x01,
+  FHCRC: 0x02,
+  FEXTRA: 0x04,
+  FNAME: 0x08,
+  FCOMMENT: 0x10,
+};
+
+/**
+ * Operating system code written when none is given (255 = unknown).
+ */
+const OS_UNKNOWN = 255;
+
+/**
+ * Length of the fixed header fields (ID1 through OS).
+ */
+const FIXED_SIZE = 10;
+
+/**
+ * Longest FNAME or FCOMMENT accepted, terminator excluded (the FEXTRA limit),
+ * which bounds the memory a header can take.
+ */
+const MAX_STRING_LENGTH = 0xFFFF;
+
+/**
+ * Header parser states, in the order of the fields (RFC 1952 Section 2.3).
+ * @enum {number}
+ */
+const Field = {
+  FIXED: 0,
+  EXTRA_LENGTH: 1,
+  EXTRA: 2,
+  NAME: 3,
+  COMMENT: 4,
+  HCRC: 5,
+  DONE: 6,
+};
+
+/**
+ * Optional fields and the flags that announce them.
+ */
+const OPTIONAL_FIELDS = [
+  [Field.EXTRA_LENGTH, GzipFlags.FEXTRA],
+  [Field.NAME, GzipFlags.FNAME],
+  [Field.COMMENT, GzipFlags.FCOMMENT],
+  [Field.HCRC, GzipFlags.FHCRC],
+];
+
+/**
+ * Metadata carried by a GZIP member header.
+ * @typedef {object} GzipHeaderInfo
+ * @property {boolean} text FTEXT: the data is probably ASCII text.
+ * @property {number} mtime Modification time in Unix seconds (0 = not available).
+ * @property {number} xfl Extra flags (2 = maximum compression, 4 = fastest).
+ * @property {number} os Operating system code (255 = unknown).
+ * @property {Uint8Array|null} extra FEXTRA field contents.
+ * @property {string|null} name FNAME, the original file name (ISO 8859-1).
+ * @property {string|null} comment FCOMMENT (ISO 8859-1).
+ * @property {boolean} hcrc Whether the header carried a (verified) CRC16.
+ */
+
+/**
+ * Encodes a header string as zero-terminated ISO 8859-1.
+ * @param {string} str The string.
+ * @param {string} field Field name, for error messages.
+ * @returns {Uint8Array} The encoded bytes, terminator included.
+ * @throws {RangeError} If the string contains NUL or characters above U+00FF, or
+ *   is longer than 65535 characters.
+ */
+function encodeLatin1(str, field) {
+  if (str.length > MAX_STRING_LENGTH) {
+    throw new RangeError(`GZIP ${field} is limited to ${MAX_STRING_LENGTH} characters`);
+  }
+  const out = new Uint8Array(str.length + 1);
+  for (let i = 0; i < str.length; i++) {
+    const c = str.charCodeAt(i);
+    if (c === 0 || c > 0xFF) {
+      throw new RangeError(`GZIP ${field} must be ISO 8859-1 without NUL characters`);
+    }
+    out[i] = c;
+  }
+  return out;
+}
+
+/**
+ * Decodes ISO 8859-1 bytes.
+ * @param {Uint8Array} bytes The bytes (no terminator).
+ * @returns {string} The string.
+ */
+function decodeLatin1(bytes) {
+  let str = '';
+  for (let i = 0; i < bytes.length; i++) str += String.fromCharCode(bytes[i]);
+  return str;
+}
+
+/**
+ * Checks the magic bytes and compression method of a (possibly partial) header.
+ * @param {Uint8Array} bytes Buffered header bytes.
+ * @param {number} offset Position of the member in the input, for error offsets.
+ * @throws {DataError} If invalid.
+ */
+function validatePrefix(bytes, offset) {
+  const at = (pos) => ({ byteOffset: offset + pos, bitOffset: 0 });
+  if (bytes.length > 0 && bytes[0] !== 0x1F) throw new DataError('Invalid GZIP Magic', at(0));
+  if (bytes.length > 1 && bytes[1] !== 0x8B) throw new DataError('Invalid GZIP Magic', at(1));
+  if (bytes.length > 2 && bytes[2] !== 8) {
+    throw new DataError('Unsupported Compression Method', at(2));
+  }
+}
+
+/**
+ * Incremental GZIP header parser.
+ * Takes the header in pieces of any size and keeps only the fields decoded so
+ * far, so a long FEXTRA, FNAME or FCOMMENT costs linear time. FNAME and
+ * FCOMMENT are limited to 65535 bytes (FEXTRA is by its length field).
+ */
+export class GzipHeaderParser {
+  /**
+   * @param {number} [offset] Position of the member in the input, for error offsets.
+   */
+  constructor(offset = 0) {
+    this.offset = offset;
+    this.field = Field.FIXED;
+    this.length = 0; // Header bytes consumed so far
+    this.crc = 0; // CRC-32 of those bytes, for FHCRC
+    this.flg = 0;
+
+    /**
+     * The header metadata (complete once `done`).
+     * @type {GzipHeaderInfo|null}
+     */
+    this.header = null;
+
+    // Current field: fixed-size fields fill `bytes`, strings collect `parts`
+    this.fieldStart = 0;
+    this.bytes = new Uint8Array(FIXED_SIZE);
+    this.have = 0;
+    this.parts = [];
+    this.partsLength = 0;
+  }
+
+  /**
+   * Whether the whole header has been parsed.
+   * @returns {boolean} True once the header is complete.
+   */
+  get done() {
+    return this.field === Field.DONE;
+  }
+
+  /**
+   * Parses the next piece of the header.
+   * @param {Uint8Array} chunk Input following the bytes already given.
+   * @returns {number} Bytes of `chunk` that belong to the header; the rest
+   *   (once `done`) is DEFLATE data.
+   * @throws {DataError} If the header is invalid or a field is too long.
+   * @throws {ChecksumError} If the header CRC16 does not match.
+   */
+  push(chunk) {
+    let pos = 0;
+    while (pos < chunk.length && this.field !== Field.DONE) {
+      const start = pos;
+      const { field } = this;
+      if (field === Field.NAME || field === Field.COMMENT) {
+        pos = this.readString(chunk, pos);
+      } else {
+        pos = this.readBytes(chunk, pos);
+      }
+      if (field !== Field.HCRC) this.crc = crc32(chunk.subarray(start, pos), this.crc);
+      this.length += pos - start;
+      if (this.field === field && this.isFieldComplete()) this.endField();
+    }
+    return pos;
+  }
+
+  /**
+   * Copies bytes of a fixed-size field.
+   * @param {Uint8Array} chunk The input.
+   * @param {number} pos Position in `chunk`.
+   * @returns {number} Position after the bytes taken.
+   * @throws {DataError} If the magic bytes or compression method are invalid.
+   */
+  readBytes(chunk, pos) {
+    const take = Math.min(this.bytes.length - this.have, chunk.length - pos);
+    this.bytes.set(chunk.subarray(pos, pos + take), this.have);
+    this.have += take;
+    if (this.field === Field.FIXED) {
+      validatePrefix(this.bytes.subarray(0, this.have), this.offset);
+    }
+    return pos + take;
+  }
+
+  /**
+   * Collects bytes of a zero-terminated field, terminator included.
+   * @param {Uint8Array} chunk The input.
+   * @param {number} pos Position in `chunk`.
+   * @returns {number} Position after the bytes taken.
+   * @throws {DataError} If the field is longer than 65535 bytes.
+   */
+  readString(chunk, pos) {
+    const nul = chunk.indexOf(0, pos);
+    const end = nul === -1 ? chunk.length : nul;
+    this.parts.push(chunk.subarray(pos, end));
+    this.partsLength += end - pos;
+    if (this.partsLength > MAX_STRING_LENGTH) {
+      const name = this.field === Field.NAME ? 'name' : 'comment';
+      throw new DataError(`GZIP ${name} too long`, {
+        byteOffset: this.offset + this.fieldStart, bitOffset: 0,
+      });
+    }
+    if (nul === -1) return end;
+    this.parts.push(null); // Terminator seen
+    return end + 1;
+  }
+
+  /**
+   * Whether the current field has all its bytes.
+   * @returns {boolean} True if it can be decoded.
+   */
+  isFieldComplete() {
+    if (this.field === Field.NAME || this.field === Field.COMMENT) {
+      return this.parts.length > 0 && this.parts[this.parts.length - 1] === null;
+    }
+    return this.have === this.bytes.length;
+  }
+
+  /**
+   * Decodes the completed field and moves on to the next one.
+   * @throws {DataError} If reserved flags are set.
+   * @throws {ChecksumError} If the header CRC16 does not match.
+   */
+  endField() {
+    const { bytes } = this;
+    switch (this.field) {
+      case Field.FIXED: {
+        const flg = bytes[3];
+        if (flg & 0xE0) {
+          throw new DataError('Reserved GZIP flags set', {
+            byteOffset: this.offset + 3, bitOffset: 0,
+          });
+        }
+        this.flg = flg;
+        this.header = {
+          text: (flg & GzipFlags.FTEXT) !== 0,
+          mtime: (bytes[4] | (bytes[5] << 8) | (bytes[6] << 16) | (bytes[7] << 24)) >>> 0,
+          xfl: bytes[8],
+          os: bytes[9],
+          extra: null,
+          name: null,
+          comment: null,
+          hcrc: (flg & GzipFlags.FHCRC) !== 0,
+        };
+        this.nextField();
+        break;
+      }
+      case Field.EXTRA_LENGTH: {
+        const xlen = bytes[0] | (bytes[1] << 8);
+        if (xlen > 0) {
+          this.enter(Field.EXTRA, xlen);
+        } else {
+          this.header.extra = new Uint8Array(0);
+          this.nextField();
+        }
+        break;
+      }
+      case Field.EXTRA:
+        this.header.extra = bytes;
+        this.nextField();
+        break;
+      case Field.NAME:
+      case Field.COMMENT: {
+        const value = decodeLatin1(concatBytes(this.parts.slice(0, -1)));
+        if (this.field === Field.NAME) this.header.name = value;
+        else this.header.comment = value;
+        this.nextField();
+        break;
+      }
+      default: { // HCRC
+        const expected = bytes[0] | (bytes[1] << 8);
+        if ((this.crc & 0xFFFF) !== expected) {
+          throw new ChecksumError('GZIP Header Checksum Failed', {
+            byteOffset: this.offset + this.fieldStart, bitOffset: 0,
+          });
+        }
+        this.field = Field.DONE;
+      }
+    }
+  }
+
+  /**
+   * Moves to the next optional field the flags announce (or to the end).
+   */
+  nextField() {
+    const next = OPTIONAL_FIELDS.find(([field, flag]) => field > this.field && (this.flg & flag));
+    if (next) this.enter(next[0], 2);
+    else this.field = Field.DONE;
+  }
+
+  /**
+   * Starts a field.
+   * @param {Field} field The field.
+   * @param {number} size Its size, for fixed-size fields.
+   */
+  enter(field, size) {
+    this.field = field;
+    this.fieldStart = this.length;
+    this.bytes = new Uint8Array(size);
+    this.have = 0;
+    this.parts = [];
+    this.partsLength = 0;
+  }
+}
+
+/**
+ * GZIP Header Logic.
+ */
+export default class GzipHeader {
+  /**
+   * Generates a GZIP member header.
+   * ID1 ID2 = 1f 8b, CM = 8 (Deflate).
+   * XFL = 2 for maximum compression (level 9), 4 for fastest (level 1, or the
+   * HUFFMAN_ONLY, RLE and FIXED strategies), else 0.
+   * @param {object} [options] Header options.
+   * @param {number} [options.level] Compression level used for the member (default 6).
+   * @param {Strategy} [options.strategy] Compression strategy used for the member.
+   * @param {boolean} [options.text] Set FTEXT.
+   * @param {number} [options.mtime] Modification time in Unix seconds (default 0).
+   * @param {number} [options.os] Operating system code (default 255, unknown).
+   * @param {Uint8Array} [options.extra] FEXTRA contents (at most 65535 bytes).
+   * @param {string} [options.name] Original file name (FNAME).
+   * @param {string} [options.comment] Comment (FCOMMENT).
+   * @param {boolean} [options.hcrc] Append a CRC16 of the header (FHCRC).
+   * @returns {Uint8Array} The header bytes.
+   * @throws {RangeError} If a field cannot be represented.
+   */
+  static generate({
+    level = 6, strategy = Strategy.DEFAULT, text = false, mtime = 0, os = OS_UNKNOWN,
+    extra, name, comment, hcrc = false,
+  } = {}) {
+    if (!Number.isInteger(mtime) || mtime < 0 || mtime > 0xFFFFFFFF) {
+      throw new RangeError('GZIP mtime must be a 32-bit unsigned integer');
+    }
+    if (!Number.isInteger(os) || os < 0 || os > 255) {
+      throw new RangeError('GZIP os must be a byte value');
+    }
+    if (extra && extra.length > 0xFFFF) {
+      throw new RangeError('GZIP extra field is limited to 65535 bytes');
+    }
+
+    let xfl = 0;
+    if (level === 9) xfl = 2;
+    else if (level === 1 || strategy >= Strategy.HUFFMAN_ONLY) xfl = 4;
+
+    let flg = 0;
+    if (text) flg |= GzipFlags.FTEXT;
+    if (hcrc) flg |= GzipFlags.FHCRC;
+    if (extra) flg |= GzipFlags.FEXTRA;
+    if (name != null) flg |= GzipFlags.FNAME;
+    if (comment != null) flg |= GzipFlags.FCOMMENT;
+
+    const parts = [new Uint8Array([
+      0x1F, 0x8B, 8, flg,
+      mtime & 0xFF, (mtime >>> 8) & 0xFF, (mtime >>> 16) & 0xFF, mtime >>> 24,
+      xfl, os,
+    ])];
+    if (extra) {
+      parts.push(new Uint8Array([extra.length & 0xFF, extra.length >>> 8]), extra);
+    }
+    if (name != null) parts.push(encodeLatin1(name, 'name'));
+    if (comment != null) parts.push(encodeLatin1(comment, 'comment'));
+
+    let length = 0;
+    parts.forEach((p) => { length += p.length; });
+    const header = new Uint8Array(length + (hcrc ? 2 : 0));
+    let pos = 0;
+    parts.forEach((p) => {
+      header.set(p, pos);
+      pos += p.length;
+    });
+
+    if (hcrc) {
+      // CRC16: the two least significant bytes of the CRC-32 of the header so far.
+      const crc16 = crc32(header.subarray(0, length)) & 0xFFFF;
+      header[length] = crc16 & 0xFF;
+      header[length + 1] = crc16 >>> 8;
+    }
+    return header;
+  }
+
+  /**
+   * Parses a GZIP header from the start of `bytes`.
+   * @param {Uint8Array} bytes Buffered input, starting at the member.
+   * @param {number} [offset] Position of the member in the input, for error offsets.
+   * @returns {{header: GzipHeaderInfo, length: number}|null} The header and its
+   *   length in bytes, or null if `bytes` does not hold the whole header yet.
+   * @throws {DataError} If the header is invalid.
+   * @throws {ChecksumError} If the header CRC16 does not match.
+   */
+  static parse(bytes, offset = 0) {
+    const parser = new GzipHeaderParser(offset);
+    parser.push(bytes);
+    return parser.done ? { header: parser.header, length: parser.length } : null;
+  }
+
+  /**
+   * Checks the magic bytes and compression method of a (possibly partial) header.
+   * @param {Uint8Array} bytes Buffered header bytes.
+   * @param {number} [offset] Position of the member in the input, for error offsets.
+   * @throws {DataError} If invalid.
+   */
+  static validatePrefix(bytes, offset = 0) {
+    validatePrefix(bytes, offset);
+  }
+}
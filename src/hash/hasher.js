@@ -0,0 +1,173 @@
+/**
+ * @module hash/hasher
+ * @description Incremental 32-bit checksums behind a registry of named algorithms.
+ */
+
+import adler32, { adler32Combine } from '../adler32/adler32.js';
+import crc32, { crc32Combine } from '../crc32/crc32.js';
+import crc32c from '../crc32c/crc32c.js';
+
+/**
+ * A 32-bit checksum algorithm.
+ * @typedef {object} HashAlgorithm
+ * @property {number} initial Checksum of no data (e.g. 1 for Adler-32, 0 for CRC-32).
+ * @property {function(Uint8Array, number): number} update Checksum of a buffer, continuing
+ *   from the checksum of the preceding data; returns an unsigned 32-bit value.
+ * @property {function(number, number, number): number} [combine] Checksum of two consecutive
+ *   pieces from their checksums and the length of the second.
+ */
+
+/**
+ * Registered algorithms by name.
+ * @type {Map<string, HashAlgorithm>}
+ */
+const ALGORITHMS = new Map();
+
+/**
+ * Digest encodings.
+ * @enum {string}
+ */
+export const DigestEncoding = {
+  /** Unsigned 32-bit number. */
+  NUMBER: 'number',
+  /** 8 lowercase hex digits. */
+  HEX: 'hex',
+  /** 4 bytes, Big Endian (the order of the ZLIB trailer). */
+  BYTES: 'bytes',
+};
+
+/**
+ * Running checksum of data arriving in pieces.
+ * State is a single 32-bit value, so `copy()` forks it cheaply.
+ * @example
+ * const hasher = Hasher.create('crc32');
+ * hasher.update(chunk1).update(chunk2);
+ * hasher.digest('hex');
+ */
+export default class Hasher {
+  /**
+   * @param {string} name Registered algorithm name.
+   * @param {HashAlgorithm} algorithm The algorithm.
+   */
+  constructor(name, algorithm) {
+    this.name = name;
+    this.algorithm = algorithm;
+    this.value = algorithm.initial;
+    this.length = 0; // Bytes hashed so far
+  }
+
+  /**
+   * Creates a hasher for a registered algorithm.
+   * @param {string} name "adler32", "crc32", "crc32c" or a name passed to `register()`.
+   * @returns {Hasher} A hasher over no data.
+   * @throws {TypeError} If no algorithm has that name.
+   */
+  static create(name) {
+    const algorithm = ALGORITHMS.get(name);
+    if (!algorithm) throw new TypeError(`Unknown hash algorithm: '${name}'`);
+    return new Hasher(name, algorithm);
+  }
+
+  /**
+   * Registers an algorithm under a new name.
+   * @param {string} name The name (must not be registered yet).
+   * @param {HashAlgorithm} algorithm The algorithm.
+   * @throws {TypeError} If the name is taken or the algorithm is malformed.
+   */
+  static register(name, algorithm) {
+    if (typeof name !== 'string' || name === '') {
+      throw new TypeError('Hash algorithm name must be a non-empty string');
+    }
+    if (ALGORITHMS.has(name)) throw new TypeError(`Hash algorithm already registered: '${name}'`);
+    if (!algorithm || typeof algorithm.update !== 'function'
+      || !Number.isInteger(algorithm.initial)) {
+      throw new TypeError('Hash algorithm must have an integer initial value and an update function');
+    }
+    ALGORITHMS.set(name, algorithm);
+  }
+
+  /**
+   * Names of the registered algorithms.
+   * @returns {string[]} The names, in registration order.
+   */
+  static algorithms() {
+    return [...ALGORITHMS.keys()];
+  }
+
+  /**
+   * Adds data to the checksum.
+   * @param {Uint8Array} chunk The next piece of data.
+   * @returns {Hasher} This hasher.
+   * @throws {TypeError} If the chunk is not a Uint8Array.
+   */
+  update(chunk) {
+    if (!(chunk instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+    this.value = this.algorithm.update(chunk, this.value) >>> 0;
+    this.length += chunk.length;
+    return this;
+  }
+
+  /**
+   * Returns the checksum of the data so far. The hasher can keep being updated.
+   * @param {DigestEncoding} [encoding] Output form (default NUMBER).
+   * @returns {number|string|Uint8Array} The checksum.
+   * @throws {RangeError} If the encoding is unknown.
+   */
+  digest(encoding = DigestEncoding.NUMBER) {
+    switch (encoding) {
+      case DigestEncoding.NUMBER:
+        return this.value;
+      case DigestEncoding.HEX:
+        return this.value.toString(16).padStart(8, '0');
+      case DigestEncoding.BYTES: {
+        const bytes = new Uint8Array(4);
+        new DataView(bytes.buffer).setUint32(0, this.value, false); // Big Endian
+        return bytes;
+      }
+      default:
+        throw new RangeError(`Invalid digest encoding: ${encoding}`);
+    }
+  }
+
+  /**
+   * Forks the hasher: the copy continues from the same state independently.
+   * @returns {Hasher} The copy.
+   */
+  copy() {
+    const hasher = new Hasher(this.name, this.algorithm);
+    hasher.value = this.value;
+    hasher.length = this.length;
+    return hasher;
+  }
+
+  /**
+   * Starts over, as if no data had been hashed.
+   * @returns {Hasher} This hasher.
+   */
+  reset() {
+    this.value = this.algorithm.initial;
+    this.length = 0;
+    return this;
+  }
+
+  /**
+   * Appends the data of another hasher of the same algorithm, as if its
+   * chunks had been passed to this one (requires a `combine` function).
+   * @param {Hasher} other Hasher over the data that follows.
+   * @returns {Hasher} This hasher.
+   * @throws {TypeError} If the algorithms differ or cannot be combined.
+   */
+  combine(other) {
+    if (other.algorithm !== this.algorithm) {
+      throw new TypeError(`Cannot combine '${other.name}' into '${this.name}'`);
+    }
+    if (!this.algorithm.combine) throw new TypeError(`'${this.name}' cannot be combined`);
+    this.value = this.algorithm.combine(this.value, other.value, other.length) >>> 0;
+    this.length += other.length;
+    return this;
+  }
+}
+
+Hasher.register('adler32', { initial: 1, update: adler32, combine: adler32Combine });
+Hasher.register('crc32', { initial: 0, update: crc32, combine: crc32Combine });
+Hasher.register('crc32c', { initial: 0, update: crc32c });
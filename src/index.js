@@ -3,10 +3,60 @@
  * @description Main Entry Point.
  */
 
-import Deflate from './deflate/deflate.js';
 import Inflate from './inflate/inflate.js';
+import Deflate from './deflate/deflate.js';
 import ZlibHeader from './zlib/header.js';
-import adler32 from './adler32/adler32.js';
+import ZlibCompressor from './zlib/compressor.js';
+import ZlibDecompressor, { TrailingData } from './zlib/decompressor.js';
+import GzipCompressor from './gzip/compressor.js';
+import GzipDecompressor from './gzip/decompressor.js';
+import DecompressionLimit from './inflate/limits.js';
+import { Format, detectFormat } from './streams/formats.js';
+import adler32, { adler32Combine } from './adler32/adler32.js';
+import crc32, { crc32Combine } from './crc32/crc32.js';
+import Hasher from './hash/hasher.js';
+import { concatBytes } from './utils/bytes.js';
+import pushSliced from './utils/slicing.js';
+import WorkerPool from './workers/pool.js';
+import AccessIndex from './zran/access-index.js';
+import { BufferError } from './utils/errors.js';
+
+export { ZlibCompressionStream, ZlibDecompressionStream } from './streams/compression-stream.js';
+export { FlushMode } from './deflate/deflate.js';
+export { Strategy } from './deflate/lz77.js';
+export { TrailingData } from './zlib/decompressor.js';
+export { DigestEncoding } from './hash/hasher.js';
+export { Format } from './streams/formats.js';
+export {
+  ErrorCode, ZlibError, DataError, BufferError, NeedDictError, ChecksumError,
+  DecompressionLimitError,
+} from './utils/errors.js';
+
+/**
+ * Error position for input that ends too early.
+ * @param {Uint8Array} data The input.
+ * @returns {import('./utils/errors.js').ErrorContext} The position (its end).
+ */
+function endContext(data) {
+  return {
+    byteOffset: data.length, bitOffset: 0, blockIndex: null, blockType: null, bytesOut: 0,
+  };
+}
+
+/**
+ * Collects the result of a one-shot ZLIB decompression.
+ * @param {ZlibDecompressor} decompressor The finished decompressor.
+ * @param {Uint8Array} output All of its output.
+ * @returns {{data: Uint8Array, bytesConsumed: number, trailingData?: Uint8Array}} The
+ *   result of `decompress`.
+ */
+function zlibResult(decompressor, output) {
+  const result = { data: output, bytesConsumed: decompressor.bytesConsumed };
+  if (decompressor.trailingMode === TrailingData.RETURN) {
+    result.trailingData = decompressor.trailingData;
+  }
+  return result;
+}
 
 /**
  * ZlibCore Facade.
@@ -15,79 +65,382 @@ export const ZlibCore = {
   /**
    * Compresses data.
    * @param {Uint8Array} data The input data to compress.
+   * @param {object} [options] Compression options.
+   * @param {number} [options.level] Compression level: 0 (stored) to 9 (best), default 6.
+   * @param {number} [options.strategy] Compression strategy (see Strategy), default DEFAULT.
+   * @param {boolean} [options.optimal] Optimal parsing: slower, smaller output.
+   * @param {number} [options.iterations] Cost model iterations of optimal parsing (default 5).
+   * @param {Uint8Array} [options.dictionary] Preset dictionary (written as FDICT + DICTID).
    * @returns {Uint8Array} The compressed data with ZLIB header and checksum.
    */
-  compress(data) {
+  compress(data, options = {}) {
     if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
 
-    // 1. Header
-    const header = ZlibHeader.generate();
+    const compressor = new ZlibCompressor(options);
+    return concatBytes([compressor.push(data), compressor.finish()]);
+  },
 
-    // 2. Deflate
-    const deflate = new Deflate();
-    const compressed = deflate.compress(data);
+  /**
+   * Compresses data like `compress`, without blocking the event loop: the work
+   * runs on the calling thread in time slices, yielding between them (no workers).
+   * @param {Uint8Array} data The input data to compress.
+   * @param {object} [options] Compression options (same as `compress`), plus:
+   * @param {AbortSignal} [options.signal] Stops the work; the promise rejects with the
+   *   signal's reason.
+   * @param {function({bytesIn: number, bytesOut: number}): void} [options.onProgress]
+   *   Called after each slice and once at the end.
+   * @param {number} [options.sliceTime] Time budget of a slice in milliseconds (default 10).
+   * @returns {Promise<Uint8Array>} The compressed data with ZLIB header and checksum.
+   */
+  async compressAsync(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
 
-    // 3. Adler32
-    const adler = adler32(data);
+    return pushSliced(new ZlibCompressor(options), data, options);
+  },
 
-    // Assemble: Header + Buffer + Adler(4 bytes Big Endian)
-    const result = new Uint8Array(header.length + compressed.length + 4);
-    result.set(header, 0);
-    result.set(compressed, header.length);
+  /**
+   * Creates a streaming ZLIB compressor.
+   * `push(chunk)` returns the compressed bytes ready so far, `finish()` writes
+   * the final block and the Adler-32 trailer.
+   * @param {object} [options] Compression options (same as `compress`).
+   * @returns {ZlibCompressor} The compressor.
+   */
+  createCompressor(options = {}) {
+    return new ZlibCompressor(options);
+  },
 
-    const adlerPos = header.length + compressed.length;
-    const view = new DataView(result.buffer);
-    view.setUint32(adlerPos, adler, false); // Big Endian
+  /**
+   * Decompresses data.
+   * The DEFLATE data is decoded up to its final block, wherever that ends, and
+   * the Adler-32 trailer is read right after it; `bytesConsumed` tells where
+   * the stream ended.
+   * @param {Uint8Array} data The ZLIB compressed data.
+   * @param {object} [options] Decompression options.
+   * @param {Uint8Array} [options.dictionary] Preset dictionary, required if the data sets
+   *   FDICT (see `getDictionaryId`).
+   * @param {number} [options.maxOutputLength] Stop with a DecompressionLimitError once
+   *   more than this many bytes are decompressed.
+   * @param {number} [options.maxRatio] Stop with a DecompressionLimitError once the output
+   *   exceeds this multiple of the compressed bytes consumed.
+   * @param {number} [options.sizeHint] Expected decompressed size: the output buffer is
+   *   allocated at this size up front, and returned without a copy if it is exact.
+   * @param {boolean} [options.multiStream] Decode ZLIB streams that directly follow the
+   *   first one (each starting with a valid header) into a single output (default false).
+   * @param {TrailingData} [options.trailingData] What to do with bytes after the last
+   *   stream (default ERROR).
+   * @returns {{data: Uint8Array, bytesConsumed: number, trailingData?: Uint8Array}} The
+   *   decompressed data, the length of the ZLIB stream(s) in `data`, and with RETURN the
+   *   bytes that follow them.
+   * @throws {import('./utils/errors.js').ZlibError} If the data is corrupt or incomplete.
+   */
+  decompress(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
 
-    return result;
+    const decompressor = new ZlibDecompressor(options);
+    const output = decompressor.push(data);
+    decompressor.finish();
+    return zlibResult(decompressor, output);
   },
 
   /**
-   * Decompresses data.
+   * Decompresses data like `decompress`, without blocking the event loop (see
+   * `compressAsync`). `onProgress` counts compressed bytes in and decompressed bytes out.
    * @param {Uint8Array} data The ZLIB compressed data.
-   * @returns {Uint8Array} The decompressed data.
+   * @param {object} [options] Decompression options (same as `decompress`), plus
+   *   `signal`, `onProgress` and `sliceTime` (see `compressAsync`).
+   * @returns {Promise<{data: Uint8Array, bytesConsumed: number, trailingData?: Uint8Array}>}
+   *   The result of `decompress`.
+   * @throws {import('./utils/errors.js').ZlibError} If the data is corrupt or incomplete.
+   */
+  async decompressAsync(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    const decompressor = new ZlibDecompressor(options);
+    const output = await pushSliced(decompressor, data, options);
+    return zlibResult(decompressor, output);
+  },
+
+  /**
+   * Reads the DICTID of ZLIB data, i.e. the Adler-32 of the preset dictionary
+   * the data was compressed with.
+   * @param {Uint8Array} data The ZLIB compressed data (at least its header).
+   * @returns {number|null} The DICTID, or null if no dictionary is required.
+   * @throws {Error} If the header is invalid or incomplete.
    */
-  decompress(data) {
+  getDictionaryId(data) {
     if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
 
-    // 1. Header (2 bytes)
-    const header = data.subarray(0, 2);
-    ZlibHeader.validate(header);
-
-    // 2. Inflate (until EOB implicitly handled by consume?)
-    // We pass the slice starting at 2.
-    // But Inflate might read until it finishes block.
-    // And we need Adler32 at the end (4 bytes).
-    // We should pass subarray(2, length - 4)?
-    // RFC doesn't say stream ends at Adler. It says Adler follows.
-    // If we pass strictly the deflate stream area.
-    // Deflate stream area is (Length - 6).
-
-    if (data.length < 6) throw new Error('Data too short');
-
-    const payload = data.subarray(2, data.length - 4);
-    const inflate = new Inflate(payload);
-    const result = inflate.decompress();
-
-    // 3. Verify Adler32
-    const footerPos = data.length - 4;
-    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
-    const expectedAdler = view.getUint32(footerPos, false); // Big Endian
-
-    const actualAdler = adler32(result);
-    if (actualAdler !== expectedAdler) {
-      if ((actualAdler >>> 0) !== expectedAdler) {
-        throw new Error('Adler32 Checksum Failed');
-      }
+    const header = ZlibHeader.parse(data);
+    if (!header) throw new BufferError('Header too short', endContext(data));
+    return header.dictId;
+  },
+
+  /**
+   * Creates a streaming ZLIB decompressor.
+   * `push(chunk)` accepts input in arbitrary pieces and returns the bytes
+   * decoded so far; `finish()` throws if the stream was truncated.
+   * @param {object} [options] Decompression options (same as `decompress`).
+   * @returns {ZlibDecompressor} The decompressor.
+   */
+  createDecompressor(options = {}) {
+    return new ZlibDecompressor(options);
+  },
+
+  /**
+   * Compresses data into a raw DEFLATE stream (RFC 1951, no header or checksum).
+   * @param {Uint8Array} data The input data to compress.
+   * @param {object} [options] Compression options (same as `compress`).
+   * @returns {Uint8Array} The raw DEFLATE data.
+   */
+  deflateRaw(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    return new Deflate(options).compress(data);
+  },
+
+  /**
+   * Decompresses a raw DEFLATE stream (RFC 1951, no header or checksum).
+   * Bytes after the end of the stream are not an error; `bytesConsumed`
+   * tells where the stream ended (e.g. for ZIP entries or PDF streams).
+   * @param {Uint8Array} data The raw DEFLATE data.
+   * @param {object} [options] Decompression options.
+   * @param {Uint8Array} [options.dictionary] Preset dictionary the data was compressed with.
+   * @param {number} [options.maxOutputLength] Output limit (see `decompress`).
+   * @param {number} [options.maxRatio] Expansion ratio limit (see `decompress`).
+   * @param {number} [options.sizeHint] Expected decompressed size (see `decompress`).
+   * @returns {{data: Uint8Array, bytesConsumed: number}} The decompressed data
+   *   and the length of the DEFLATE stream in `data`.
+   */
+  inflateRaw(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    const inflate = this.createInflateRaw(options);
+    const result = inflate.decompress(data);
+    return { data: result, bytesConsumed: inflate.bytesConsumed };
+  },
+
+  /**
+   * Creates a streaming raw DEFLATE compressor (same options as `deflateRaw`).
+   * @param {object} [options] Compression options.
+   * @returns {Deflate} The compressor.
+   */
+  createDeflateRaw(options = {}) {
+    return new Deflate(options);
+  },
+
+  /**
+   * Creates a streaming raw DEFLATE decompressor (same options as `inflateRaw`).
+   * @param {object} [options] Decompression options.
+   * @returns {Inflate} The decompressor (`bytesConsumed` is available once `ended`).
+   */
+  createInflateRaw(options = {}) {
+    const inflate = new Inflate(undefined, { sizeHint: options.sizeHint });
+    if (options.dictionary) inflate.setDictionary(options.dictionary);
+    inflate.setLimit(DecompressionLimit.fromOptions(options));
+    return inflate;
+  },
+
+  /**
+   * Compresses data into a GZIP member (RFC 1952).
+   * @param {Uint8Array} data The input data to compress.
+   * @param {object} [options] Compression options.
+   * @param {number} [options.level] Compression level: 0 (stored) to 9 (best), default 6.
+   * @param {object} [options.header] Header fields: `text`, `mtime` (Unix seconds), `os`,
+   *   `extra` (Uint8Array), `name`, `comment`, `hcrc` (write a header CRC16).
+   * @returns {Uint8Array} The GZIP data.
+   */
+  gzip(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    const compressor = new GzipCompressor(options);
+    return concatBytes([compressor.push(data), compressor.finish()]);
+  },
+
+  /**
+   * Decompresses GZIP data, including multi-member files (`cat a.gz b.gz`).
+   * @param {Uint8Array} data The GZIP data.
+   * @param {object} [options] Decompression options.
+   * @param {boolean} [options.multiMember] Decode all members (default true).
+   * @param {number} [options.maxOutputLength] Output limit, all members together
+   *   (see `decompress`).
+   * @param {number} [options.maxRatio] Expansion ratio limit (see `decompress`).
+   * @param {number} [options.sizeHint] Expected decompressed size of the first member
+   *   (see `decompress`).
+   * @returns {{data: Uint8Array, header: object, members: object[]}} The decompressed data,
+   *   the header of the first member and the headers of all members.
+   */
+  gunzip(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    const decompressor = new GzipDecompressor(options);
+    const result = decompressor.push(data);
+    decompressor.finish();
+    return { data: result, header: decompressor.header, members: decompressor.members };
+  },
+
+  /**
+   * Detects the container format of compressed data from its leading bytes
+   * (see `decompressAuto`).
+   * @param {Uint8Array} data The compressed data (at least its first 2 bytes).
+   * @returns {Format} "gzip", "deflate" (ZLIB) or "deflate-raw".
+   */
+  detectFormat(data) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    return detectFormat(data);
+  },
+
+  /**
+   * Decompresses GZIP, ZLIB or raw DEFLATE data, whichever it is: GZIP is
+   * recognized by its magic bytes 1F 8B, ZLIB by a valid header (CM 8 and a
+   * correct FCHECK), and anything else is decoded as raw DEFLATE.
+   * @param {Uint8Array} data The compressed data.
+   * @param {object} [options] Decompression options, passed to `gunzip`, `decompress`
+   *   or `inflateRaw` for the detected format.
+   * @returns {{format: Format, data: Uint8Array}} The detected format and the result of
+   *   the function that decoded it (with `header` and `members` for GZIP, `bytesConsumed`
+   *   for the others).
+   * @throws {import('./utils/errors.js').ZlibError} If the data is corrupt or incomplete.
+   */
+  decompressAuto(data, options = {}) {
+    if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    const format = detectFormat(data);
+    switch (format) {
+      case Format.GZIP:
+        return { format, ...this.gunzip(data, options) };
+      case Format.ZLIB:
+        return { format, ...this.decompress(data, options) };
+      default:
+        return { format, ...this.inflateRaw(data, options) };
     }
+  },
 
-    return result;
+  /**
+   * Creates a streaming GZIP compressor (same options as `gzip`).
+   * @param {object} [options] Compression options.
+   * @returns {GzipCompressor} The compressor.
+   */
+  createGzip(options = {}) {
+    return new GzipCompressor(options);
+  },
+
+  /**
+   * Creates a streaming GZIP decompressor (same options as `gunzip`).
+   * Parsed headers are available as `header` / `members`.
+   * @param {object} [options] Decompression options.
+   * @returns {GzipDecompressor} The decompressor.
+   */
+  createGunzip(options = {}) {
+    return new GzipDecompressor(options);
   },
 
   /**
-   * Expose Checksum utility.
+   * Builds a random-access index of compressed data, decoding it once: an
+   * access point is recorded about every `span` decompressed bytes, from which
+   * `readAt` can start decoding. `index.serialize()` writes it to bytes.
+   * @param {Uint8Array|Uint8Array[]|object} data The compressed data (ZLIB, GZIP or raw
+   *   DEFLATE, detected as by `detectFormat`), whole or as an iterable of chunks.
+   * @param {object} [options] Index options.
+   * @param {number} [options.span] Decompressed bytes between access points (default 1 MiB).
+   * @param {Uint8Array} [options.dictionary] Preset dictionary (ZLIB with FDICT, or raw).
+   * @returns {AccessIndex} The index.
+   * @throws {TypeError} If `data` is not a Uint8Array or an iterable of them.
+   * @throws {RangeError} If `span` is not a positive integer.
+   * @throws {import('./utils/errors.js').ZlibError} If the data is corrupt or incomplete.
    */
-  createChecksum: adler32,
+  buildIndex(data, options = {}) {
+    return AccessIndex.build(data, options);
+  },
+
+  /**
+   * Decompresses `length` bytes at a decompressed `offset`, decoding only from
+   * the nearest access point of the index on.
+   * @param {AccessIndex} index The index of `data`.
+   * @param {Uint8Array|function(number, number): Uint8Array} data The compressed data the
+   *   index was built from, or a function `(position, length)` reading bytes of it.
+   * @param {number} offset Decompressed offset of the first byte wanted.
+   * @param {number} length Number of bytes wanted.
+   * @returns {Uint8Array} The bytes (fewer past the end of the data).
+   * @throws {TypeError} If `data` is neither a Uint8Array nor a function.
+   * @throws {RangeError} If `offset` or `length` is invalid.
+   * @throws {import('./utils/errors.js').ZlibError} If the data does not match the index,
+   *   or ends before the range does.
+   */
+  readAt(index, data, offset, length) {
+    if (!(index instanceof AccessIndex)) throw new TypeError('Index must be an AccessIndex');
+
+    return index.readAt(data, offset, length);
+  },
+
+  /**
+   * Restores an index written by `index.serialize()`.
+   * @param {Uint8Array} bytes The serialized index.
+   * @returns {AccessIndex} The index.
+   * @throws {import('./utils/errors.js').ZlibError} If the bytes are not a valid index.
+   */
+  loadIndex(bytes) {
+    return AccessIndex.deserialize(bytes);
+  },
+
+  /**
+   * Creates a pool of Web Workers (or Node.js worker threads) that run
+   * compression jobs off the calling thread: `pool.compress(data, options?)`,
+   * `pool.decompress(data, options?)` and `pool.run(method, data, options?)`
+   * return promises; `close()` stops the workers.
+   * @param {object} [options] Pool options.
+   * @param {number} [options.size] Maximum number of workers (default: the number of cores).
+   * @returns {WorkerPool} The pool.
+   * @throws {RangeError} If `size` is not a positive integer.
+   */
+  createWorkerPool(options = {}) {
+    return new WorkerPool(options);
+  },
+
+  /**
+   * Adler-32 checksum: `createChecksum(buffer, initial?)` checksums a buffer
+   * (continuing from `initial`, the checksum of the preceding data), and
+   * `createChecksum.combine(adler1, adler2, len2)` joins the checksums of two
+   * consecutive pieces, so pieces can be checksummed independently.
+   */
+  createChecksum: Object.assign(
+    (buffer, initial) => adler32(buffer, initial),
+    { combine: adler32Combine },
+  ),
+
+  /**
+   * CRC-32 (IEEE 802.3, as in GZIP, ZIP and PNG): `crc32(buffer, initial?)`
+   * checksums a buffer (continuing from `initial`, the CRC of the preceding
+   * data), and `crc32.combine(crc1, crc2, len2)` joins the CRCs of two
+   * consecutive pieces.
+   */
+  crc32: Object.assign(
+    (buffer, initial) => crc32(buffer, initial),
+    { combine: crc32Combine },
+  ),
+
+  /**
+   * Creates an incremental checksum: `update(chunk)` adds data, `digest(encoding?)`
+   * returns the checksum so far (number, "hex" or "bytes"), `copy()` forks the
+   * state and `reset()` starts over.
+   * @param {string} name "adler32", "crc32", "crc32c" or a name given to `registerHasher`.
+   * @returns {Hasher} The hasher.
+   * @throws {TypeError} If no algorithm has that name.
+   */
+  createHasher(name) {
+    return Hasher.create(name);
+  },
+
+  /**
+   * Registers a 32-bit checksum algorithm for `createHasher`.
+   * @param {string} name A name not registered yet.
+   * @param {import('./hash/hasher.js').HashAlgorithm} algorithm The algorithm: its
+   *   `initial` value, `update(buffer, value)` and optionally `combine(value1, value2, len2)`.
+   * @throws {TypeError} If the name is taken or the algorithm is malformed.
+   */
+  registerHasher(name, algorithm) {
+    Hasher.register(name, algorithm);
+  },
 };
 
-export default ZlibCore;
\ No newline at end of file
+export default ZlibCore;
@@ -3,32 +3,86 @@
  * @description Manages reading bits from the input buffer (LSB) for Inflate (RFC 1951).
  */
 
+import { BufferError } from '../utils/errors.js';
+
 /**
  * A bit stream reader.
+ * Input may arrive in pieces: `append()` queues more bytes behind the unread
+ * ones, and `need()` lets callers check for enough bits before consuming any,
+ * so a decoder can stop at any bit boundary and resume later.
  */
 export default class InflateBitStream {
   /**
-   * @param {Uint8Array} buffer The compressed data buffer.
+   * @param {Uint8Array} [buffer] The compressed data buffer (more can be appended).
    */
-  constructor(buffer) {
+  constructor(buffer = new Uint8Array(0)) {
     this.buffer = buffer;
     this.bytePos = 0;
     this.bitBuffer = 0;
     this.bitCount = 0;
+    this.totalIn = buffer.length; // Bytes received so far
   }
 
   /**
-   * Ensures that at least `count` bits are in the bit buffer.
-   * @param {number} count Number of bits to ensure (max 32).
+   * Queues more input behind the bytes not yet read.
+   * @param {Uint8Array} chunk The next piece of compressed data.
    */
-  ensureBits(count) {
+  append(chunk) {
+    if (chunk.length === 0) return;
+    this.totalIn += chunk.length;
+
+    const rest = this.buffer.length - this.bytePos;
+    if (rest === 0) {
+      this.buffer = chunk;
+    } else {
+      const joined = new Uint8Array(rest + chunk.length);
+      joined.set(this.buffer.subarray(this.bytePos), 0);
+      joined.set(chunk, rest);
+      this.buffer = joined;
+    }
+    this.bytePos = 0;
+  }
+
+  /**
+   * Number of whole bytes not yet moved into the bit buffer.
+   * @returns {number} Unread byte count.
+   */
+  bytesAvailable() {
+    return this.buffer.length - this.bytePos;
+  }
+
+  /**
+   * Number of input bytes consumed so far. A byte counts as consumed as soon
+   * as any of its bits has been read.
+   * @returns {number} Consumed byte count.
+   */
+  bytesConsumed() {
+    return this.totalIn - this.bytesAvailable() - (this.bitCount >> 3);
+  }
+
+  /**
+   * Pulls bytes into the bit buffer until `count` bits are held or input runs out.
+   * @param {number} count Number of bits wanted (max 32 when byte aligned, else 24).
+   * @returns {boolean} True if at least `count` bits are available.
+   */
+  need(count) {
     while (this.bitCount < count) {
-      if (this.bytePos >= this.buffer.length) {
-        throw new Error(`Unexpected end of input. Need ${count}, have ${this.bitCount}, bytePos ${this.bytePos}, len ${this.buffer.length}`);
-      }
+      if (this.bytePos >= this.buffer.length) return false;
       this.bitBuffer |= this.buffer[this.bytePos++] << this.bitCount;
       this.bitCount += 8;
     }
+    return true;
+  }
+
+  /**
+   * Ensures that at least `count` bits are in the bit buffer.
+   * @param {number} count Number of bits to ensure (max 32).
+   * @throws {BufferError} If the input runs out first.
+   */
+  ensureBits(count) {
+    if (!this.need(count)) {
+      throw new BufferError(`Unexpected end of input. Need ${count}, have ${this.bitCount}, bytePos ${this.bytePos}, len ${this.buffer.length}`);
+    }
   }
 
   /**
@@ -36,18 +90,13 @@ export default class InflateBitStream {
    * @param {number} count Number of bits to fill.
    */
   fillBits(count) {
-    while (this.bitCount < count) {
-      if (this.bytePos >= this.buffer.length) {
-        break;
-      }
-      this.bitBuffer |= this.buffer[this.bytePos++] << this.bitCount;
-      this.bitCount += 8;
-    }
+    this.need(count);
   }
 
   /**
    * Reads `count` bits from the stream.
    * @param {number} count Number of bits to read.
+   * @returns {number} The bits, first bit read in the LSB.
    */
   readBits(count) {
     this.ensureBits(count);
@@ -60,6 +109,7 @@ export default class InflateBitStream {
   /**
    * Peeks at `count` bits without consuming them.
    * @param {number} count Number of bits to peek.
+   * @returns {number} The bits, first bit in the LSB.
    */
   peekBits(count) {
     this.ensureBits(count);
@@ -78,11 +128,48 @@ export default class InflateBitStream {
 
   /**
    * Align to byte boundary.
+   * Discards the bits left in the current byte; whole bytes already pulled
+   * into the bit buffer remain readable.
    */
   align() {
-    const bytesBuffered = this.bitCount >> 3;
-    this.bytePos -= bytesBuffered;
-    this.bitCount = 0;
-    this.bitBuffer = 0;
+    const drop = this.bitCount & 7;
+    this.bitBuffer >>>= drop;
+    this.bitCount -= drop;
+  }
+
+  /**
+   * Copies up to `max` byte-aligned input bytes out of the stream.
+   * Call `align()` first.
+   * @param {number} max Maximum number of bytes wanted.
+   * @returns {Uint8Array} The bytes read (may be shorter than `max`).
+   */
+  readBytes(max) {
+    const fromBits = Math.min(this.bitCount >> 3, max);
+    const fromBuffer = Math.min(this.buffer.length - this.bytePos, max - fromBits);
+    if (fromBits === 0) {
+      const out = this.buffer.subarray(this.bytePos, this.bytePos + fromBuffer);
+      this.bytePos += fromBuffer;
+      return out;
+    }
+
+    const out = new Uint8Array(fromBits + fromBuffer);
+    for (let i = 0; i < fromBits; i++) out[i] = this.readBits(8);
+    out.set(this.buffer.subarray(this.bytePos, this.bytePos + fromBuffer), fromBits);
+    this.bytePos += fromBuffer;
+    return out;
+  }
+
+  /**
+   * Returns every unread byte (after aligning) and empties the stream.
+   * Used to hand trailing data to the container once the DEFLATE stream ends.
+   * @returns {Uint8Array} The remaining bytes.
+   */
+  takeRemaining() {
+    this.align();
+    const out = this.readBytes(this.bitCount / 8 + this.bytesAvailable());
+    this.buffer = new Uint8Array(0);
+    this.bytePos = 0;
+    this.totalIn -= out.length; // Handed back: no longer part of this stream
+    return out;
   }
 }
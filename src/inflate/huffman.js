@@ -1,170 +1,270 @@
 /**
  * @module inflate/huffman
- * @description Huffman Token Decoder (RFC 1951).
+ * @description Huffman decoding tables (RFC 1951), in the layout of zlib's inftrees.
  */
 
 import InflateBitStream from './bitstream.js';
+import { DataError } from '../utils/errors.js';
 
 const MAX_BITS = 15;
 
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
+  163, 195, 227, 258,
+];
+const EXTRA_LBITS = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
+  3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const EXTRA_DBITS = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+/**
+ * Alphabet a table decodes, which decides what its entries hold.
+ * @enum {number}
+ */
+export const CodeType = {
+  /** Code length alphabet (symbols 0-18). */
+  CODES: 0,
+  /** Literal/length alphabet (symbols 0-287). */
+  LENS: 1,
+  /** Distance alphabet (symbols 0-31). */
+  DISTS: 2,
+};
+
+/**
+ * Root table bits per CodeType (as zlib: longer codes go to subtables).
+ */
+const ROOT_BITS = [7, 9, 6];
+
+/**
+ * Table entry operations (zlib's `code.op`).
+ * An entry packs `val << 16 | op << 8 | bits`: `bits` is the length of its
+ * code. An op from 1 to 15 links to a subtable: `val` is its offset and op its
+ * index bits, taken from the input just above the root bits. Unlike zlib,
+ * subtable entries hold the whole code length, so nothing is consumed until
+ * the final entry is known.
+ * @enum {number}
+ */
+export const Op = {
+  /** `val` is a literal byte, or a code length symbol. */
+  LITERAL: 0,
+  /** `val` is a length or distance base; the low 4 bits of op are its extra bits. */
+  BASE: 16,
+  /** Invalid code. */
+  INVALID: 64,
+  /** End of block. */
+  END: 96,
+};
+
+/**
+ * Reverses bits of integer `val` for `len` bits.
+ * @param {number} val The code value.
+ * @param {number} len The bit length.
+ * @returns {number} The reversed value.
+ */
+function reverseBits(val, len) {
+  let res = 0;
+  for (let i = 0; i < len; i++) {
+    if ((val >>> i) & 1) {
+      res |= 1 << (len - 1 - i);
+    }
+  }
+  return res;
+}
+
 /**
  * Huffman Decoder.
+ * Decodes with a root table indexed by the next `root` bits of input; codes
+ * longer than that continue in subtables. Entries decode straight to what
+ * the inflater needs (literal, length/distance base and extra bits, end of
+ * block) so the hot loop needs no further lookups.
  */
 export default class HuffmanDecoder {
   /**
    * @param {Uint8Array} lengths - Array of code lengths for each symbol.
+   * @param {CodeType} type - Alphabet of the code.
    */
-  constructor(lengths) {
+  constructor(lengths, type) {
     this.lengths = lengths;
-    this.table = null; // Uint16Array or similar lookup
+    this.type = type;
+    this.table = null;
+    this.root = 0; // Root table index bits
     this.maxLen = 0;
     this.build();
   }
 
   /**
-   * Builds the lookup table.
+   * Checks that code lengths form a usable prefix code (RFC 1951 Section 3.2.2).
+   * An over-subscribed set is never valid. An incomplete set (unused code
+   * space) is only accepted where zlib accepts it: when `allowIncomplete` is
+   * set and the set is empty or a single code of length 1.
+   * @param {Uint8Array} lengths Code length per symbol (0 = unused).
+   * @param {boolean} allowIncomplete Accept an empty set or a single 1-bit code
+   *   (literal/length and distance codes).
+   * @returns {boolean} True if the lengths can be decoded.
    */
-  build() {
-    const { lengths } = this;
-    const lenCounts = new Uint16Array(MAX_BITS + 1).fill(0);
-    const nextCode = new Uint16Array(MAX_BITS + 1).fill(0);
-
-    // Count lengths
+  static isValid(lengths, allowIncomplete) {
+    const lenCounts = new Uint16Array(MAX_BITS + 1);
+    let codes = 0;
     let maxLen = 0;
     for (let i = 0; i < lengths.length; i++) {
       const len = lengths[i];
-      if (len > maxLen) maxLen = len;
-      if (len > 0) lenCounts[len]++;
-    }
-    this.maxLen = maxLen;
-
-    if (this.maxLen > MAX_BITS) {
-      throw new Error('Huffman code length exceeds maximum');
+      if (len > MAX_BITS) return false;
+      if (len > 0) {
+        lenCounts[len]++;
+        codes++;
+        if (len > maxLen) maxLen = len;
+      }
     }
+    if (codes === 0) return allowIncomplete;
 
-    // Assign codes (Canonical)
-    let code = 0;
+    // Code space left after each length; negative means over-subscribed.
+    let left = 1;
     for (let bits = 1; bits <= MAX_BITS; bits++) {
-      code = (code + lenCounts[bits - 1]) << 1;
-      nextCode[bits] = code;
+      left = (left << 1) - lenCounts[bits];
+      if (left < 0) return false;
     }
+    return left === 0 || (allowIncomplete && maxLen === 1);
+  }
 
-    // Build Table
-    // We use a direct lookup table 2^maxLen.
-    // For maxLen=15, size=32768.
-    const tableSize = 1 << maxLen;
-    this.table = new Int32Array(tableSize);
-    // Format: (len << 16) | symbol.
-    // Initialize with -1 (invalid)
-    this.table.fill(-1);
+  /**
+   * Table entry for a symbol, without its bit count.
+   * @param {number} sym The symbol.
+   * @returns {number} `val << 16 | op << 8`.
+   */
+  entryFor(sym) {
+    switch (this.type) {
+      case CodeType.LENS:
+        if (sym < 256) return (sym << 16) | (Op.LITERAL << 8);
+        if (sym === 256) return Op.END << 8;
+        if (sym < 286) {
+          const code = sym - 257;
+          return (LENGTH_BASE[code] << 16) | ((Op.BASE | EXTRA_LBITS[code]) << 8);
+        }
+        return Op.INVALID << 8;
+      case CodeType.DISTS:
+        if (sym < 30) return (DIST_BASE[sym] << 16) | ((Op.BASE | EXTRA_DBITS[sym]) << 8);
+        return Op.INVALID << 8;
+      default:
+        return (sym << 16) | (Op.LITERAL << 8);
+    }
+  }
 
+  /**
+   * Builds the root table and its subtables.
+   * Unused code space (incomplete codes) decodes as Op.INVALID.
+   * @throws {DataError} If a code length exceeds 15 bits.
+   */
+  build() {
+    const { lengths } = this;
+    const lenCounts = new Uint16Array(MAX_BITS + 1);
+    let minLen = MAX_BITS;
+    let maxLen = 0;
     for (let i = 0; i < lengths.length; i++) {
       const len = lengths[i];
-      if (len === 0) continue;
-
-      const c = nextCode[len];
-      nextCode[len]++;
-
-      // Reverse bits of code?
-      // RFC 1951: "The Huffman codes... are packed starting with the most significant bit..."
-      // BUT "Data elements are packed into bytes starting with the least significant bit".
-      // BUT "Data elements are packed into bytes starting with the least significant bit".
-      // This is the tricky part.
-      // "Huffman codes are packed starting with the Most Significant Bit of the code."
-      // Example: Code 10 (binary). Length 2.
-      // Stream: |...| 0 | 1 | ...
-      // Reader reads LSB first.
-      // So we read 0, then 1.
-      // So the code 10 (binary 2) appears as 0 then 1.
-      // If we read integer bits, code 2 (10) -> is that 0 then 1?
-      // Yes, 10 is 1*2 + 0*1.
-      // Bit 0 is 0. Bit 1 is 1.
-      // My BitStream reads LSB.
-      // `readBits(2)` returns 2 (10)?
-      // Wait. `10` binary. Most significant bit is 1. Least is 0.
-      // MSB First means:
-      // First bit sent is MSB.
-      // Stream: MSB, ..., LSB.
-      // `readBits` reads: Bit0, Bit1, ...
-      // So Bit0 is MSB?
-      // NO. "Data elements are packed LSB first."
-      // Huffman codes are MSB first *relative to the code integer*.
-      // But packed LSB first into bytes.
-      // This usually means we need to reverse the bits of the code to match the LSB-read integer.
-      // Example: Code `10` (2). MSB is 1.
-      // Stored as: 1 then 0 ? NO.
-      // RFC 1951: "Huffman codes are packed ... most significant bit first."
-      // "This means that the code 01 is sent 0 then 1."
-      // "This is confusing because ... bits .. are LSB."
-      // "So code 01 is stored as ... bit 0 is 0, bit 1 is 1."
-      // Correct.
-      // If I read `readBits(2)`, I get integer with LSB=0, next=1.
-      // Value: 1*2 + 0*1 = 2 (10 binary).
-      // So `readBits` returns the code integer correctly?
-      // Wait, if code is `10` (2). Sent 1 then 0.
-      // Bit 0 = 1. Bit 1 = 0.
-      // `readBits(2)` -> `0*2 + 1*1` = 1 (01 binary).
-      // So `readBits` result is REVERSED relative to standard code integer.
-      // Canonical generation produces standard integers (MSB is high).
-      // So `c` is standard.
-      // Stream has it reversed.
-      // So we must REVERSE `c` (length `len`) to get the `readBits` integer.
-
-      const revCode = this.reverseBits(c, len);
-
-      // Populate table
-      // We fill all entries `revCode` + `k * (1<<len)`.
-      const increment = 1 << len;
-      for (let j = revCode; j < tableSize; j += increment) {
-        this.table[j] = (len << 16) | i;
+      if (len > 0) {
+        lenCounts[len]++;
+        if (len < minLen) minLen = len;
+        if (len > maxLen) maxLen = len;
       }
     }
-  }
+    if (maxLen > MAX_BITS) {
+      throw new DataError('Huffman code length exceeds maximum');
+    }
+    this.maxLen = maxLen;
 
-  /**
-   * Decodes a symbol from the stream.
-   * @param {InflateBitStream} stream The bit stream to read from.
-   * @returns {number} The decoded symbol.
-   */
-  decode(stream) {
-    // Peek enough bits (safe)
-    stream.fillBits(this.maxLen);
-    const available = stream.bitCount;
-    if (available === 0) {
-      throw new Error('Unexpected end of input during decode');
+    const root = Math.max(Math.min(ROOT_BITS[this.type], maxLen), minLen, 1);
+    this.root = root;
+
+    // Symbols sorted by code length, then value: the canonical code order.
+    const offsets = new Uint16Array(MAX_BITS + 2);
+    for (let len = 1; len <= MAX_BITS; len++) offsets[len + 1] = offsets[len] + lenCounts[len];
+    const sorted = new Uint16Array(offsets[MAX_BITS + 1]);
+    for (let sym = 0; sym < lengths.length; sym++) {
+      if (lengths[sym] > 0) sorted[offsets[lengths[sym]]++] = sym;
     }
 
-    // We mask based on what's available?
-    // But table index requires `maxLen` bits ideally.
-    // If we have fewer, we pad with 0s (implicit in read) or just take what is there.
-    // Since `bitBuffer` has 0s beyond `bitCount` (if managed well) or we mask.
-    const peek = stream.bitBuffer & ((1 << this.maxLen) - 1);
-    const entry = this.table[peek];
+    // Canonical codes, bit-reversed since the stream delivers them LSB first.
+    const codes = new Uint16Array(sorted.length);
+    let code = 0;
+    let prevLen = 0;
+    for (let i = 0; i < sorted.length; i++) {
+      const len = lengths[sorted[i]];
+      code <<= len - prevLen;
+      codes[i] = reverseBits(code, len);
+      code++;
+      prevLen = len;
+    }
 
-    if (entry === -1) {
-      throw new Error('Invalid Huffman Code');
+    // Subtables: one per root index shared by longer codes, sized by the longest.
+    const rootSize = 1 << root;
+    const subBits = new Uint8Array(rootSize);
+    for (let i = 0; i < sorted.length; i++) {
+      const len = lengths[sorted[i]];
+      if (len > root) {
+        const low = codes[i] & (rootSize - 1);
+        subBits[low] = Math.max(subBits[low], len - root);
+      }
+    }
+    const subOffset = new Uint16Array(rootSize);
+    let size = rootSize;
+    for (let low = 0; low < rootSize; low++) {
+      if (subBits[low] > 0) {
+        subOffset[low] = size;
+        size += 1 << subBits[low];
+      }
     }
 
-    const len = entry >>> 16;
-    const sym = entry & 0xFFFF;
+    const table = new Int32Array(size).fill(Op.INVALID << 8);
+    for (let low = 0; low < rootSize; low++) {
+      if (subBits[low] > 0) table[low] = (subOffset[low] << 16) | (subBits[low] << 8);
+    }
 
-    stream.dropBits(len);
-    return sym;
+    // Each code fills every slot whose low bits match it.
+    for (let i = 0; i < sorted.length; i++) {
+      const len = lengths[sorted[i]];
+      const entry = this.entryFor(sorted[i]);
+      if (len <= root) {
+        for (let j = codes[i]; j < rootSize; j += 1 << len) table[j] = entry | len;
+      } else {
+        const low = codes[i] & (rootSize - 1);
+        const end = subOffset[low] + (1 << subBits[low]);
+        const step = 1 << (len - root);
+        for (let j = subOffset[low] + (codes[i] >>> root); j < end; j += step) {
+          table[j] = entry | len;
+        }
+      }
+    }
+    this.table = table;
   }
 
   /**
-   * Reverses bits of integer `val` for `len` bits.
-   * @param {number} val The code value.
-   * @param {number} len The bit length.
-   * @returns {number} The reversed value.
+   * Decodes an entry if enough input is buffered, without consuming anything otherwise.
+   * @param {InflateBitStream} stream The bit stream to read from.
+   * @returns {number} The table entry (see Op), or -1 if more input is needed.
+   *   Op.INVALID entries are returned without consuming input.
    */
-  reverseBits(val, len) {
-    let res = 0;
-    for (let i = 0; i < len; i++) {
-      if ((val >>> i) & 1) {
-        res |= 1 << (len - 1 - i);
-      }
+  tryDecode(stream) {
+    // Peek up to maxLen bits. Bits above `bitCount` are zero, so a short
+    // code can still be resolved when fewer than maxLen bits are available.
+    stream.fillBits(this.maxLen);
+    const { bitBuffer, bitCount } = stream;
+    let here = this.table[bitBuffer & ((1 << this.root) - 1)];
+    let op = (here >>> 8) & 0xFF;
+    if (op !== Op.LITERAL && op < Op.BASE) {
+      here = this.table[(here >>> 16) + ((bitBuffer >>> this.root) & ((1 << op) - 1))];
+      op = (here >>> 8) & 0xFF;
     }
-    return res;
+
+    if (op === Op.INVALID) return bitCount < this.maxLen ? -1 : here;
+    if ((here & 0xFF) > bitCount) return -1;
+    stream.dropBits(here & 0xFF);
+    return here;
   }
 }
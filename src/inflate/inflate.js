@@ -4,193 +4,571 @@
  */
 
 import InflateBitStream from './bitstream.js';
-import HuffmanDecoder from './huffman.js';
+import HuffmanDecoder, { CodeType, Op } from './huffman.js';
+import { ZlibError, DataError, BufferError } from '../utils/errors.js';
 
 // Constants from RFC 1951
 const BL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
 
-const LENGTH_BASE = [
-  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131,
-  163, 195, 227, 258,
-];
-const EXTRA_LBITS = [
-  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
-];
-
-const DIST_BASE = [
-  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049,
-  3073, 4097, 6145, 8193, 12289, 16385, 24577,
-];
-const EXTRA_DBITS = [
-  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
-];
+/**
+ * Size of the sliding window (history available to back references).
+ */
+const WINDOW_SIZE = 32768;
+
+/**
+ * Longest match (RFC 1951 Section 3.2.5).
+ */
+const MAX_MATCH = 258;
+
+/**
+ * The fast loop runs while this much input is left, the most one
+ * literal/length, distance and their extra bits can take.
+ */
+const FAST_INPUT = 8;
+
+/**
+ * Smallest output buffer allocated without a size hint.
+ */
+const MIN_OUTPUT = 65536;
+
+/**
+ * Matches at least this long are copied with `copyWithin()` when they do not
+ * overlap their source; shorter ones are copied byte by byte.
+ */
+const BULK_COPY = 16;
+
+/**
+ * Decoder states. Each state consumes input only once everything it needs
+ * is buffered, so decoding can pause at any point and resume on `push()`.
+ * @enum {number}
+ */
+export const InflateMode = {
+  /** Block header: BFINAL + BTYPE. */
+  HEADER: 0,
+  /** Stored block: LEN and NLEN. */
+  STORED: 1,
+  /** Stored block: copying raw bytes. */
+  COPY: 2,
+  /** Dynamic block: HLIT, HDIST, HCLEN. */
+  TABLE: 3,
+  /** Dynamic block: code lengths of the code length alphabet. */
+  CODELENS: 4,
+  /** Dynamic block: literal/length and distance code lengths. */
+  LENLENS: 5,
+  /** Compressed data: next literal/length symbol. */
+  LEN: 6,
+  /** Compressed data: length extra bits. */
+  LENEXT: 7,
+  /** Compressed data: distance symbol. */
+  DIST: 8,
+  /** Compressed data: distance extra bits. */
+  DISTEXT: 9,
+  /** Final block finished. */
+  DONE: 10,
+  /** A data error occurred; the stream cannot continue. */
+  BAD: 11,
+};
+
+/**
+ * Fixed Huffman code lengths (RFC 1951 Section 3.2.6).
+ */
+const FIXED_LIT_LENS = new Uint8Array(288);
+FIXED_LIT_LENS.fill(8, 0, 144);
+FIXED_LIT_LENS.fill(9, 144, 256);
+FIXED_LIT_LENS.fill(7, 256, 280);
+FIXED_LIT_LENS.fill(8, 280, 288);
+// All 32 distance codes exist; 30 and 31 are rejected when decoded.
+const FIXED_DIST_LENS = new Uint8Array(32).fill(5);
+
+/**
+ * Fixed code decoders, built on first use and shared by every stream.
+ */
+let fixedLitTree = null;
+let fixedDistTree = null;
+
+/**
+ * Largest HLIT + 257 and HDIST + 1 values RFC 1951 allows (the 5-bit fields can say more).
+ */
+const MAX_LITLEN_CODES = 286;
+const MAX_DIST_CODES = 30;
 
 /**
  * Inflate Decompressor.
+ *
+ * Streaming: `push()` accepts compressed input in arbitrary pieces and returns
+ * the bytes decoded so far. Output is decoded into a single growable buffer
+ * that also serves as the history for back references; bytes already handed
+ * out are dropped when it is compacted, keeping the last 32K. A size hint
+ * preallocates it, so a one-shot decompression of known size never copies;
+ * the allocation waits for the first `push()`, so that it can be cut down to
+ * what the limits allow.
+ *
+ * Compressed blocks are decoded by a fast loop (`inflateFast()`, after zlib's
+ * inffast) whenever enough input and output space is at hand to skip all
+ * per-symbol checks; the state machine finishes the rest byte by byte.
+ * Output limits (`setLimit()`) are enforced whenever the buffer must grow.
  */
 export default class Inflate {
   /**
-   * @param {Uint8Array} input Compressed data.
+   * @param {Uint8Array} [input] Optional initial compressed data.
+   * @param {object} [options] Decoding options.
+   * @param {number} [options.sizeHint] Expected decompressed size in bytes: the output
+   *   buffer is allocated at this size (or what the limits allow) on the first `push()`
+   *   (it still grows if the data is larger).
+   * @throws {RangeError} If `sizeHint` is not a non-negative integer.
    */
-  constructor(input) {
-    this.stream = new InflateBitStream(input);
-    this.output = new Uint8Array(1024); // Dynamically expandable
-    this.outputPos = 0;
+  constructor(input, { sizeHint = 0 } = {}) {
+    if (!Number.isInteger(sizeHint) || sizeHint < 0) {
+      throw new RangeError(`Invalid sizeHint: ${sizeHint}`);
+    }
+    this.stream = new InflateBitStream();
+    this.mode = InflateMode.HEADER;
+    this.last = false; // BFINAL of the current block
+    this.blockIndex = -1; // Index of the current block
+    this.blockType = null; // BTYPE of the current block
+
+    // Output buffer: out[0, outStart) is history already handed out (or the
+    // preset dictionary), out[outStart, outPos) is output not yet taken.
+    this.out = new Uint8Array(0);
+    this.sizeHint = sizeHint; // Preallocated by the first push()
+    this.outPos = 0;
+    this.outStart = 0;
+    this.totalOut = 0;
+    this.dictLength = 0; // Preset dictionary bytes preceding the output
+    this.limit = null; // DecompressionLimit checked as the buffer grows
+    this.outputCap = Infinity; // Bytes a push() may decode before pausing
+    this.pauseAt = Infinity; // totalOut at which the current push() pauses
+    this.onBlockEnd = null; // Called after each non-final block, e.g. to record access points
+
+    // Position of this stream in the caller's data, added to error offsets
+    this.inputOffset = 0;
+    this.outputOffset = 0;
+
+    // Per-block state
+    this.length = 0; // Stored length, or match length
+    this.extra = 0; // Extra bits wanted by LENEXT / DISTEXT
+    this.dist = 0;
+    this.litTree = null;
+    this.distTree = null;
+
+    // Dynamic header state
+    this.nlen = 0;
+    this.ndist = 0;
+    this.ncode = 0;
+    this.have = 0;
+    this.codeLens = new Uint8Array(19);
+    this.allLens = null;
+    this.codeLenTree = null;
+    this.repeatSym = -1; // Code length repeat symbol awaiting its extra bits
+
+    if (input) this.stream.append(input);
   }
 
   /**
-   * Decompresses the data.
-   * @returns {Uint8Array} Decompressed data.
+   * Whether the final block has been fully decoded.
+   * @returns {boolean} True once the stream has ended.
    */
-  decompress() {
-    let bfinal = 0;
-    while (!bfinal) {
-      bfinal = this.stream.readBits(1);
-      const btype = this.stream.readBits(2);
+  get ended() {
+    return this.mode === InflateMode.DONE;
+  }
 
-      switch (btype) {
-        case 0:
-          this.processStored();
-          break;
-        case 1:
-          this.processFixed();
-          break;
-        case 2:
-          this.processDynamic();
-          break;
-        default:
-          throw new Error(`Invalid Block Type: ${btype}`);
-      }
-    }
-    return this.output.subarray(0, this.outputPos);
+  /**
+   * Number of input bytes that belong to the DEFLATE stream so far.
+   * Once the stream has ended, this is its exact length in bytes.
+   * @returns {number} Consumed byte count.
+   */
+  get bytesConsumed() {
+    return this.stream.bytesConsumed();
   }
 
   /**
-   * Process Type 0: Stored (Uncompressed).
+   * Whether the last `push()` stopped at the output cap (`setOutputCap()`)
+   * rather than at the end of its input; `push()` with an empty chunk resumes.
+   * @returns {boolean} True if decoding paused.
    */
-  processStored() {
-    this.stream.align();
-    const len = this.stream.readBits(16);
-    const nlen = this.stream.readBits(16);
+  get paused() {
+    return this.totalOut >= this.pauseAt && this.mode !== InflateMode.DONE
+      && this.mode !== InflateMode.BAD;
+  }
 
-    if ((len ^ 0xFFFF) !== nlen) {
-      throw new Error('Invalid Stored Block: LEN != ~NLEN');
+  /**
+   * Feeds compressed input and decodes as far as possible, or until the
+   * output cap is reached.
+   * @param {Uint8Array} chunk The next piece of compressed data.
+   * @returns {Uint8Array} The bytes decoded so far (possibly empty).
+   */
+  push(chunk) {
+    if (this.ended && chunk.length > 0) {
+      throw new DataError('Junk found after end of compressed data', this.errorContext());
     }
+    this.stream.append(chunk);
+    if (this.sizeHint > 0) this.allocateHint();
+    this.pauseAt = this.totalOut + this.outputCap;
+    this.run();
+    return this.takeOutput();
+  }
 
-    for (let i = 0; i < len; i++) {
-      const val = this.stream.readBits(8);
-      this.writeByte(val);
-    }
+  /**
+   * Checks that the stream is complete.
+   * @returns {Uint8Array} Always empty; all output is returned by `push()`.
+   * @throws {BufferError} If the final block has not been decoded.
+   */
+  finish() {
+    if (!this.ended) throw new BufferError('Unexpected end of input', this.errorContext());
+    return new Uint8Array(0);
   }
 
   /**
-   * Process Type 1: Fixed Huffman.
+   * Decompresses a complete stream in one call.
+   * @param {Uint8Array} [input] Compressed data (defaults to the constructor input).
+   * @returns {Uint8Array} Decompressed data.
+   * @throws {BufferError} If the stream is truncated.
    */
-  processFixed() {
-    // Stub for fixed, just placeholder logic or error if strict.
-    // Assuming Deflate uses Dynamic.
-    // But for completeness:
-    const litLens = new Uint8Array(288);
-    for (let i = 0; i <= 143; i++) litLens[i] = 8;
-    for (let i = 144; i <= 255; i++) litLens[i] = 9;
-    for (let i = 256; i <= 279; i++) litLens[i] = 7;
-    for (let i = 280; i <= 287; i++) litLens[i] = 8;
+  decompress(input = new Uint8Array(0)) {
+    const output = this.push(input);
+    if (!this.ended) throw new BufferError('Unexpected end of input', this.errorContext());
+    return output;
+  }
 
-    const distLens = new Uint8Array(30).fill(5);
+  /**
+   * Preloads the history with a preset dictionary (RFC 1950 FDICT), so that
+   * back references may reach into it. Must be called before any data is decoded.
+   * @param {Uint8Array} dictionary The dictionary bytes (only the last 32K are used).
+   * @throws {Error} If output has already been produced.
+   */
+  setDictionary(dictionary) {
+    if (this.totalOut > 0) throw new Error('Dictionary must be set before decoding');
 
-    const litTree = new HuffmanDecoder(litLens);
-    const distTree = new HuffmanDecoder(distLens);
+    const dict = dictionary.subarray(Math.max(0, dictionary.length - WINDOW_SIZE));
+    this.out = new Uint8Array(dict.length);
+    this.out.set(dict, 0);
+    this.outPos = dict.length;
+    this.outStart = dict.length; // Dictionary bytes are history, not output
+    this.dictLength = dict.length;
+  }
 
-    this.processBlock(litTree, distTree);
+  /**
+   * Sets the output limits. Whenever the output buffer must grow, and before
+   * `push()` returns, the totals are checked; growth is capped at what the
+   * limits still allow, so a decompression bomb is stopped before its output
+   * is allocated. The same cap applies to the size hint.
+   * @param {import('./limits.js').default|null} limit The limits (null for none).
+   */
+  setLimit(limit) {
+    this.limit = limit;
   }
 
   /**
-   * Process Type 2: Dynamic Huffman.
+   * Caps the output of each `push()`, so that a small input that expands
+   * enormously is decoded over several calls. Decoding pauses at the first
+   * symbol boundary past the cap (it may overshoot by one match, or by the
+   * rest of a stored block), keeping the unread input; see `paused`.
+   * @param {number} cap Bytes per push (Infinity for no cap).
+   * @throws {RangeError} If the cap is not a positive number.
    */
-  processDynamic() {
-    const HLIT = this.stream.readBits(5) + 257;
-    const HDIST = this.stream.readBits(5) + 1;
-    const HCLEN = this.stream.readBits(4) + 4;
+  setOutputCap(cap) {
+    if (typeof cap !== 'number' || !(cap > 0)) throw new RangeError(`Invalid output cap: ${cap}`);
+    this.outputCap = cap;
+  }
 
-    // Read code lengths for code length alphabet
-    const codeLens = new Uint8Array(19).fill(0);
-    for (let i = 0; i < HCLEN; i++) {
-      codeLens[BL_ORDER[i]] = this.stream.readBits(3);
+  /**
+   * Allocates the output buffer at the size hint, cut down to what the limits
+   * allow for the input received so far (plus one byte, so that crossing a
+   * limit is detected).
+   */
+  allocateHint() {
+    let size = this.sizeHint;
+    this.sizeHint = 0;
+    if (this.limit) {
+      const allowed = this.limit.allowance(this.stream.totalIn) - this.totalOut;
+      size = Math.min(size, Math.max(0, allowed) + 1);
     }
+    const out = new Uint8Array(this.outPos + size);
+    out.set(this.out.subarray(0, this.outPos));
+    this.out = out;
+  }
 
-    const codeLenTree = new HuffmanDecoder(codeLens);
-
-    // Decode Lit/Len and Dist lengths
-    const allLens = new Uint8Array(HLIT + HDIST);
-    let i = 0;
-    while (i < HLIT + HDIST) {
-      const sym = codeLenTree.decode(this.stream);
-      if (sym < 16) {
-        allLens[i++] = sym;
-      } else if (sym === 16) {
-        const repeat = this.stream.readBits(2) + 3;
-        const last = allLens[i - 1];
-        for (let j = 0; j < repeat; j++) allLens[i++] = last;
-      } else if (sym === 17) {
-        const repeat = this.stream.readBits(3) + 3;
-        for (let j = 0; j < repeat; j++) allLens[i++] = 0;
-      } else if (sym === 18) {
-        const repeat = this.stream.readBits(7) + 11;
-        for (let j = 0; j < repeat; j++) allLens[i++] = 0;
-      }
+  /**
+   * Returns the input bytes following the end of the DEFLATE stream.
+   * @returns {Uint8Array} Unused input (empty if the stream has not ended).
+   */
+  takeRemaining() {
+    if (!this.ended) return new Uint8Array(0);
+    return this.stream.takeRemaining();
+  }
+
+  /**
+   * Discards the leading bits of the input, to start decoding in the middle of
+   * a byte (as when resuming at an access point). Must be called before any
+   * data is decoded, with those bits already given.
+   * @param {number} count Bits to skip (0-7).
+   * @throws {BufferError} If the input holds fewer bits.
+   */
+  skipBits(count) {
+    if (!this.stream.need(count)) {
+      throw new BufferError('Unexpected end of input', this.errorContext());
     }
+    this.stream.dropBits(count);
+  }
 
-    const litLens = allLens.subarray(0, HLIT);
-    const distLens = allLens.subarray(HLIT);
+  /**
+   * Position of the next unread bit, counted in bits from the start of the
+   * caller's data (`inputOffset` included).
+   * @returns {number} The bit position.
+   */
+  bitPosition() {
+    const { stream } = this;
+    return (this.inputOffset + stream.totalIn - stream.bytesAvailable()) * 8 - stream.bitCount;
+  }
 
-    const litTree = new HuffmanDecoder(litLens);
-    const distTree = new HuffmanDecoder(distLens);
+  /**
+   * The history back references may reach at this point: the last 32K of
+   * output, preceded by the preset dictionary while the output is shorter.
+   * @returns {Uint8Array} A copy of the window.
+   */
+  history() {
+    return this.out.slice(Math.max(0, this.outPos - WINDOW_SIZE), this.outPos);
+  }
 
-    this.processBlock(litTree, distTree);
+  /**
+   * Describes the current position, for errors.
+   * @returns {import('../utils/errors.js').ErrorContext} The position.
+   */
+  errorContext() {
+    const bits = this.bitPosition();
+    return {
+      byteOffset: Math.floor(bits / 8),
+      bitOffset: bits % 8,
+      blockIndex: this.blockIndex >= 0 ? this.blockIndex : null,
+      blockType: this.blockType,
+      bytesOut: this.outputOffset + this.totalOut,
+    };
   }
 
   /**
-   * Decodes data using the trees.
-   * @param {HuffmanDecoder} litTree Literal/Length tree.
-   * @param {HuffmanDecoder} distTree Distance tree.
+   * Runs the state machine until input runs out, the stream ends or the
+   * output cap is reached.
+   * @throws {ZlibError} On corrupt data or a crossed limit, with the position filled in.
    */
-  processBlock(litTree, distTree) {
-    let active = true;
-    while (active) {
-      const sym = litTree.decode(this.stream);
-      if (sym < 256) {
-        // Literal
-        this.writeByte(sym);
-      } else if (sym === 256) {
-        // EOB
-        active = false;
-        return;
-      } else {
-        // Length (257..285)
-        let len = sym - 257;
-        if (len >= 29) {
-          throw new Error('Invalid Length Symbol');
-        }
-        const extraBits = EXTRA_LBITS[len];
-        const base = LENGTH_BASE[len];
-        if (extraBits > 0) {
-          len = base + this.stream.readBits(extraBits);
-        } else {
-          len = base;
+  run() {
+    try {
+      while (this.totalOut < this.pauseAt && this.step());
+      this.checkLimit();
+    } catch (err) {
+      this.mode = InflateMode.BAD;
+      if (err instanceof ZlibError) err.setContext(this.errorContext());
+      throw err;
+    }
+  }
+
+  /**
+   * Executes one state.
+   * @returns {boolean} False if decoding must wait for more input (or has ended).
+   */
+  step() {
+    const { stream } = this;
+
+    switch (this.mode) {
+      case InflateMode.HEADER: {
+        if (!stream.need(3)) return false;
+        this.last = stream.readBits(1) === 1;
+        const btype = stream.readBits(2);
+        this.blockIndex++;
+        this.blockType = btype;
+        switch (btype) {
+          case 0:
+            stream.align();
+            this.mode = InflateMode.STORED;
+            break;
+          case 1:
+            if (!fixedLitTree) {
+              fixedLitTree = new HuffmanDecoder(FIXED_LIT_LENS, CodeType.LENS);
+              fixedDistTree = new HuffmanDecoder(FIXED_DIST_LENS, CodeType.DISTS);
+            }
+            this.litTree = fixedLitTree;
+            this.distTree = fixedDistTree;
+            this.mode = InflateMode.LEN;
+            break;
+          case 2:
+            this.mode = InflateMode.TABLE;
+            break;
+          default:
+            throw new DataError(`Invalid Block Type: ${btype}`);
+        }
+        return true;
+      }
+
+      case InflateMode.STORED: {
+        // Byte aligned, so 32 bits fit in the bit buffer.
+        if (!stream.need(32)) return false;
+        const len = stream.readBits(16);
+        const nlen = stream.readBits(16);
+        if ((len ^ 0xFFFF) !== nlen) {
+          throw new DataError('Invalid Stored Block: LEN != ~NLEN');
+        }
+        this.length = len;
+        this.mode = InflateMode.COPY;
+        return true;
+      }
+
+      case InflateMode.COPY: {
+        while (this.length > 0) {
+          const bytes = stream.readBytes(this.length);
+          if (bytes.length === 0) return false;
+          this.writeBytes(bytes);
+          this.length -= bytes.length;
         }
+        this.endBlock();
+        return true;
+      }
 
-        // Distance
-        const distSym = distTree.decode(this.stream);
-        const distExtra = EXTRA_DBITS[distSym];
-        const distBase = DIST_BASE[distSym];
-        let dist = distBase;
-        if (distExtra > 0) {
-          dist = distBase + this.stream.readBits(distExtra);
+      case InflateMode.TABLE: {
+        if (!stream.need(14)) return false;
+        this.nlen = stream.readBits(5) + 257;
+        this.ndist = stream.readBits(5) + 1;
+        this.ncode = stream.readBits(4) + 4;
+        if (this.nlen > MAX_LITLEN_CODES || this.ndist > MAX_DIST_CODES) {
+          throw new DataError('Too many length or distance symbols');
         }
+        this.have = 0;
+        this.codeLens.fill(0);
+        this.mode = InflateMode.CODELENS;
+        return true;
+      }
+
+      case InflateMode.CODELENS: {
+        // Read code lengths for code length alphabet
+        while (this.have < this.ncode) {
+          if (!stream.need(3)) return false;
+          this.codeLens[BL_ORDER[this.have++]] = stream.readBits(3);
+        }
+        if (!HuffmanDecoder.isValid(this.codeLens, false)) {
+          throw new DataError('Invalid code lengths set');
+        }
+        this.codeLenTree = new HuffmanDecoder(this.codeLens, CodeType.CODES);
+        this.allLens = new Uint8Array(this.nlen + this.ndist);
+        this.have = 0;
+        this.repeatSym = -1;
+        this.mode = InflateMode.LENLENS;
+        return true;
+      }
+
+      case InflateMode.LENLENS: {
+        if (!this.decodeLengths()) return false;
+        const litLens = this.allLens.subarray(0, this.nlen);
+        const distLens = this.allLens.subarray(this.nlen);
+        if (litLens[256] === 0) throw new DataError('Invalid code -- missing end-of-block');
+        if (!HuffmanDecoder.isValid(litLens, true)) throw new DataError('Invalid literal/lengths set');
+        if (!HuffmanDecoder.isValid(distLens, true)) throw new DataError('Invalid distances set');
+        this.litTree = new HuffmanDecoder(litLens, CodeType.LENS);
+        this.distTree = new HuffmanDecoder(distLens, CodeType.DISTS);
+        this.mode = InflateMode.LEN;
+        return true;
+      }
+
+      case InflateMode.LEN: {
+        if (stream.bytesAvailable() >= FAST_INPUT && this.out.length - this.outPos >= MAX_MATCH) {
+          this.inflateFast();
+          return true;
+        }
+        const here = this.litTree.tryDecode(stream);
+        if (here === -1) return false;
+        const op = (here >>> 8) & 0xFF;
+        if (op === Op.LITERAL) {
+          this.writeByte(here >>> 16);
+        } else if (op & Op.BASE) {
+          this.length = here >>> 16;
+          this.extra = op & 15;
+          this.mode = InflateMode.LENEXT;
+        } else if (op === Op.END) {
+          this.endBlock();
+        } else {
+          throw new DataError('Invalid literal/length code');
+        }
+        return true;
+      }
+
+      case InflateMode.LENEXT:
+        if (!stream.need(this.extra)) return false;
+        this.length += stream.readBits(this.extra);
+        this.mode = InflateMode.DIST;
+        return true;
+
+      case InflateMode.DIST: {
+        const here = this.distTree.tryDecode(stream);
+        if (here === -1) return false;
+        const op = (here >>> 8) & 0xFF;
+        if (!(op & Op.BASE)) throw new DataError('Invalid distance code');
+        this.dist = here >>> 16;
+        this.extra = op & 15;
+        this.mode = InflateMode.DISTEXT;
+        return true;
+      }
 
-        this.copyMatch(len, dist);
+      case InflateMode.DISTEXT:
+        if (!stream.need(this.extra)) return false;
+        this.dist += stream.readBits(this.extra);
+        this.copyMatch(this.length, this.dist);
+        this.mode = InflateMode.LEN;
+        return true;
+
+      case InflateMode.DONE:
+        return false;
+
+      default:
+        throw new Error('Inflate stream is in an error state');
+    }
+  }
+
+  /**
+   * Decodes the run-length encoded literal/length and distance code lengths.
+   * @returns {boolean} True once all HLIT + HDIST lengths are known.
+   * @throws {DataError} If a repeat has no previous length or runs past HLIT + HDIST.
+   */
+  decodeLengths() {
+    const { stream, allLens } = this;
+    const total = this.nlen + this.ndist;
+
+    while (this.have < total) {
+      if (this.repeatSym === -1) {
+        const here = this.codeLenTree.tryDecode(stream);
+        if (here === -1) return false;
+        const sym = here >>> 16;
+        if (sym < 16) {
+          allLens[this.have++] = sym;
+        } else {
+          this.repeatSym = sym;
+        }
+      } else {
+        let value = 0;
+        let repeat;
+        if (this.repeatSym === 16) {
+          if (this.have === 0) throw new DataError('Invalid bit length repeat');
+          if (!stream.need(2)) return false;
+          repeat = stream.readBits(2) + 3;
+          value = allLens[this.have - 1];
+        } else if (this.repeatSym === 17) {
+          if (!stream.need(3)) return false;
+          repeat = stream.readBits(3) + 3;
+        } else {
+          if (!stream.need(7)) return false;
+          repeat = stream.readBits(7) + 11;
+        }
+        if (this.have + repeat > total) throw new DataError('Invalid bit length repeat');
+        for (let j = 0; j < repeat; j++) allLens[this.have++] = value;
+        this.repeatSym = -1;
       }
     }
+    return true;
+  }
+
+  /**
+   * Finishes the current block. The decoder is in a consistent state here
+   * (the fast loop has written its position back), as `onBlockEnd` relies on.
+   */
+  endBlock() {
+    this.mode = this.last ? InflateMode.DONE : InflateMode.HEADER;
+    if (!this.last && this.onBlockEnd) this.onBlockEnd(this);
   }
 
   /**
@@ -198,28 +576,221 @@ export default class Inflate {
    * @param {number} byte The byte to write.
    */
   writeByte(byte) {
-    if (this.outputPos >= this.output.length) {
-      const newSize = this.output.length * 2;
-      const newBuf = new Uint8Array(newSize);
-      newBuf.set(this.output);
-      this.output = newBuf;
-    }
-    this.output[this.outputPos++] = byte;
+    if (this.outPos === this.out.length) this.makeRoom(1);
+    this.out[this.outPos++] = byte;
+    this.totalOut++;
+  }
+
+  /**
+   * Writes a run of bytes to output.
+   * @param {Uint8Array} bytes The bytes to write.
+   */
+  writeBytes(bytes) {
+    this.makeRoom(bytes.length);
+    this.out.set(bytes, this.outPos);
+    this.outPos += bytes.length;
+    this.totalOut += bytes.length;
   }
 
   /**
-   * Copies a match from the output buffer.
+   * Copies a match from the history.
    * @param {number} len Match length.
    * @param {number} dist Backward distance.
+   * @throws {DataError} If the distance reaches before the window or the start of the data.
    */
   copyMatch(len, dist) {
-    let srcPos = this.outputPos - dist;
-    if (srcPos < 0) {
-      throw new Error(`Invalid distance: ${dist} > ${this.outputPos}`);
+    if (dist > WINDOW_SIZE || dist > this.outPos) {
+      throw new DataError(`Invalid distance: ${dist} > ${this.totalOut + this.dictLength}`);
+    }
+
+    this.makeRoom(len);
+    const { out } = this;
+    let from = this.outPos - dist;
+    const end = this.outPos + len;
+    for (let pos = this.outPos; pos < end; pos++) out[pos] = out[from++];
+    this.outPos = end;
+    this.totalOut += len;
+  }
+
+  /**
+   * Decodes literals and matches of a compressed block until it ends, the
+   * input or output space runs low (after zlib's inffast), or the output cap
+   * is reached. Entry requires at least FAST_INPUT input bytes and MAX_MATCH
+   * bytes of output space; while that holds, no symbol can run out of either,
+   * so the loop never checks.
+   * Bits are held in a local 32-bit accumulator and refilled two bytes at a
+   * time: 15 bits cover any code, and each refill covers the extra bits after it.
+   * @throws {DataError} On an invalid code or distance.
+   */
+  inflateFast() {
+    const { stream, out } = this;
+    const input = stream.buffer;
+    const inLast = input.length - FAST_INPUT;
+    const outLast = Math.min(out.length - MAX_MATCH, this.outPos + this.pauseAt - this.totalOut);
+    const lcode = this.litTree.table;
+    const dcode = this.distTree.table;
+    const lroot = this.litTree.root;
+    const droot = this.distTree.root;
+    const lmask = (1 << lroot) - 1;
+    const dmask = (1 << droot) - 1;
+
+    let inPos = stream.bytePos;
+    let hold = stream.bitBuffer;
+    let bits = stream.bitCount;
+    let { outPos } = this;
+    let error = null;
+    let blockEnded = false;
+
+    do {
+      if (bits < 15) {
+        hold |= input[inPos++] << bits;
+        bits += 8;
+        hold |= input[inPos++] << bits;
+        bits += 8;
+      }
+      let here = lcode[hold & lmask];
+      let op = (here >>> 8) & 0xFF;
+      if (op !== Op.LITERAL && op < Op.BASE) {
+        // Subtable entries count the root bits in their length
+        here = lcode[(here >>> 16) + ((hold >>> lroot) & ((1 << op) - 1))];
+        op = (here >>> 8) & 0xFF;
+      }
+      hold >>>= here & 0xFF;
+      bits -= here & 0xFF;
+
+      if (op === Op.LITERAL) {
+        out[outPos++] = here >>> 16;
+      } else if (op & Op.BASE) {
+        let len = here >>> 16;
+        op &= 15;
+        if (op) {
+          if (bits < op) {
+            hold |= input[inPos++] << bits;
+            bits += 8;
+            hold |= input[inPos++] << bits;
+            bits += 8;
+          }
+          len += hold & ((1 << op) - 1);
+          hold >>>= op;
+          bits -= op;
+        }
+
+        if (bits < 15) {
+          hold |= input[inPos++] << bits;
+          bits += 8;
+          hold |= input[inPos++] << bits;
+          bits += 8;
+        }
+        here = dcode[hold & dmask];
+        op = (here >>> 8) & 0xFF;
+        if (op !== Op.LITERAL && op < Op.BASE) {
+          here = dcode[(here >>> 16) + ((hold >>> droot) & ((1 << op) - 1))];
+          op = (here >>> 8) & 0xFF;
+        }
+        if (!(op & Op.BASE)) {
+          error = 'Invalid distance code';
+          break;
+        }
+        hold >>>= here & 0xFF;
+        bits -= here & 0xFF;
+
+        let dist = here >>> 16;
+        op &= 15;
+        if (op) {
+          if (bits < op) {
+            hold |= input[inPos++] << bits;
+            bits += 8;
+            hold |= input[inPos++] << bits;
+            bits += 8;
+          }
+          dist += hold & ((1 << op) - 1);
+          hold >>>= op;
+          bits -= op;
+        }
+        if (dist > outPos) {
+          error = `Invalid distance: ${dist} > ${this.totalOut + outPos - this.outPos + this.dictLength}`;
+          break;
+        }
+
+        let from = outPos - dist;
+        if (len >= BULK_COPY && dist >= len) {
+          out.copyWithin(outPos, from, from + len);
+          outPos += len;
+        } else {
+          const end = outPos + len;
+          while (outPos < end) out[outPos++] = out[from++];
+        }
+      } else if (op === Op.END) {
+        blockEnded = true;
+        break;
+      } else {
+        error = 'Invalid literal/length code';
+        break;
+      }
+    } while (inPos <= inLast && outPos <= outLast);
+
+    // Unused bits stay in the stream's bit buffer (at most 30).
+    stream.bytePos = inPos;
+    stream.bitBuffer = hold;
+    stream.bitCount = bits;
+    this.totalOut += outPos - this.outPos;
+    this.outPos = outPos;
+    if (error) throw new DataError(error);
+    if (blockEnded) this.endBlock();
+  }
+
+  /**
+   * Makes room for `n` more output bytes. Output already handed out is
+   * dropped, except the last 32K (the history back references may reach);
+   * if that frees too little, the buffer doubles, up to what the limits allow.
+   * @param {number} n Bytes about to be written.
+   * @throws {import('../utils/errors.js').DecompressionLimitError} If the output crosses a limit.
+   */
+  makeRoom(n) {
+    if (this.out.length - this.outPos >= n) return;
+    this.checkLimit();
+
+    const keep = Math.max(0, Math.min(this.outStart, this.outPos - WINDOW_SIZE));
+    const live = this.outPos - keep;
+    let size = this.out.length;
+    if ((live + n) * 2 > size) {
+      size = Math.max(size * 2, live + n, MIN_OUTPUT);
+      if (this.limit) {
+        // Room for one byte past the limit, so that crossing it is detected
+        const allowed = this.limit.allowance(this.stream.totalIn) - this.totalOut;
+        size = Math.min(size, live + Math.max(n, allowed + 1));
+      }
     }
 
-    for (let i = 0; i < len; i++) {
-      this.writeByte(this.output[srcPos++]);
+    if (size === this.out.length) {
+      this.out.copyWithin(0, keep, this.outPos);
+    } else {
+      const out = new Uint8Array(size);
+      out.set(this.out.subarray(keep, this.outPos));
+      this.out = out;
     }
+    this.outPos -= keep;
+    this.outStart -= keep;
+  }
+
+  /**
+   * Checks the output totals against the limits, if any.
+   * @throws {import('../utils/errors.js').DecompressionLimitError} If the output crosses a limit.
+   */
+  checkLimit() {
+    if (this.limit) this.limit.check(this.totalOut, this.stream.bytesConsumed());
+  }
+
+  /**
+   * Collects the output produced since the last call.
+   * Once the stream has ended, a buffer filled exactly (as with a correct
+   * size hint) is returned as is, without copying.
+   * @returns {Uint8Array} The decoded bytes.
+   */
+  takeOutput() {
+    const { out, outStart, outPos } = this;
+    this.outStart = outPos;
+    if (this.ended && outStart === 0 && outPos === out.length) return out;
+    return out.slice(outStart, outPos);
   }
 }
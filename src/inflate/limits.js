@@ -0,0 +1,87 @@
+/**
+ * @module inflate/limits
+ * @description Decompression bomb protection: output size and expansion ratio limits.
+ */
+
+import { DecompressionLimitError } from '../utils/errors.js';
+
+/**
+ * Output limits of one decompression, shared by every DEFLATE stream it
+ * decodes (e.g. all members of a GZIP file).
+ */
+export default class DecompressionLimit {
+  /**
+   * @param {object} [options] Limits (both unlimited by default).
+   * @param {number} [options.maxOutputLength] Maximum number of decompressed bytes.
+   * @param {number} [options.maxRatio] Maximum decompressed / compressed size ratio,
+   *   measured against the compressed bytes consumed so far.
+   * @throws {RangeError} If a limit is not a valid number.
+   */
+  constructor({ maxOutputLength = Infinity, maxRatio = Infinity } = {}) {
+    const unlimited = maxOutputLength === Infinity;
+    if (!unlimited && (!Number.isInteger(maxOutputLength) || maxOutputLength < 0)) {
+      throw new RangeError(`Invalid maxOutputLength: ${maxOutputLength}`);
+    }
+    if (typeof maxRatio !== 'number' || !(maxRatio > 0)) {
+      throw new RangeError(`Invalid maxRatio: ${maxRatio}`);
+    }
+    this.maxOutputLength = maxOutputLength;
+    this.maxRatio = maxRatio;
+    this.outputBefore = 0; // Totals of the streams already finished
+    this.inputBefore = 0;
+  }
+
+  /**
+   * Creates the limit described by decompression options.
+   * @param {object} options Decompression options.
+   * @param {number} [options.maxOutputLength] See the constructor.
+   * @param {number} [options.maxRatio] See the constructor.
+   * @returns {DecompressionLimit|null} The limit, or null if none is set.
+   */
+  static fromOptions({ maxOutputLength, maxRatio }) {
+    if (maxOutputLength === undefined && maxRatio === undefined) return null;
+    return new DecompressionLimit({ maxOutputLength, maxRatio });
+  }
+
+  /**
+   * Checks the totals of the stream being decoded.
+   * @param {number} output Bytes decoded by the current stream.
+   * @param {number} input Compressed bytes it consumed.
+   * @throws {DecompressionLimitError} If a limit is crossed.
+   */
+  check(output, input) {
+    const totalOut = this.outputBefore + output;
+    const totalIn = this.inputBefore + input;
+    if (totalOut > this.maxOutputLength) {
+      throw new DecompressionLimitError(
+        `Output exceeds maxOutputLength (${this.maxOutputLength} bytes)`,
+      );
+    }
+    if (totalOut > this.maxRatio * totalIn) {
+      throw new DecompressionLimitError(
+        `Expansion ratio exceeds maxRatio (${totalOut} bytes from ${totalIn})`,
+      );
+    }
+  }
+
+  /**
+   * Largest output the stream being decoded may reach, were all the input it
+   * has received consumed. Decoders use it to cap buffer growth.
+   * @param {number} input Compressed bytes received by the current stream.
+   * @returns {number} Maximum output byte count of the stream (may be Infinity).
+   */
+  allowance(input) {
+    const byRatio = Math.floor(this.maxRatio * (this.inputBefore + input));
+    return Math.min(this.maxOutputLength, byRatio) - this.outputBefore;
+  }
+
+  /**
+   * Adds the totals of a finished stream, before the next one starts.
+   * @param {number} output Bytes it decoded.
+   * @param {number} input Compressed bytes it consumed.
+   */
+  advance(output, input) {
+    this.outputBefore += output;
+    this.inputBefore += input;
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * @module zlibcore/node
+ * @description Node.js entry point: stream.Transform adapters and file helpers.
+ */
+
+import fs from 'node:fs';
+import { pipeline } from 'node:stream/promises';
+import { CompressTransform, DecompressTransform } from './transform.js';
+
+export { CompressTransform, DecompressTransform };
+
+/**
+ * Creates a compressing Transform stream.
+ * @param {object} [options] Options (see {@link CompressTransform}).
+ * @returns {CompressTransform} The transform.
+ */
+export function createCompress(options = {}) {
+  return new CompressTransform(options);
+}
+
+/**
+ * Creates a decompressing Transform stream.
+ * @param {object} [options] Options (see {@link DecompressTransform}).
+ * @returns {DecompressTransform} The transform.
+ */
+export function createDecompress(options = {}) {
+  return new DecompressTransform(options);
+}
+
+/**
+ * Compresses a file without loading it into memory.
+ * @param {string} src Path of the file to compress.
+ * @param {string} dest Path of the compressed file to write.
+ * @param {object} [options] Options (see {@link CompressTransform}).
+ * @returns {Promise<void>} Resolves once `dest` is fully written.
+ */
+export function compressFile(src, dest, options = {}) {
+  return pipeline(
+    fs.createReadStream(src),
+    new CompressTransform(options),
+    fs.createWriteStream(dest),
+  );
+}
+
+/**
+ * Decompresses a file without loading it into memory.
+ * @param {string} src Path of the compressed file.
+ * @param {string} dest Path of the decompressed file to write.
+ * @param {object} [options] Options (see {@link DecompressTransform}).
+ * @returns {Promise<void>} Resolves once `dest` is fully written; rejects on corrupt input.
+ */
+export function decompressFile(src, dest, options = {}) {
+  return pipeline(
+    fs.createReadStream(src),
+    new DecompressTransform(options),
+    fs.createWriteStream(dest),
+  );
+}
@@ -0,0 +1,99 @@
+/**
+ * @module node/transform
+ * @description Node.js `stream.Transform` adapters for the compressors and decompressors.
+ */
+
+import { Transform } from 'node:stream';
+import { createFormatCompressor, createFormatDecompressor } from '../streams/formats.js';
+
+/**
+ * Wraps codec output as a Buffer without copying.
+ * @param {Uint8Array} bytes Codec output.
+ * @returns {Buffer} A Buffer view of the same memory.
+ */
+function toBuffer(bytes) {
+  return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Runs a codec call and completes a `transform` or `flush` callback with its
+ * output; codec errors become stream errors.
+ * @param {function(): Uint8Array} fn The codec call.
+ * @param {function(Error=, Buffer=): void} callback Completion callback.
+ */
+function settle(fn, callback) {
+  let output;
+  try {
+    output = fn();
+  } catch (err) {
+    callback(err);
+    return;
+  }
+  callback(null, output.length > 0 ? toBuffer(output) : undefined);
+}
+
+/**
+ * Compressing Transform stream.
+ * @example
+ * pipeline(fs.createReadStream('in.txt'), new CompressTransform({ format: 'gzip' }), sink);
+ */
+export class CompressTransform extends Transform {
+  /**
+   * @param {object} [options] Transform options.
+   * @param {string} [options.format] "deflate" (ZLIB, default), "deflate-raw" or "gzip".
+   * @param {number} [options.level] Compression level: 0 (stored) to 9 (best), default 6.
+   * @param {number} [options.strategy] Compression strategy (a Strategy value, default DEFAULT).
+   * @param {boolean} [options.optimal] Optimal parsing: slower, smaller output.
+   * @param {number} [options.iterations] Cost model iterations of optimal parsing (default 5).
+   * @param {Uint8Array} [options.dictionary] Preset dictionary ("deflate", "deflate-raw").
+   * @param {number} [options.highWaterMark] Buffer size passed to `stream.Transform`.
+   * @throws {TypeError} If the format is not supported.
+   * @throws {RangeError} If the level, strategy or iterations are invalid.
+   */
+  constructor({
+    format = 'deflate', level, strategy, optimal, iterations, dictionary, ...streamOptions
+  } = {}) {
+    const codec = createFormatCompressor(format, {
+      level, strategy, optimal, iterations, dictionary,
+    });
+    super({
+      ...streamOptions,
+      transform: (chunk, encoding, callback) => settle(() => codec.push(chunk), callback),
+      // Final block and trailer, once the writable side ends
+      flush: (callback) => settle(() => codec.finish(), callback),
+    });
+  }
+}
+
+/**
+ * Decompressing Transform stream.
+ * Corrupt input, truncated input and data after the end of the stream are
+ * reported as stream errors (and reject `pipeline()`).
+ * @example
+ * pipeline(fs.createReadStream('in.gz'), new DecompressTransform({ format: 'gzip' }), sink);
+ */
+export class DecompressTransform extends Transform {
+  /**
+   * @param {object} [options] Transform options.
+   * @param {string} [options.format] "deflate" (ZLIB, default), "deflate-raw" or "gzip".
+   * @param {Uint8Array} [options.dictionary] Preset dictionary ("deflate", "deflate-raw").
+   * @param {number} [options.maxOutputLength] Maximum decompressed size in bytes.
+   * @param {number} [options.maxRatio] Maximum decompressed / compressed size ratio.
+   * @param {number} [options.sizeHint] Expected decompressed size, preallocated up front.
+   * @param {number} [options.highWaterMark] Buffer size passed to `stream.Transform`.
+   * @throws {TypeError} If the format is not supported.
+   */
+  constructor({
+    format = 'deflate', dictionary, maxOutputLength, maxRatio, sizeHint, ...streamOptions
+  } = {}) {
+    const codec = createFormatDecompressor(format, {
+      dictionary, maxOutputLength, maxRatio, sizeHint,
+    });
+    super({
+      ...streamOptions,
+      transform: (chunk, encoding, callback) => settle(() => codec.push(chunk), callback),
+      // Verifies that the compressed stream was complete
+      flush: (callback) => settle(() => codec.finish(), callback),
+    });
+  }
+}
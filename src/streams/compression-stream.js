@@ -0,0 +1,120 @@
+/**
+ * @module streams/compression-stream
+ * @description WHATWG `CompressionStream` / `DecompressionStream` compatible transforms.
+ */
+
+import { createFormatCompressor, createFormatDecompressor } from './formats.js';
+import { toBytes } from '../utils/bytes.js';
+
+/**
+ * Compressing transform stream, interchangeable with the native `CompressionStream`.
+ * Supports "deflate" (ZLIB wrapper), "deflate-raw" and "gzip".
+ * @example
+ * readable.pipeThrough(new ZlibCompressionStream('gzip'));
+ */
+export class ZlibCompressionStream {
+  /**
+   * @param {string} format "deflate", "deflate-raw" or "gzip".
+   * @param {object} [options] Compression options (zlibcore extension).
+   * @param {number} [options.level] Compression level: 0 (stored) to 9 (best), default 6.
+   * @param {Uint8Array} [options.dictionary] Preset dictionary ("deflate", "deflate-raw").
+   * @throws {TypeError} If the format is not supported.
+   */
+  constructor(format, options = {}) {
+    const codec = createFormatCompressor(format, options);
+
+    const transform = new TransformStream({
+      transform(chunk, controller) {
+        const output = codec.push(toBytes(chunk));
+        if (output.length > 0) controller.enqueue(output);
+      },
+      flush(controller) {
+        controller.enqueue(codec.finish());
+      },
+    });
+
+    this.transform = transform;
+  }
+
+  /**
+   * The compressed side.
+   * @returns {ReadableStream<Uint8Array>} The readable stream.
+   */
+  get readable() {
+    return this.transform.readable;
+  }
+
+  /**
+   * The uncompressed side.
+   * @returns {WritableStream<ArrayBuffer|Uint8Array>} The writable stream.
+   */
+  get writable() {
+    return this.transform.writable;
+  }
+}
+
+/**
+ * Decompressing transform stream, interchangeable with the native `DecompressionStream`.
+ * Supports "deflate" (ZLIB wrapper), "deflate-raw" and "gzip".
+ * Corrupt, truncated or trailing input errors the stream with a TypeError,
+ * as the WHATWG Compression Standard requires.
+ * @example
+ * response.body.pipeThrough(new ZlibDecompressionStream('gzip'));
+ */
+export class ZlibDecompressionStream {
+  /**
+   * @param {string} format "deflate", "deflate-raw" or "gzip".
+   * @param {object} [options] Decompression options (zlibcore extension).
+   * @param {Uint8Array} [options.dictionary] Preset dictionary ("deflate", "deflate-raw").
+   * @param {number} [options.maxOutputLength] Maximum decompressed size in bytes.
+   * @param {number} [options.maxRatio] Maximum decompressed / compressed size ratio.
+   * @param {number} [options.sizeHint] Expected decompressed size, preallocated up front.
+   * @throws {TypeError} If the format is not supported.
+   */
+  constructor(format, options = {}) {
+    const codec = createFormatDecompressor(format, options);
+
+    /**
+     * Runs a codec call, reporting data errors as TypeErrors.
+     * @param {function(): Uint8Array} fn The call.
+     * @returns {Uint8Array} Its output.
+     */
+    const guard = (fn) => {
+      try {
+        return fn();
+      } catch (err) {
+        if (err instanceof TypeError) throw err;
+        throw new TypeError(err.message, { cause: err });
+      }
+    };
+
+    const transform = new TransformStream({
+      transform(chunk, controller) {
+        const bytes = toBytes(chunk);
+        const output = guard(() => codec.push(bytes));
+        if (output.length > 0) controller.enqueue(output);
+      },
+      flush() {
+        guard(() => codec.finish());
+      },
+    });
+
+    this.transform = transform;
+  }
+
+  /**
+   * The uncompressed side.
+   * @returns {ReadableStream<Uint8Array>} The readable stream.
+   */
+  get readable() {
+    return this.transform.readable;
+  }
+
+  /**
+   * The compressed side.
+   * @returns {WritableStream<ArrayBuffer|Uint8Array>} The writable stream.
+   */
+  get writable() {
+    return this.transform.writable;
+  }
+}
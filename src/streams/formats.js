@@ -0,0 +1,114 @@
+/**
+ * @module streams/formats
+ * @description Container format registry shared by the stream adapters.
+ */
+
+import Deflate from '../deflate/deflate.js';
+import Inflate from '../inflate/inflate.js';
+import DecompressionLimit from '../inflate/limits.js';
+import ZlibHeader from '../zlib/header.js';
+import ZlibCompressor from '../zlib/compressor.js';
+import ZlibDecompressor from '../zlib/decompressor.js';
+import GzipCompressor from '../gzip/compressor.js';
+import GzipDecompressor from '../gzip/decompressor.js';
+
+/**
+ * Container formats, named as in the Compression Streams API.
+ * @enum {string}
+ */
+export const Format = {
+  /** ZLIB (RFC 1950). */
+  ZLIB: 'deflate',
+  /** Raw DEFLATE (RFC 1951), no header or checksum. */
+  RAW: 'deflate-raw',
+  /** GZIP (RFC 1952). */
+  GZIP: 'gzip',
+};
+
+/**
+ * A push-based codec (compressor or decompressor).
+ * @typedef {object} StreamCodec
+ * @property {function(Uint8Array): Uint8Array} push Feeds input, returns output ready so far.
+ * @property {function(): Uint8Array} finish Ends the stream, returns the remaining output.
+ * @property {boolean} [ended] Decompressors: whether the end of the data was reached.
+ * @property {function(number): void} [setOutputCap] Decompressors: caps the output of
+ *   each push.
+ * @property {boolean} [paused] Decompressors: whether the last push stopped at that cap;
+ *   an empty push resumes.
+ */
+
+/**
+ * Compressor factories by format name.
+ * @type {{[format: string]: function(object): StreamCodec}}
+ */
+const COMPRESSORS = {
+  deflate: (options) => new ZlibCompressor(options),
+  'deflate-raw': (options) => new Deflate(options),
+  gzip: (options) => new GzipCompressor(options),
+};
+
+/**
+ * Decompressor factories by format name.
+ * @type {{[format: string]: function(object): StreamCodec}}
+ */
+const DECOMPRESSORS = {
+  deflate: (options) => new ZlibDecompressor(options),
+  'deflate-raw': (options) => {
+    const inflate = new Inflate(undefined, { sizeHint: options.sizeHint });
+    if (options.dictionary) inflate.setDictionary(options.dictionary);
+    inflate.setLimit(DecompressionLimit.fromOptions(options));
+    return inflate;
+  },
+  gzip: (options) => new GzipDecompressor(options),
+};
+
+/**
+ * Looks up the codec factory for a format.
+ * @param {{[format: string]: function(object): StreamCodec}} table The factory table.
+ * @param {string} format The requested format.
+ * @returns {function(object): StreamCodec} The factory.
+ * @throws {TypeError} If the format is not supported.
+ */
+function lookupFormat(table, format) {
+  if (!Object.prototype.hasOwnProperty.call(table, format)) {
+    throw new TypeError(`Unsupported compression format: '${format}'`);
+  }
+  return table[format];
+}
+
+/**
+ * Creates a compressor for a container format.
+ * @param {string} format "deflate" (ZLIB), "deflate-raw" or "gzip".
+ * @param {object} [options] Compression options.
+ * @returns {StreamCodec} The compressor.
+ * @throws {TypeError} If the format is not supported.
+ */
+export function createFormatCompressor(format, options = {}) {
+  return lookupFormat(COMPRESSORS, format)(options);
+}
+
+/**
+ * Creates a decompressor for a container format.
+ * @param {string} format "deflate" (ZLIB), "deflate-raw" or "gzip".
+ * @param {object} [options] Decompression options.
+ * @returns {StreamCodec} The decompressor.
+ * @throws {TypeError} If the format is not supported.
+ */
+export function createFormatDecompressor(format, options = {}) {
+  return lookupFormat(DECOMPRESSORS, format)(options);
+}
+
+/**
+ * Guesses the container format of compressed data from its leading bytes:
+ * GZIP starts with the magic 1F 8B, ZLIB with a header that passes
+ * `ZlibHeader.validate()` (CM 8 and a correct FCHECK), anything else is taken
+ * to be raw DEFLATE. Only a non-final stored block with nonzero padding bits
+ * can make raw data look like a ZLIB header; such data is reported as ZLIB.
+ * @param {Uint8Array} bytes The start of the data (2 bytes are enough).
+ * @returns {Format} The detected format.
+ */
+export function detectFormat(bytes) {
+  if (bytes.length >= 2 && bytes[0] === 0x1F && bytes[1] === 0x8B) return Format.GZIP;
+  if (ZlibHeader.isValid(bytes)) return Format.ZLIB;
+  return Format.RAW;
+}
@@ -0,0 +1,41 @@
+/**
+ * @module utils/bytes
+ * @description Byte buffer helpers shared by the codecs.
+ */
+
+/**
+ * Concatenates byte chunks into a single buffer.
+ * @param {Uint8Array[]} chunks The chunks, in order.
+ * @returns {Uint8Array} The joined bytes.
+ */
+export function concatBytes(chunks) {
+  if (chunks.length === 1) return chunks[0];
+
+  let total = 0;
+  for (let i = 0; i < chunks.length; i++) total += chunks[i].length;
+
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    out.set(chunks[i], offset);
+    offset += chunks[i].length;
+  }
+  return out;
+}
+
+/**
+ * Converts a BufferSource chunk to a Uint8Array view (no copy).
+ * @param {unknown} chunk An ArrayBuffer or ArrayBufferView.
+ * @returns {Uint8Array} A view of the chunk bytes.
+ * @throws {TypeError} If the chunk is not an ArrayBuffer or ArrayBufferView.
+ */
+export function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  throw new TypeError('The provided value is not of type \'(ArrayBuffer or ArrayBufferView)\'');
+}
+
+export default concatBytes;
@@ -0,0 +1,142 @@
+/**
+ * @module utils/errors
+ * @description Error classes thrown on invalid or incomplete compressed data.
+ */
+
+/**
+ * Error codes, named after zlib's return codes.
+ * @enum {string}
+ */
+export const ErrorCode = {
+  /** The compressed data is corrupt (zlib's Z_DATA_ERROR). */
+  DATA_ERROR: 'DATA_ERROR',
+  /** The input ended before the stream was complete (Z_BUF_ERROR). */
+  BUF_ERROR: 'BUF_ERROR',
+  /** The stream needs a preset dictionary that was not given (Z_NEED_DICT). */
+  NEED_DICT: 'NEED_DICT',
+  /** An Adler-32, CRC-32 or length check failed. */
+  CHECKSUM_ERROR: 'CHECKSUM_ERROR',
+  /** The output crossed a decompression limit. */
+  LIMIT_ERROR: 'LIMIT_ERROR',
+};
+
+/**
+ * Where in the input a failure was detected.
+ * @typedef {object} ErrorContext
+ * @property {number|null} byteOffset Offset in the input where the failure was detected,
+ *   from the start of the data given to the decompressor: in DEFLATE data, the byte
+ *   holding the next unread bit; in a header or trailer, the offending field.
+ * @property {number|null} bitOffset Bits of that byte already read (0-7).
+ * @property {number|null} blockIndex Index of the DEFLATE block being decoded (from 0).
+ * @property {number|null} blockType BTYPE of that block: 0 (stored), 1 (fixed) or 2 (dynamic).
+ * @property {number|null} bytesOut Bytes decompressed before the failure.
+ */
+
+/**
+ * Base class of all decompression errors. Context fields are null when
+ * they do not apply (e.g. `blockType` for a bad header).
+ */
+export class ZlibError extends Error {
+  /**
+   * @param {ErrorCode} code The error code.
+   * @param {string} message Description of the failure.
+   * @param {Partial<ErrorContext>} [context] Where it happened.
+   */
+  constructor(code, message, context = {}) {
+    super(message);
+    this.name = 'ZlibError';
+    this.code = code;
+    this.byteOffset = null;
+    this.bitOffset = null;
+    this.blockIndex = null;
+    this.blockType = null;
+    this.bytesOut = null;
+    this.setContext(context);
+  }
+
+  /**
+   * Fills in the context fields that are still unknown.
+   * @param {Partial<ErrorContext>} context Where the failure happened.
+   * @returns {ZlibError} This error.
+   */
+  setContext(context) {
+    Object.keys(context).forEach((key) => {
+      if (this[key] === null && context[key] !== undefined) this[key] = context[key];
+    });
+    return this;
+  }
+}
+
+/**
+ * The compressed data is corrupt.
+ */
+export class DataError extends ZlibError {
+  /**
+   * @param {string} message Description of the failure.
+   * @param {Partial<ErrorContext>} [context] Where it happened.
+   */
+  constructor(message, context) {
+    super(ErrorCode.DATA_ERROR, message, context);
+    this.name = 'DataError';
+  }
+}
+
+/**
+ * The input ended too early.
+ */
+export class BufferError extends ZlibError {
+  /**
+   * @param {string} message Description of the failure.
+   * @param {Partial<ErrorContext>} [context] Where it happened.
+   */
+  constructor(message, context) {
+    super(ErrorCode.BUF_ERROR, message, context);
+    this.name = 'BufferError';
+  }
+}
+
+/**
+ * A preset dictionary is required but was not given.
+ */
+export class NeedDictError extends ZlibError {
+  /**
+   * @param {string} message Description of the failure.
+   * @param {number} dictId DICTID of the required dictionary.
+   * @param {Partial<ErrorContext>} [context] Where it happened.
+   */
+  constructor(message, dictId, context) {
+    super(ErrorCode.NEED_DICT, message, context);
+    this.name = 'NeedDictError';
+    this.dictId = dictId;
+  }
+}
+
+/**
+ * An integrity check (Adler-32, CRC-32, GZIP ISIZE or header CRC16) failed.
+ */
+export class ChecksumError extends ZlibError {
+  /**
+   * @param {string} message Description of the failure.
+   * @param {Partial<ErrorContext>} [context] Where it happened.
+   */
+  constructor(message, context) {
+    super(ErrorCode.CHECKSUM_ERROR, message, context);
+    this.name = 'ChecksumError';
+  }
+}
+
+/**
+ * Thrown when decompressed output crosses a configured limit.
+ * Decoding stops before the output is collected, and the output buffer is
+ * never grown past what the limits allow.
+ */
+export class DecompressionLimitError extends ZlibError {
+  /**
+   * @param {string} message Description of the limit crossed.
+   * @param {Partial<ErrorContext>} [context] Where it happened.
+   */
+  constructor(message, context) {
+    super(ErrorCode.LIMIT_ERROR, message, context);
+    this.name = 'DecompressionLimitError';
+  }
+}
@@ -0,0 +1,149 @@
+/**
+ * @module utils/slicing
+ * @description Time slicing for the async API: input is fed to a codec in small
+ * chunks on the calling thread, yielding to the event loop between slices.
+ */
+
+import { concatBytes } from './bytes.js';
+
+/**
+ * Input bytes pushed to the codec at a time; one push is the unit of work
+ * that a slice cannot interrupt.
+ * @constant {number}
+ */
+const CHUNK_SIZE = 16384;
+
+/**
+ * Output a decompressor may produce per push. Input chunks bound the work of
+ * a compressor, but 16 KB of DEFLATE data can expand to 16 MB; a codec that
+ * supports it pauses at this cap, and the next slices resume it.
+ * @constant {number}
+ */
+const OUTPUT_CAP = 1 << 20;
+
+/**
+ * Default time budget of a slice in milliseconds.
+ * @constant {number}
+ */
+const SLICE_TIME = 10;
+
+/**
+ * Progress of a sliced operation.
+ * @typedef {object} Progress
+ * @property {number} bytesIn Input bytes processed so far.
+ * @property {number} bytesOut Output bytes produced so far.
+ */
+
+/**
+ * Resolves in a later task, letting timers, I/O and input events run first.
+ * A message round trip avoids the minimum delay browsers apply to nested timers.
+ * @returns {Promise<void>} Resolves on a later turn of the event loop.
+ */
+function yieldToEventLoop() {
+  return new Promise((resolve) => {
+    if (typeof setImmediate === 'function') {
+      setImmediate(resolve);
+    } else if (typeof MessageChannel === 'function') {
+      const channel = new MessageChannel();
+      channel.port1.onmessage = () => {
+        channel.port1.close();
+        resolve();
+      };
+      channel.port2.postMessage(null);
+    } else {
+      setTimeout(resolve, 0);
+    }
+  });
+}
+
+/**
+ * Why a signal was aborted.
+ * @param {AbortSignal} signal An aborted signal.
+ * @returns {Error} The signal's reason (an "AbortError" DOMException by default).
+ */
+export function abortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  return new DOMException('This operation was aborted', 'AbortError');
+}
+
+/**
+ * Throws the abort reason if the signal has fired.
+ * @param {AbortSignal} [signal] The signal.
+ * @throws {Error} The signal's reason (see {@link abortReason}).
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw abortReason(signal);
+}
+
+/**
+ * Pushes a whole input through a codec without blocking the event loop:
+ * chunks are pushed until the slice time is used up, then progress is
+ * reported and the event loop gets a turn before the next slice. A codec
+ * with `setOutputCap()` is capped at OUTPUT_CAP bytes per push, and resumed
+ * with empty pushes while it is `paused`.
+ * @param {import('../streams/formats.js').StreamCodec} codec The compressor or decompressor.
+ * @param {Uint8Array} input The complete input.
+ * @param {object} [options] Slicing options.
+ * @param {AbortSignal} [options.signal] Stops the work between slices; the promise
+ *   then rejects with the signal's reason.
+ * @param {function(Progress): void} [options.onProgress] Called after each slice and
+ *   once at the end.
+ * @param {number} [options.sliceTime] Time budget of a slice in milliseconds (default 10).
+ * @returns {Promise<Uint8Array>} All output of the codec, `finish()` included.
+ * @throws {RangeError} If `sliceTime` is not a positive number.
+ * @throws {TypeError} If `onProgress` is not a function.
+ */
+export default async function pushSliced(codec, input, {
+  signal, onProgress, sliceTime = SLICE_TIME,
+} = {}) {
+  if (typeof sliceTime !== 'number' || !(sliceTime > 0)) {
+    throw new RangeError(`Invalid sliceTime: ${sliceTime}`);
+  }
+  if (onProgress !== undefined && typeof onProgress !== 'function') {
+    throw new TypeError('onProgress must be a function');
+  }
+  throwIfAborted(signal);
+
+  if (codec.setOutputCap) codec.setOutputCap(OUTPUT_CAP);
+
+  const outputs = [];
+  let bytesIn = 0;
+  let bytesOut = 0;
+  const hasWork = () => codec.paused || bytesIn < input.length;
+
+  // Pushes the next input chunk, or resumes a paused codec
+  const pushNext = () => {
+    let output;
+    if (codec.paused) {
+      output = codec.push(new Uint8Array(0));
+    } else {
+      const end = Math.min(bytesIn + CHUNK_SIZE, input.length);
+      output = codec.push(input.subarray(bytesIn, end));
+      bytesIn = end;
+    }
+    outputs.push(output);
+    bytesOut += output.length;
+  };
+
+  // Pushes for up to `sliceTime` (at least once), then yields and runs the next
+  // slice; slices run one after another by design.
+  const runSlice = async () => {
+    const sliceStart = performance.now();
+    do {
+      pushNext();
+    } while (hasWork() && performance.now() - sliceStart < sliceTime);
+    if (!hasWork()) return;
+
+    if (onProgress) onProgress({ bytesIn, bytesOut });
+    await yieldToEventLoop();
+    throwIfAborted(signal);
+    await runSlice();
+  };
+  if (hasWork()) await runSlice();
+
+  const output = codec.finish();
+  outputs.push(output);
+  bytesOut += output.length;
+  if (onProgress) onProgress({ bytesIn, bytesOut });
+  return concatBytes(outputs);
+}
@@ -0,0 +1,323 @@
+/**
+ * @module workers/pool
+ * @description Runs ZlibCore jobs on a pool of Web Workers or Node.js worker threads.
+ */
+
+import { abortReason } from '../utils/slicing.js';
+import { JOB_METHODS, ownBuffer, deserializeError } from './protocol.js';
+
+/**
+ * Pool size when the number of cores is unknown.
+ * @constant {number}
+ */
+const DEFAULT_SIZE = 4;
+
+/**
+ * A started worker, whichever kind it is.
+ * @typedef {object} WorkerHandle
+ * @property {function(import('./protocol.js').JobMessage, ArrayBuffer[]): void} post
+ *   Posts a job, transferring the listed buffers.
+ * @property {function(boolean): void} setBusy Whether the worker has a job; an idle Node.js
+ *   thread does not keep the process alive.
+ * @property {function(): (Promise<number>|void)} terminate Stops the worker.
+ */
+
+/**
+ * Default pool size: the number of logical cores, where the platform tells.
+ * @returns {number} The size.
+ */
+function defaultSize() {
+  const cores = typeof navigator !== 'undefined' ? navigator.hardwareConcurrency : 0;
+  return Number.isInteger(cores) && cores > 0 ? cores : DEFAULT_SIZE;
+}
+
+/**
+ * Starts a worker running `worker.js`: a Web Worker where the platform has them
+ * (browsers, Deno, Bun), a Node.js worker thread otherwise. The worker loads
+ * zlibcore's own modules, so no separate worker bundle is needed.
+ * @param {function(import('./protocol.js').ResultMessage): void} onMessage Receives replies.
+ * @param {function(Error): void} onFailure Called if the worker dies.
+ * @returns {Promise<WorkerHandle>} The worker.
+ */
+async function startWorker(onMessage, onFailure) {
+  if (typeof Worker === 'function') {
+    // Spelled out in full so that bundlers can find and emit the worker module
+    const worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    worker.onmessage = (event) => onMessage(event.data);
+    worker.onerror = (event) => {
+      event.preventDefault();
+      onFailure(new Error(`Worker failed: ${event.message}`));
+    };
+    return {
+      post: (message, transfer) => worker.postMessage(message, transfer),
+      setBusy: () => {},
+      terminate: () => worker.terminate(),
+    };
+  }
+
+  const { Worker: NodeWorker } = await import('node:worker_threads');
+  const worker = new NodeWorker(new URL('./worker.js', import.meta.url));
+  worker.on('message', onMessage);
+  worker.on('error', onFailure);
+  worker.on('exit', (code) => onFailure(new Error(`Worker exited with code ${code}`)));
+  return {
+    post: (message, transfer) => worker.postMessage(message, transfer),
+    setBusy: (busy) => (busy ? worker.ref() : worker.unref()),
+    terminate: () => worker.terminate(),
+  };
+}
+
+/**
+ * Settles a job's promise, detaching its abort listener.
+ * @param {object} job The job.
+ * @param {Error|null} err The error, or null on success.
+ * @param {unknown} [result] The result.
+ */
+function completeJob(job, err, result) {
+  if (job.signal) job.signal.removeEventListener('abort', job.onAbort);
+  if (err) {
+    job.reject(err);
+  } else {
+    job.resolve(result);
+  }
+}
+
+/**
+ * Runs compression jobs on worker threads, off the calling thread and across
+ * cores. Workers are started as jobs arrive, up to `size`; further jobs wait
+ * in a queue and run in order as workers free up.
+ *
+ * Input and output buffers are transferred rather than copied: the input's
+ * buffer is detached once its job starts.
+ * @example
+ * const pool = ZlibCore.createWorkerPool({ size: 4 });
+ * const outputs = await Promise.all(blobs.map((blob) => pool.decompress(blob)));
+ * pool.close();
+ */
+export default class WorkerPool {
+  /**
+   * @param {object} [options] Pool options.
+   * @param {number} [options.size] Maximum number of workers (default: the number of
+   *   logical cores, or 4 if unknown).
+   * @throws {RangeError} If `size` is not a positive integer.
+   */
+  constructor({ size = defaultSize() } = {}) {
+    if (!Number.isInteger(size) || size < 1) throw new RangeError(`Invalid pool size: ${size}`);
+    this.size = size;
+    this.slots = []; // Workers: { started: Promise<WorkerHandle>, worker }
+    this.running = new Map(); // Slot => the job it runs
+    this.queue = []; // Jobs waiting for a worker
+    this.nextId = 0;
+    this.closed = false;
+  }
+
+  /**
+   * Number of jobs queued or running.
+   * @returns {number} The count.
+   */
+  get pending() {
+    return this.queue.length + this.running.size;
+  }
+
+  /**
+   * Compresses data on a worker (see `ZlibCore.compress`).
+   * @param {Uint8Array} data The input; its buffer is transferred.
+   * @param {object} [options] Compression options, plus `signal` and `transfer` (see `run`).
+   * @returns {Promise<Uint8Array>} The compressed data.
+   */
+  compress(data, options = {}) {
+    return this.run('compress', data, options);
+  }
+
+  /**
+   * Decompresses data on a worker (see `ZlibCore.decompress`).
+   * @param {Uint8Array} data The ZLIB data; its buffer is transferred.
+   * @param {object} [options] Decompression options, plus `signal` and `transfer`
+   *   (see `run`).
+   * @returns {Promise<{data: Uint8Array, bytesConsumed: number}>} The result of `decompress`.
+   */
+  decompress(data, options = {}) {
+    return this.run('decompress', data, options);
+  }
+
+  /**
+   * Runs a ZlibCore method on a worker.
+   * @param {string} method "compress", "decompress", "gzip", "gunzip", "deflateRaw",
+   *   "inflateRaw" or "decompressAuto".
+   * @param {Uint8Array} data The input.
+   * @param {object} [options] Options of the method, plus:
+   * @param {AbortSignal} [options.signal] Cancels the job: a queued job is dropped, a
+   *   running one stops with its worker. The promise rejects with the signal's reason.
+   * @param {boolean} [options.transfer] Hand the input's buffer over to the worker
+   *   (default true). When false, or when `data` is a view of part of a buffer, the
+   *   input is copied instead and stays usable.
+   * @returns {Promise<unknown>} What the method returns; errors thrown by it are rethrown
+   *   with their class and context.
+   */
+  run(method, data, options = {}) {
+    return new Promise((resolve, reject) => {
+      if (this.closed) throw new Error('Worker pool is closed');
+      if (!JOB_METHODS.includes(method)) throw new TypeError(`Unknown job method: '${method}'`);
+      if (!(data instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+      const { signal, transfer = true, ...jobOptions } = options;
+      if (signal && signal.aborted) throw abortReason(signal);
+
+      const job = {
+        id: this.nextId++,
+        method,
+        data: transfer ? ownBuffer(data) : data.slice(),
+        options: jobOptions,
+        resolve,
+        reject,
+        signal,
+        onAbort: null,
+      };
+      if (signal) {
+        job.onAbort = () => this.cancel(job, abortReason(signal));
+        signal.addEventListener('abort', job.onAbort, { once: true });
+      }
+      this.queue.push(job);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Stops all workers. Queued and running jobs are rejected; later jobs are refused.
+   * @returns {Promise<void>} Resolves once the workers have stopped.
+   */
+  close() {
+    this.closed = true;
+    const error = new Error('Worker pool is closed');
+    this.queue.splice(0).forEach((job) => completeJob(job, error));
+    this.running.forEach((job) => completeJob(job, error));
+    this.running.clear();
+    return Promise.all(this.slots.splice(0).map(
+      (slot) => slot.started.then((worker) => worker.terminate(), () => {}),
+    )).then(() => {});
+  }
+
+  /**
+   * Hands queued jobs to idle workers, starting workers up to the pool size.
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find((candidate) => !this.running.has(candidate));
+      if (!slot) {
+        if (this.slots.length >= this.size) return;
+        slot = this.spawn();
+      }
+      this.assign(slot, this.queue.shift());
+    }
+  }
+
+  /**
+   * Starts a worker.
+   * @returns {object} Its slot.
+   */
+  spawn() {
+    const slot = { started: null, worker: null };
+    slot.started = startWorker(
+      (message) => this.settle(slot, message),
+      (err) => this.fail(slot, err),
+    );
+    slot.started.then((worker) => {
+      slot.worker = worker;
+    }, (err) => this.fail(slot, err));
+    this.slots.push(slot);
+    return slot;
+  }
+
+  /**
+   * Posts a job to a worker, once it has started.
+   * @param {object} slot The worker's slot.
+   * @param {object} job The job.
+   */
+  assign(slot, job) {
+    this.running.set(slot, job);
+    slot.started.then((worker) => {
+      if (this.running.get(slot) !== job) return; // Cancelled, or the worker failed meanwhile
+      const {
+        id, method, data, options,
+      } = job;
+      worker.setBusy(true);
+      try {
+        worker.post({
+          id, method, data, options,
+        }, [data.buffer]);
+      } catch (err) {
+        this.release(slot); // e.g. options that cannot be cloned
+        completeJob(job, err);
+      }
+    }, () => {}); // Failures to start are handled by fail()
+  }
+
+  /**
+   * Handles a worker's reply.
+   * @param {object} slot The worker's slot.
+   * @param {import('./protocol.js').ResultMessage} message The reply.
+   */
+  settle(slot, message) {
+    const job = this.running.get(slot);
+    if (!job || job.id !== message.id) return;
+    this.release(slot);
+    if (message.error) {
+      completeJob(job, deserializeError(message.error));
+    } else {
+      completeJob(job, null, message.result);
+    }
+  }
+
+  /**
+   * Marks a worker idle and gives it the next job.
+   * @param {object} slot The worker's slot.
+   */
+  release(slot) {
+    this.running.delete(slot);
+    if (slot.worker) slot.worker.setBusy(false);
+    this.dispatch();
+  }
+
+  /**
+   * Drops a worker that died (or failed to start), failing its job.
+   * @param {object} slot The worker's slot.
+   * @param {Error} err What went wrong.
+   */
+  fail(slot, err) {
+    const job = this.running.get(slot);
+    if (!this.removeSlot(slot)) return; // Already dropped
+    if (job) completeJob(job, err);
+    this.dispatch();
+  }
+
+  /**
+   * Cancels a job: removes it from the queue, or stops the worker running it.
+   * @param {object} job The job.
+   * @param {Error} reason The rejection reason.
+   */
+  cancel(job, reason) {
+    const queued = this.queue.indexOf(job);
+    if (queued >= 0) {
+      this.queue.splice(queued, 1);
+    } else {
+      const slot = this.slots.find((candidate) => this.running.get(candidate) === job);
+      if (!slot) return; // Already settled
+      this.removeSlot(slot);
+    }
+    completeJob(job, reason);
+    this.dispatch();
+  }
+
+  /**
+   * Removes a worker from the pool and stops it.
+   * @param {object} slot The worker's slot.
+   * @returns {boolean} False if it had already been removed.
+   */
+  removeSlot(slot) {
+    const index = this.slots.indexOf(slot);
+    if (index < 0) return false;
+    this.slots.splice(index, 1);
+    this.running.delete(slot);
+    slot.started.then((worker) => worker.terminate(), () => {});
+    return true;
+  }
+}
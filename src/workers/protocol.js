@@ -0,0 +1,128 @@
+/**
+ * @module workers/protocol
+ * @description Messages exchanged between the worker pool and its workers.
+ */
+
+import {
+  ZlibError, DataError, BufferError, NeedDictError, ChecksumError, DecompressionLimitError,
+} from '../utils/errors.js';
+
+/**
+ * ZlibCore methods a worker can run. Each takes `(data, options)` and returns
+ * bytes or an object whose `data` (and `trailingData`) are bytes.
+ * @type {string[]}
+ */
+export const JOB_METHODS = [
+  'compress', 'decompress', 'gzip', 'gunzip', 'deflateRaw', 'inflateRaw', 'decompressAuto',
+];
+
+/**
+ * A job, posted to a worker.
+ * @typedef {object} JobMessage
+ * @property {number} id Job id, echoed in the reply.
+ * @property {string} method One of JOB_METHODS.
+ * @property {Uint8Array} data The input (its buffer is transferred).
+ * @property {object} options Options of the method.
+ */
+
+/**
+ * The outcome of a job, posted back by the worker.
+ * @typedef {object} ResultMessage
+ * @property {number} id Job id.
+ * @property {unknown} [result] What the method returned (its buffers are transferred).
+ * @property {SerializedError} [error] What it threw.
+ */
+
+/**
+ * An error reduced to plain fields, so that it survives structured cloning
+ * with its class and context.
+ * @typedef {object} SerializedError
+ * @property {string} name The class name (e.g. "DataError").
+ * @property {string} message The message.
+ * @property {object} [context] ZlibError context fields, and `dictId` for a NeedDictError.
+ */
+
+/**
+ * Error classes rebuilt by name; other errors come back as plain Errors.
+ * @type {{[name: string]: function(string, object): Error}}
+ */
+const ERROR_FACTORIES = {
+  DataError: (message, context) => new DataError(message, context),
+  BufferError: (message, context) => new BufferError(message, context),
+  NeedDictError: (message, context) => new NeedDictError(message, context.dictId, context),
+  ChecksumError: (message, context) => new ChecksumError(message, context),
+  DecompressionLimitError: (message, context) => new DecompressionLimitError(message, context),
+  TypeError: (message) => new TypeError(message),
+  RangeError: (message) => new RangeError(message),
+};
+
+/**
+ * Reduces an error thrown by a job to plain fields.
+ * @param {unknown} err What was thrown.
+ * @returns {SerializedError} The fields.
+ */
+export function serializeError(err) {
+  if (!(err instanceof Error)) return { name: 'Error', message: String(err) };
+
+  const fields = { name: err.name, message: err.message };
+  if (err instanceof ZlibError) {
+    fields.context = {
+      byteOffset: err.byteOffset,
+      bitOffset: err.bitOffset,
+      blockIndex: err.blockIndex,
+      blockType: err.blockType,
+      bytesOut: err.bytesOut,
+      dictId: err.dictId,
+    };
+  }
+  return fields;
+}
+
+/**
+ * Rebuilds an error posted by a worker, with its original class where it is
+ * one of ours or a TypeError / RangeError.
+ * @param {SerializedError} fields The fields.
+ * @returns {Error} The error.
+ */
+export function deserializeError({ name, message, context = {} }) {
+  if (Object.prototype.hasOwnProperty.call(ERROR_FACTORIES, name)) {
+    return ERROR_FACTORIES[name](message, context);
+  }
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+/**
+ * Returns bytes that own their whole buffer, so that transferring the buffer
+ * hands over exactly these bytes (a view into a larger buffer is copied).
+ * @param {Uint8Array} bytes The bytes.
+ * @returns {Uint8Array} The bytes, or a copy.
+ */
+export function ownBuffer(bytes) {
+  const whole = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength;
+  return whole && bytes.buffer instanceof ArrayBuffer ? bytes : bytes.slice();
+}
+
+/**
+ * Prepares a job result for transfer: its byte fields are made to own their
+ * buffers, which are listed for the transfer.
+ * @param {Uint8Array|object} result What the method returned.
+ * @returns {{result: (Uint8Array|object), transfer: ArrayBuffer[]}} The result and the
+ *   buffers to transfer.
+ */
+export function transferableResult(result) {
+  if (result instanceof Uint8Array) {
+    const bytes = ownBuffer(result);
+    return { result: bytes, transfer: [bytes.buffer] };
+  }
+
+  const transferable = { ...result };
+  const transfer = [];
+  ['data', 'trailingData'].forEach((key) => {
+    if (!(transferable[key] instanceof Uint8Array)) return;
+    transferable[key] = ownBuffer(transferable[key]);
+    if (!transfer.includes(transferable[key].buffer)) transfer.push(transferable[key].buffer);
+  });
+  return { result: transferable, transfer };
+}
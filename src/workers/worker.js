@@ -0,0 +1,40 @@
+/**
+ * @module workers/worker
+ * @description Worker side of the worker pool: runs the ZlibCore jobs it is posted,
+ * in a Web Worker or a Node.js worker thread.
+ */
+
+import { ZlibCore } from '../index.js';
+import { JOB_METHODS, serializeError, transferableResult } from './protocol.js';
+
+/**
+ * Runs a job and posts its outcome.
+ * @param {import('./protocol.js').JobMessage} message The job.
+ * @param {function(import('./protocol.js').ResultMessage, ArrayBuffer[]): void} reply
+ *   Posts a message back to the pool.
+ */
+function runJob({
+  id, method, data, options,
+}, reply) {
+  let outcome;
+  try {
+    if (!JOB_METHODS.includes(method)) throw new TypeError(`Unknown job method: '${method}'`);
+    outcome = transferableResult(ZlibCore[method](data, options));
+  } catch (err) {
+    reply({ id, error: serializeError(err) }, []);
+    return;
+  }
+  reply({ id, result: outcome.result }, outcome.transfer);
+}
+
+const { WorkerGlobalScope } = globalThis;
+if (typeof WorkerGlobalScope === 'function' && globalThis instanceof WorkerGlobalScope) {
+  globalThis.onmessage = (event) => {
+    runJob(event.data, (message, transfer) => globalThis.postMessage(message, transfer));
+  };
+} else {
+  const { parentPort } = await import('node:worker_threads');
+  parentPort.on('message', (message) => {
+    runJob(message, (reply, transfer) => parentPort.postMessage(reply, transfer));
+  });
+}
@@ -0,0 +1,76 @@
+/**
+ * @module zlib/compressor
+ * @description Streaming ZLIB compressor (RFC 1950 wrapper around Deflate).
+ */
+
+import Deflate, { FlushMode } from '../deflate/deflate.js';
+import ZlibHeader from './header.js';
+import adler32 from '../adler32/adler32.js';
+import Hasher, { DigestEncoding } from '../hash/hasher.js';
+import { concatBytes } from '../utils/bytes.js';
+
+/**
+ * Streaming ZLIB compressor.
+ * Emits the header (with DICTID when a preset dictionary is used) with the
+ * first output, keeps a running Adler-32 of the input and appends it
+ * (Big Endian) after the final block.
+ */
+export default class ZlibCompressor {
+  /**
+   * @param {object} [options] Compression options (see {@link Deflate}).
+   * @param {number} [options.level] Compression level: 0 (stored) to 9 (best), default 6.
+   * @param {number} [options.strategy] Compression strategy (a Strategy value, default DEFAULT).
+   * @param {boolean} [options.optimal] Optimal parsing: slower, smaller output.
+   * @param {number} [options.iterations] Cost model iterations of optimal parsing (default 5).
+   * @param {Uint8Array} [options.dictionary] Preset dictionary (sets FDICT in the header).
+   */
+  constructor(options = {}) {
+    this.deflate = new Deflate(options);
+    this.dictId = options.dictionary ? adler32(options.dictionary) : undefined;
+    this.checksum = Hasher.create('adler32');
+    this.headerWritten = false;
+  }
+
+  /**
+   * Feeds a chunk of input.
+   * @param {Uint8Array} chunk Input data.
+   * @param {FlushMode} [flush] Flush mode applied after the chunk (default NO_FLUSH);
+   *   FINISH also writes the trailer.
+   * @returns {Uint8Array} Compressed bytes ready so far (possibly empty).
+   */
+  push(chunk, flush = FlushMode.NO_FLUSH) {
+    if (!(chunk instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+    if (flush === FlushMode.FINISH) return concatBytes([this.push(chunk), this.finish()]);
+
+    const body = this.deflate.push(chunk, flush);
+    this.checksum.update(chunk);
+    return this.withHeader(body);
+  }
+
+  /**
+   * Writes the final block and the Adler-32 trailer.
+   * @returns {Uint8Array} The remaining bytes of the ZLIB stream.
+   */
+  finish() {
+    const body = this.deflate.finish();
+
+    const trailer = this.checksum.digest(DigestEncoding.BYTES); // Big Endian
+
+    return this.withHeader(concatBytes([body, trailer]));
+  }
+
+  /**
+   * Prefixes the header to the first output of the stream.
+   * @param {Uint8Array} bytes Compressed bytes.
+   * @returns {Uint8Array} The bytes, with the header if not yet emitted.
+   */
+  withHeader(bytes) {
+    if (this.headerWritten) return bytes;
+    this.headerWritten = true;
+    return concatBytes([ZlibHeader.generate({
+      level: this.deflate.level,
+      strategy: this.deflate.strategy,
+      dictId: this.dictId,
+    }), bytes]);
+  }
+}
@@ -0,0 +1,326 @@
+/**
+ * @module zlib/decompressor
+ * @description Streaming ZLIB decompressor (RFC 1950 wrapper around Inflate).
+ */
+
+import Inflate from '../inflate/inflate.js';
+import ZlibHeader from './header.js';
+import DecompressionLimit from '../inflate/limits.js';
+import Hasher from '../hash/hasher.js';
+import { concatBytes } from '../utils/bytes.js';
+import {
+  ZlibError, DataError, BufferError, ChecksumError,
+} from '../utils/errors.js';
+
+/**
+ * What to do with bytes after the end of the ZLIB data.
+ * @enum {string}
+ */
+export const TrailingData = {
+  /** Throw a DataError. */
+  ERROR: 'error',
+  /** Discard them. */
+  IGNORE: 'ignore',
+  /** Keep them as `trailingData`. */
+  RETURN: 'return',
+};
+
+/**
+ * Decompressor states.
+ * @enum {number}
+ */
+const State = {
+  HEADER: 0,
+  BODY: 1,
+  TRAILER: 2,
+  DONE: 3,
+  TRAILING: 4,
+};
+
+/**
+ * Streaming ZLIB decompressor.
+ * Accepts input in arbitrary pieces: the header and the Adler-32 trailer may
+ * be split across chunks just like the DEFLATE data between them.
+ *
+ * Each stream ends where its final DEFLATE block and trailer end. With
+ * `multiStream`, bytes that start with a valid ZLIB header begin another
+ * stream, decoded into the same output; anything else after the last stream
+ * is trailing data, handled as `trailingData` says.
+ */
+export default class ZlibDecompressor {
+  /**
+   * @param {object} [options] Decompression options.
+   * @param {Uint8Array} [options.dictionary] Preset dictionary, used when a stream
+   *   sets FDICT (ignored otherwise).
+   * @param {number} [options.maxOutputLength] Stop with a DecompressionLimitError once
+   *   more than this many bytes are decompressed (all streams together).
+   * @param {number} [options.maxRatio] Stop with a DecompressionLimitError once the output
+   *   exceeds this multiple of the compressed bytes consumed.
+   * @param {number} [options.sizeHint] Expected decompressed size of the first stream,
+   *   preallocated up front.
+   * @param {boolean} [options.multiStream] Decode ZLIB streams that directly follow the
+   *   first one (default false).
+   * @param {TrailingData} [options.trailingData] What to do with bytes after the last
+   *   stream (default ERROR).
+   * @throws {RangeError} If an option is invalid.
+   */
+  constructor({
+    dictionary, sizeHint = 0, multiStream = false, trailingData = TrailingData.ERROR,
+    ...limits
+  } = {}) {
+    if (!Object.values(TrailingData).includes(trailingData)) {
+      throw new RangeError(`Invalid trailingData: ${trailingData}`);
+    }
+    this.limit = DecompressionLimit.fromOptions(limits);
+    this.inflate = new Inflate(undefined, { sizeHint });
+    this.inflate.setLimit(this.limit);
+    this.outputCap = Infinity; // Output per push(), all streams together
+    this.dictionary = dictionary || null;
+    this.multiStream = multiStream;
+    this.trailingMode = trailingData;
+    this.dictId = null; // DICTID from the header, once parsed
+    this.state = State.HEADER;
+    this.checksum = Hasher.create('adler32');
+    this.buffered = new Uint8Array(0); // Partial header or trailer bytes
+    this.trailing = []; // Trailing data kept for RETURN
+
+    // Positions, for errors and `bytesConsumed`
+    this.totalIn = 0; // Bytes received so far
+    this.streamStart = 0; // Input offset of the current stream
+    this.headerLength = 0; // Header length of the current stream
+    this.outputBefore = 0; // Bytes decoded from the previous streams
+    this.streams = 0; // Streams started so far
+  }
+
+  /**
+   * Whether a stream, trailer included, has been decoded and verified, and
+   * no further stream has been started.
+   * @returns {boolean} True at the end of a stream.
+   */
+  get ended() {
+    return this.state === State.DONE || this.state === State.TRAILING;
+  }
+
+  /**
+   * Whether the last `push()` stopped at the output cap inside a stream;
+   * `push()` with an empty chunk resumes.
+   * @returns {boolean} True if decoding paused.
+   */
+  get paused() {
+    return this.state === State.BODY && this.inflate.paused;
+  }
+
+  /**
+   * Number of input bytes that belong to the complete ZLIB streams decoded so
+   * far; once `ended`, this is where trailing data starts.
+   * @returns {number} Consumed byte count.
+   */
+  get bytesConsumed() {
+    return this.streamStart;
+  }
+
+  /**
+   * The bytes received after the last stream, kept with `trailingData: RETURN`.
+   * @returns {Uint8Array} The trailing data (empty if there is none).
+   */
+  get trailingData() {
+    if (this.trailing.length === 0) return new Uint8Array(0);
+    this.trailing = [concatBytes(this.trailing)];
+    return this.trailing[0];
+  }
+
+  /**
+   * Caps the output of each `push()`, all streams it reaches together (see
+   * `Inflate.setOutputCap()`). A stream started past the cap decodes a single
+   * symbol before pausing.
+   * @param {number} cap Bytes per push (Infinity for no cap).
+   * @throws {RangeError} If the cap is not a positive number.
+   */
+  setOutputCap(cap) {
+    this.inflate.setOutputCap(cap);
+    this.outputCap = cap;
+  }
+
+  /**
+   * Feeds compressed input.
+   * @param {Uint8Array} chunk The next piece of the ZLIB data.
+   * @returns {Uint8Array} The bytes decoded so far (possibly empty).
+   * @throws {ZlibError} On an invalid header, corrupt data, checksum mismatch or,
+   *   with `trailingData: ERROR`, data after the end of the last stream.
+   */
+  push(chunk) {
+    if (!(chunk instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+
+    const receivedBefore = this.totalIn;
+    this.totalIn += chunk.length;
+    try {
+      return this.decode(chunk);
+    } catch (err) {
+      if (err instanceof ZlibError) {
+        const streamOut = this.state === State.BODY ? this.inflate.totalOut : 0;
+        err.setContext({ byteOffset: receivedBefore, bytesOut: this.outputBefore + streamOut });
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Runs the container state machine over a chunk (see `push()`).
+   * @param {Uint8Array} chunk The next piece of the ZLIB data.
+   * @returns {Uint8Array} The bytes decoded so far (possibly empty).
+   */
+  decode(chunk) {
+    const outputs = [];
+    let produced = 0;
+    let input = chunk;
+
+    while (input.length > 0 || this.paused) {
+      if (this.state === State.DONE) {
+        if (!this.multiStream) {
+          this.state = State.TRAILING;
+        } else {
+          // Two bytes tell whether another stream starts here
+          this.buffered = concatBytes([this.buffered, input]);
+          if (this.buffered.length < 2) break;
+          input = this.buffered;
+          this.buffered = new Uint8Array(0);
+          this.state = ZlibHeader.isValid(input) ? State.HEADER : State.TRAILING;
+        }
+      }
+
+      if (this.state === State.TRAILING) {
+        this.addTrailing(input);
+        break;
+      }
+
+      if (this.state === State.HEADER) {
+        this.buffered = concatBytes([this.buffered, input]);
+        const header = ZlibHeader.parse(this.buffered, this.streamStart);
+        if (!header) break;
+
+        input = this.buffered.subarray(header.length);
+        this.buffered = new Uint8Array(0);
+        this.startStream(header);
+      }
+
+      if (this.state === State.BODY) {
+        this.inflate.setOutputCap(Math.max(1, this.outputCap - produced));
+        const output = this.inflate.push(input);
+        produced += output.length;
+        outputs.push(output);
+        this.checksum.update(output);
+        if (!this.inflate.ended) break;
+
+        input = this.inflate.takeRemaining();
+        if (this.limit) this.limit.advance(this.inflate.totalOut, this.inflate.bytesConsumed);
+        this.state = State.TRAILER;
+      }
+
+      if (this.state === State.TRAILER) {
+        this.buffered = concatBytes([this.buffered, input]);
+        if (this.buffered.length < 4) break;
+
+        const view = new DataView(this.buffered.buffer, this.buffered.byteOffset, 4);
+        const expectedAdler = view.getUint32(0, false); // Big Endian
+        if (this.checksum.digest() !== expectedAdler) {
+          throw new ChecksumError('Adler32 Checksum Failed', this.trailerContext(0));
+        }
+
+        input = this.buffered.subarray(4);
+        this.buffered = new Uint8Array(0);
+        this.streamStart += this.headerLength + this.inflate.bytesConsumed + 4;
+        this.outputBefore += this.inflate.totalOut;
+        this.state = State.DONE;
+      }
+    }
+
+    return outputs.length === 0 ? new Uint8Array(0) : concatBytes(outputs);
+  }
+
+  /**
+   * Prepares the decoder for the stream whose header was just parsed.
+   * @param {{length: number, dictId: (number|null)}} header The parsed header.
+   * @throws {ZlibError} If no dictionary was given, or it does not match.
+   */
+  startStream(header) {
+    if (this.streams > 0) {
+      this.inflate = new Inflate();
+      this.inflate.setLimit(this.limit);
+      this.checksum.reset();
+    }
+    this.streams++;
+    this.headerLength = header.length;
+    this.inflate.inputOffset = this.streamStart + header.length;
+    this.inflate.outputOffset = this.outputBefore;
+    if (header.dictId !== null) this.useDictionary(header.dictId);
+    this.state = State.BODY;
+  }
+
+  /**
+   * Applies the trailing data policy to bytes after the last stream.
+   * @param {Uint8Array} bytes The trailing bytes.
+   * @throws {DataError} With `trailingData: ERROR`.
+   */
+  addTrailing(bytes) {
+    if (this.trailingMode === TrailingData.ERROR) {
+      throw new DataError('Junk found after end of compressed data', {
+        byteOffset: this.streamStart,
+        bitOffset: 0,
+        blockIndex: null,
+        blockType: null,
+        bytesOut: this.outputBefore,
+      });
+    }
+    if (this.trailingMode === TrailingData.RETURN) this.trailing.push(bytes);
+  }
+
+  /**
+   * Describes a position in or after the Adler-32 trailer, for errors.
+   * @param {number} pos Offset from the start of the trailer.
+   * @returns {import('../utils/errors.js').ErrorContext} The position.
+   */
+  trailerContext(pos) {
+    return {
+      byteOffset: this.streamStart + this.headerLength + this.inflate.bytesConsumed + pos,
+      bitOffset: 0,
+      blockIndex: null,
+      blockType: null,
+      bytesOut: this.outputBefore + this.inflate.totalOut,
+    };
+  }
+
+  /**
+   * Checks the preset dictionary against the DICTID and loads it.
+   * @param {number} dictId DICTID from the header (Adler-32 of the dictionary).
+   * @throws {ZlibError} If no dictionary was given, or it does not match.
+   */
+  useDictionary(dictId) {
+    this.dictId = dictId;
+    ZlibHeader.checkDictionary(dictId, this.dictionary, this.streamStart);
+    this.inflate.setDictionary(this.dictionary);
+  }
+
+  /**
+   * Checks that the data is complete.
+   * @returns {Uint8Array} Always empty; all output is returned by `push()`.
+   * @throws {ZlibError} If the input ended inside a stream, or a single byte
+   *   after the last stream is junk.
+   */
+  finish() {
+    if (this.state === State.BODY) this.inflate.finish(); // Throws, positioned in the data
+    if (this.state === State.TRAILER) {
+      throw new BufferError('Unexpected end of input', this.trailerContext(this.buffered.length));
+    }
+    if (this.state === State.HEADER) {
+      throw new BufferError('Unexpected end of input', {
+        byteOffset: this.totalIn, bitOffset: 0, bytesOut: this.outputBefore,
+      });
+    }
+    if (this.buffered.length > 0) {
+      // Too short to start another stream
+      this.addTrailing(this.buffered);
+      this.buffered = new Uint8Array(0);
+    }
+    return new Uint8Array(0);
+  }
+}
@@ -3,54 +3,145 @@
  * @description ZLIB Header (RFC 1950).
  */
 
-// adler32 import removed (unused here)
+import adler32 from '../adler32/adler32.js';
+import { Strategy } from '../deflate/lz77.js';
+import {
+  DataError, BufferError, NeedDictError,
+} from '../utils/errors.js';
+
+/**
+ * Length of the fixed header (CMF, FLG).
+ */
+const HEADER_SIZE = 2;
+
+/**
+ * Length of the DICTID field that follows the header when FDICT is set.
+ */
+const DICTID_SIZE = 4;
 
 /**
  * ZLIB Header Logic.
  */
 export default class ZlibHeader {
+  /**
+   * Maps a compression level to the FLEVEL field (RFC 1950 Section 2.2).
+   * 0: fastest (levels 0-1), 1: fast (2-5), 2: default (6), 3: maximum (7-9).
+   * @param {number} level Compression level (0-9).
+   * @returns {number} FLEVEL (0-3).
+   */
+  static levelToFlevel(level) {
+    if (level < 2) return 0;
+    if (level < 6) return 1;
+    if (level === 6) return 2;
+    return 3;
+  }
+
   /**
    * Generates a ZLIB header.
    * CM = 8 (Deflate).
    * CINFO = 7 (32K Window).
-   * FLEVEL = 0 (Fastest) - 3 (Slowest). Default 2.
-   * @returns {Uint8Array} 2-byte header.
+   * FLEVEL = 0 (Fastest) - 3 (Slowest), derived from the compression level
+   * (0 for the HUFFMAN_ONLY, RLE and FIXED strategies, as in zlib).
+   * FDICT = 1 and a 4-byte DICTID (Big Endian) when a preset dictionary is used.
+   * @param {object} [options] Header options.
+   * @param {number} [options.level] Compression level used for the stream (default 6).
+   * @param {Strategy} [options.strategy] Compression strategy used for the stream.
+   * @param {number} [options.dictId] Adler-32 of the preset dictionary, if any.
+   * @returns {Uint8Array} 2-byte header (6 bytes with DICTID).
    */
-  static generate() {
+  static generate({ level = 6, strategy = Strategy.DEFAULT, dictId } = {}) {
     // RFC 1950
     // CMF: CM (0-3) = 8. CINFO (4-7) = 7 (32K).
     // 7 << 4 | 8 = 112 | 8 = 120 (0x78).
     const CMF = 120;
 
     // FLG: FCHECK (0-4), FDICT (5), FLEVEL (6-7).
-    // FLEVEL = 2 (Default).
-    // FDICT = 0.
-    // FLG (partial) = 2 << 6 = 128.
     // FCHECK must satisfy (CMF * 256 + FLG) % 31 == 0.
 
-    let FLG = 128; // 0x80
+    const flevel = strategy >= Strategy.HUFFMAN_ONLY ? 0 : ZlibHeader.levelToFlevel(level);
+    let FLG = flevel << 6;
+    if (dictId !== undefined) FLG |= 0x20;
     const check = (CMF * 256 + FLG) % 31;
     if (check !== 0) {
       FLG += (31 - check);
     }
 
-    return new Uint8Array([CMF, FLG]);
+    if (dictId === undefined) return new Uint8Array([CMF, FLG]);
+
+    const header = new Uint8Array(HEADER_SIZE + DICTID_SIZE);
+    header[0] = CMF;
+    header[1] = FLG;
+    new DataView(header.buffer).setUint32(HEADER_SIZE, dictId, false); // Big Endian
+    return header;
   }
 
   /**
    * Validates a ZLIB header.
    * @param {Uint8Array} header - First 2 bytes.
-   * @throws {Error} If invalid.
+   * @param {number} [offset] Position of the header in the input, for error offsets.
+   * @throws {BufferError} If shorter than 2 bytes.
+   * @throws {DataError} If invalid.
    */
-  static validate(header) {
-    if (header.length < 2) throw new Error('Header too short');
+  static validate(header, offset = 0) {
+    const at = (pos) => ({ byteOffset: offset + pos, bitOffset: 0 });
+    if (header.length < 2) throw new BufferError('Header too short', at(header.length));
     const CMF = header[0];
     const FLG = header[1];
 
-    if ((CMF & 0x0F) !== 8) throw new Error('Unsupported Compression Method');
-    if ((CMF >> 4) > 7) throw new Error('Window size too large'); // We only support up to 32K
-    if ((FLG & 0x20) !== 0) throw new Error('Dictionary not supported');
+    if ((CMF & 0x0F) !== 8) throw new DataError('Unsupported Compression Method', at(0));
+    // We only support up to 32K
+    if ((CMF >> 4) > 7) throw new DataError('Window size too large', at(0));
+
+    if ((CMF * 256 + FLG) % 31 !== 0) throw new DataError('Header Checksum Failed', at(1));
+  }
+
+  /**
+   * Checks whether bytes start with a valid ZLIB header (CM 8, a 32K or smaller
+   * window and a correct FCHECK), e.g. to find where another stream begins.
+   * @param {Uint8Array} bytes The bytes to test.
+   * @returns {boolean} True if the first 2 bytes pass `validate()`.
+   */
+  static isValid(bytes) {
+    if (bytes.length < HEADER_SIZE) return false;
+    const CMF = bytes[0];
+    return (CMF & 0x0F) === 8 && (CMF >> 4) <= 7 && (CMF * 256 + bytes[1]) % 31 === 0;
+  }
+
+  /**
+   * Parses a ZLIB header, including the DICTID field when FDICT is set.
+   * @param {Uint8Array} bytes Buffered input, starting at the stream.
+   * @param {number} [offset] Position of the header in the input, for error offsets.
+   * @returns {{length: number, flevel: number, dictId: (number|null)}|null} Header length
+   *   (2 or 6), FLEVEL and DICTID (null without FDICT), or null if not fully buffered.
+   * @throws {DataError} If invalid.
+   */
+  static parse(bytes, offset = 0) {
+    if (bytes.length < HEADER_SIZE) return null;
+    ZlibHeader.validate(bytes, offset);
 
-    if ((CMF * 256 + FLG) % 31 !== 0) throw new Error('Header Checksum Failed');
+    const FLG = bytes[1];
+    const flevel = FLG >> 6;
+    if ((FLG & 0x20) === 0) return { length: HEADER_SIZE, flevel, dictId: null };
+
+    if (bytes.length < HEADER_SIZE + DICTID_SIZE) return null;
+    const view = new DataView(bytes.buffer, bytes.byteOffset + HEADER_SIZE, DICTID_SIZE);
+    return { length: HEADER_SIZE + DICTID_SIZE, flevel, dictId: view.getUint32(0, false) };
+  }
+
+  /**
+   * Checks that a preset dictionary matches the DICTID of a stream.
+   * @param {number} dictId DICTID from the header (Adler-32 of the dictionary).
+   * @param {Uint8Array|null|undefined} dictionary The dictionary supplied by the caller.
+   * @param {number} [offset] Position of the header in the input, for error offsets.
+   * @throws {NeedDictError} If no dictionary was given.
+   * @throws {DataError} If it does not match.
+   */
+  static checkDictionary(dictId, dictionary, offset = 0) {
+    const id = `0x${dictId.toString(16).padStart(8, '0')}`;
+    const context = { byteOffset: offset + HEADER_SIZE, bitOffset: 0 };
+    if (!dictionary) throw new NeedDictError(`Dictionary required (DICTID ${id})`, dictId, context);
+    if (adler32(dictionary) !== dictId) {
+      throw new DataError(`Incorrect dictionary (DICTID ${id})`, context);
+    }
   }
-}
\ No newline at end of file
+}
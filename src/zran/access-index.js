@@ -0,0 +1,493 @@
+/**
+ * @module zran/access-index
+ * @description Random access into compressed data (after zlib's zran.c): an index
+ * of access points from which decoding can start anywhere in a DEFLATE stream.
+ */
+
+import Inflate from '../inflate/inflate.js';
+import Deflate from '../deflate/deflate.js';
+import DecompressionLimit from '../inflate/limits.js';
+import ZlibHeader from '../zlib/header.js';
+import GzipHeader from '../gzip/header.js';
+import Hasher from '../hash/hasher.js';
+import crc32 from '../crc32/crc32.js';
+import { Format, detectFormat } from '../streams/formats.js';
+import { concatBytes } from '../utils/bytes.js';
+import { DataError, BufferError, ChecksumError } from '../utils/errors.js';
+
+/**
+ * Default distance between access points, in decompressed bytes.
+ * @constant {number}
+ */
+const DEFAULT_SPAN = 1048576;
+
+/**
+ * Compressed bytes fed to the decoder (and read by `readAt()`) at a time.
+ * @constant {number}
+ */
+const CHUNK_SIZE = 65536;
+
+/**
+ * Largest window an access point can need: the DEFLATE history.
+ * @constant {number}
+ */
+const WINDOW_SIZE = 32768;
+
+/**
+ * Serialized index: magic, version and field sizes.
+ */
+const MAGIC = [0x5A, 0x52, 0x41, 0x4E]; // "ZRAN"
+const VERSION = 1;
+const HEADER_SIZE = 36;
+const POINT_SIZE = 24;
+const CHECK_SIZE = 4;
+
+/**
+ * Format codes of the serialized index, by position.
+ * @type {Format[]}
+ */
+const FORMAT_CODES = [Format.ZLIB, Format.GZIP, Format.RAW];
+
+/**
+ * Checksum trailer length by format.
+ * @type {{[format: string]: number}}
+ */
+const TRAILER_SIZES = { [Format.ZLIB]: 4, [Format.GZIP]: 8, [Format.RAW]: 0 };
+
+/**
+ * A position where decoding can start: a block boundary, with the history
+ * that back references after it may reach.
+ * @typedef {object} AccessPoint
+ * @property {number} bitOffset Position of the block in the compressed data, in bits.
+ * @property {number} outputOffset Decompressed bytes before it.
+ * @property {Uint8Array} window The last 32K (at most) of output before it.
+ */
+
+/**
+ * Describes a position in the container, for errors.
+ * @param {number} byteOffset The offending byte.
+ * @param {number} bytesOut Bytes decompressed before it.
+ * @returns {import('../utils/errors.js').ErrorContext} The position.
+ */
+function containerContext(byteOffset, bytesOut) {
+  return {
+    byteOffset, bitOffset: 0, blockIndex: null, blockType: null, bytesOut,
+  };
+}
+
+/**
+ * Splits the input of `AccessIndex.build()` into pieces of at most CHUNK_SIZE bytes.
+ * @param {Uint8Array|Uint8Array[]|object} source The data, whole or as an iterable of chunks.
+ * @returns {function(): (Uint8Array|null)} Returns the next piece, or null at the end.
+ * @throws {TypeError} If the source is neither a Uint8Array nor iterable.
+ */
+function chunkReader(source) {
+  const chunks = source instanceof Uint8Array ? [source] : source;
+  if (chunks === null || typeof chunks !== 'object' || typeof chunks[Symbol.iterator] !== 'function') {
+    throw new TypeError('Input must be a Uint8Array or an iterable of Uint8Array chunks');
+  }
+
+  const iterator = chunks[Symbol.iterator]();
+  let chunk = new Uint8Array(0);
+  let pos = 0;
+  return () => {
+    while (pos >= chunk.length) {
+      const next = iterator.next();
+      if (next.done) return null;
+      if (!(next.value instanceof Uint8Array)) throw new TypeError('Chunks must be Uint8Array');
+      chunk = next.value;
+      pos = 0;
+    }
+    const piece = chunk.subarray(pos, pos + CHUNK_SIZE);
+    pos += piece.length;
+    return piece;
+  };
+}
+
+/**
+ * Wraps the source of `AccessIndex.readAt()` as a function reading byte ranges.
+ * @param {Uint8Array|function(number, number): Uint8Array} source The compressed data,
+ *   or a function returning `length` bytes at `position` (fewer at the end of the data).
+ * @returns {function(number, number): Uint8Array} Reads up to `length` bytes at `position`.
+ * @throws {TypeError} If the source is neither a Uint8Array nor a function.
+ */
+function rangeReader(source) {
+  if (source instanceof Uint8Array) {
+    return (position, length) => source.subarray(position, position + length);
+  }
+  if (typeof source !== 'function') {
+    throw new TypeError('Data must be a Uint8Array or a function reading byte ranges');
+  }
+  return (position, length) => {
+    const bytes = source(position, length);
+    if (!(bytes instanceof Uint8Array)) throw new TypeError('Reader must return a Uint8Array');
+    return bytes.subarray(0, length);
+  };
+}
+
+/**
+ * Parses the ZLIB or GZIP header in front of the DEFLATE data.
+ * @param {Uint8Array} data The start of the compressed data.
+ * @param {Format} format Its format.
+ * @param {Uint8Array} [dictionary] Preset dictionary given by the caller.
+ * @returns {{start: number, hasher: (Hasher|null), dictionary: (Uint8Array|null)}|null} Where
+ *   the DEFLATE data starts, the hasher for the trailer, and the dictionary in use, or
+ *   null if `data` does not hold the whole header yet.
+ * @throws {import('../utils/errors.js').ZlibError} If the header is invalid, or the
+ *   dictionary is missing or wrong.
+ */
+function openContainer(data, format, dictionary) {
+  if (format === Format.RAW) return { start: 0, hasher: null, dictionary: dictionary || null };
+
+  if (format === Format.GZIP) {
+    const parsed = GzipHeader.parse(data);
+    if (!parsed) return null;
+    return { start: parsed.length, hasher: Hasher.create('crc32'), dictionary: null };
+  }
+
+  const header = ZlibHeader.parse(data);
+  if (!header) return null;
+  if (header.dictId === null) {
+    return { start: header.length, hasher: Hasher.create('adler32'), dictionary: null };
+  }
+  ZlibHeader.checkDictionary(header.dictId, dictionary);
+  return { start: header.length, hasher: Hasher.create('adler32'), dictionary };
+}
+
+/**
+ * Checks the ZLIB or GZIP trailer after the DEFLATE data.
+ * @param {Uint8Array} trailer The bytes following the DEFLATE data (all there are,
+ *   if fewer than the trailer).
+ * @param {Format} format The container format.
+ * @param {number} end Where the DEFLATE data ends, for error offsets.
+ * @param {Hasher|null} hasher The checksum of the decompressed data.
+ * @throws {BufferError} If the trailer is truncated.
+ * @throws {ChecksumError} If it does not match.
+ */
+function checkTrailer(trailer, format, end, hasher) {
+  if (!hasher) return;
+  const size = TRAILER_SIZES[format];
+  if (trailer.length < size) {
+    const context = containerContext(end + trailer.length, hasher.length);
+    throw new BufferError('Unexpected end of input', context);
+  }
+
+  const view = new DataView(trailer.buffer, trailer.byteOffset, size);
+  if (format === Format.ZLIB) {
+    if (view.getUint32(0, false) !== hasher.digest()) {
+      throw new ChecksumError('Adler32 Checksum Failed', containerContext(end, hasher.length));
+    }
+    return;
+  }
+  if (view.getUint32(0, true) !== hasher.digest()) {
+    throw new ChecksumError('CRC32 Checksum Failed', containerContext(end, hasher.length));
+  }
+  if (view.getUint32(4, true) !== hasher.length >>> 0) {
+    throw new ChecksumError('GZIP Length Mismatch', containerContext(end + 4, hasher.length));
+  }
+}
+
+/**
+ * Random-access index of a compressed stream (after zlib's zran.c).
+ *
+ * Building it decodes the stream once and records an access point at the
+ * first block boundary after every `span` decompressed bytes: the bit offset
+ * of the block, its output offset, and the 32K window it may refer back to.
+ * `readAt()` then decodes from the nearest point before the wanted range, so
+ * reading any range costs at most about `span` bytes of extra decoding. Each
+ * point keeps a window of up to 32K (compressed when serialized), so a smaller
+ * span means faster reads and a larger index.
+ *
+ * Neither needs the whole compressed data in memory: `build()` takes it in
+ * chunks, and `readAt()` reads the byte ranges it needs through a function.
+ *
+ * Only the first ZLIB stream or GZIP member is indexed; data after it is ignored.
+ * @example
+ * const index = ZlibCore.buildIndex(chunksOf(file), { span: 4 * 1024 * 1024 });
+ * const page = ZlibCore.readAt(index, (position, length) => readRange(file, position, length),
+ *   1e9, 4096);
+ * store(index.serialize()); // ZlibCore.loadIndex() restores it
+ */
+export default class AccessIndex {
+  /**
+   * Use `AccessIndex.build()` or `AccessIndex.deserialize()`.
+   * @param {object} fields The index fields.
+   * @param {Format} fields.format Container format of the data.
+   * @param {number} fields.span Minimum distance between access points.
+   * @param {number} fields.length Decompressed length of the stream.
+   * @param {number} fields.compressedLength Compressed length, header and trailer included.
+   * @param {AccessPoint[]} fields.points Access points, in stream order.
+   */
+  constructor({
+    format, span, length, compressedLength, points,
+  }) {
+    this.format = format;
+    this.span = span;
+    this.length = length;
+    this.compressedLength = compressedLength;
+    this.points = points;
+  }
+
+  /**
+   * Decodes a whole stream once, recording access points along the way.
+   * The format is detected as by `detectFormat()`; checksums are verified.
+   * @param {Uint8Array|Uint8Array[]|object} data The compressed data (ZLIB, GZIP or
+   *   raw DEFLATE), whole or as an iterable of Uint8Array chunks (an array, a generator),
+   *   read until the stream ends.
+   * @param {object} [options] Index options.
+   * @param {number} [options.span] Decompressed bytes between access points
+   *   (default 1 MiB).
+   * @param {Uint8Array} [options.dictionary] Preset dictionary (ZLIB with FDICT, or raw
+   *   DEFLATE). Reads do not need it: it is kept as the first point's window.
+   * @returns {AccessIndex} The index.
+   * @throws {TypeError} If `data` is not a Uint8Array or an iterable of them.
+   * @throws {RangeError} If `span` is not a positive integer.
+   * @throws {import('../utils/errors.js').ZlibError} If the data is corrupt or truncated.
+   */
+  static build(data, { span = DEFAULT_SPAN, dictionary } = {}) {
+    const nextPiece = chunkReader(data);
+    if (!Number.isSafeInteger(span) || span < 1) throw new RangeError(`Invalid span: ${span}`);
+
+    // The container header, read on until it is complete (2 bytes tell the format)
+    let head = new Uint8Array(0);
+    let format = null;
+    let container = null;
+    while (!container) {
+      const piece = nextPiece();
+      if (piece) head = concatBytes([head, piece]);
+      if (head.length >= 2 || !piece) {
+        format = format || detectFormat(head);
+        container = openContainer(head, format, dictionary);
+      }
+      if (!container && !piece) {
+        throw new BufferError('Unexpected end of input', containerContext(head.length, 0));
+      }
+    }
+    const { start, hasher } = container;
+
+    const inflate = new Inflate();
+    inflate.inputOffset = start;
+    if (container.dictionary) inflate.setDictionary(container.dictionary);
+    const points = [{ bitOffset: start * 8, outputOffset: 0, window: inflate.history() }];
+    inflate.onBlockEnd = () => {
+      const outputOffset = inflate.totalOut;
+      if (outputOffset - points[points.length - 1].outputOffset < span) return;
+      points.push({ bitOffset: inflate.bitPosition(), outputOffset, window: inflate.history() });
+    };
+
+    let piece = head.subarray(start);
+    while (piece && !inflate.ended) {
+      const output = inflate.push(piece);
+      if (hasher) hasher.update(output);
+      piece = inflate.ended ? null : nextPiece();
+    }
+    inflate.finish(); // Throws if the data ends inside the stream
+
+    // The trailer follows in the input left over, and in the next pieces if need be
+    const trailer = [inflate.takeRemaining()];
+    let buffered = trailer[0].length;
+    piece = buffered < TRAILER_SIZES[format] ? nextPiece() : null;
+    while (piece) {
+      trailer.push(piece);
+      buffered += piece.length;
+      piece = buffered < TRAILER_SIZES[format] ? nextPiece() : null;
+    }
+    const end = start + inflate.bytesConsumed;
+    checkTrailer(concatBytes(trailer), format, end, hasher);
+    return new AccessIndex({
+      format,
+      span,
+      length: inflate.totalOut,
+      compressedLength: end + TRAILER_SIZES[format],
+      points,
+    });
+  }
+
+  /**
+   * Restores an index written by `serialize()`.
+   * @param {Uint8Array} bytes The serialized index.
+   * @returns {AccessIndex} The index.
+   * @throws {DataError} If the bytes are not an index, or of an unknown version, or a
+   *   window is longer than 32K.
+   * @throws {BufferError} If they are truncated.
+   * @throws {ChecksumError} If they are corrupt.
+   * @throws {import('../utils/errors.js').DecompressionLimitError} If a window decodes to
+   *   more than its stated length.
+   */
+  static deserialize(bytes) {
+    if (!(bytes instanceof Uint8Array)) throw new TypeError('Input must be Uint8Array');
+    if (bytes.length < HEADER_SIZE + CHECK_SIZE) {
+      throw new BufferError('Unexpected end of index', containerContext(bytes.length, null));
+    }
+    if (MAGIC.some((byte, i) => bytes[i] !== byte)) {
+      throw new DataError('Not an access index', containerContext(0, null));
+    }
+    if (bytes[4] !== VERSION) {
+      throw new DataError(`Unsupported index version: ${bytes[4]}`, containerContext(4, null));
+    }
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+    const body = bytes.length - CHECK_SIZE;
+    if (crc32(bytes.subarray(0, body)) !== view.getUint32(body, false)) {
+      throw new ChecksumError('Index checksum failed', containerContext(body, null));
+    }
+
+    const format = FORMAT_CODES[bytes[5]];
+    if (!format) throw new DataError(`Invalid index format: ${bytes[5]}`, containerContext(5, null));
+    const count = view.getUint32(32, false);
+    const points = [];
+    let pos = HEADER_SIZE;
+    for (let i = 0; i < count; i++) {
+      if (pos + POINT_SIZE > body) {
+        throw new BufferError('Unexpected end of index', containerContext(pos, null));
+      }
+      const windowLength = view.getUint32(pos + 16, false);
+      const packedLength = view.getUint32(pos + 20, false);
+      const packedStart = pos + POINT_SIZE;
+      if (windowLength > WINDOW_SIZE) {
+        throw new DataError('Invalid index window', containerContext(pos + 16, null));
+      }
+      if (packedStart + packedLength > body) {
+        throw new BufferError('Unexpected end of index', containerContext(packedStart, null));
+      }
+      const packed = bytes.subarray(packedStart, packedStart + packedLength);
+      const inflate = new Inflate();
+      inflate.setLimit(new DecompressionLimit({ maxOutputLength: windowLength }));
+      const window = inflate.decompress(packed);
+      if (window.length !== windowLength) {
+        throw new DataError('Invalid index window', containerContext(packedStart, null));
+      }
+      points.push({
+        bitOffset: Number(view.getBigUint64(pos, false)),
+        outputOffset: Number(view.getBigUint64(pos + 8, false)),
+        window,
+      });
+      pos = packedStart + packedLength;
+    }
+
+    return new AccessIndex({
+      format,
+      span: Number(view.getBigUint64(8, false)),
+      length: Number(view.getBigUint64(16, false)),
+      compressedLength: Number(view.getBigUint64(24, false)),
+      points,
+    });
+  }
+
+  /**
+   * Decompresses a range of the stream, starting from the nearest access point.
+   * The range is clipped to the end of the stream. Only the compressed bytes
+   * from that point on are read, CHUNK_SIZE at a time, so `data` can be a
+   * function reading them from a file of any size.
+   * @param {Uint8Array|function(number, number): Uint8Array} data The compressed data
+   *   the index was built from, or a function `(position, length)` returning `length`
+   *   bytes of it at `position` (fewer at its end).
+   * @param {number} offset Decompressed offset of the first byte wanted.
+   * @param {number} length Number of bytes wanted.
+   * @returns {Uint8Array} The bytes (shorter than `length` past the end of the stream).
+   * @throws {TypeError} If `data` is neither a Uint8Array nor a function.
+   * @throws {RangeError} If `offset` or `length` is not a non-negative integer.
+   * @throws {import('../utils/errors.js').ZlibError} If the data does not match the
+   *   index, or ends before the range does.
+   */
+  readAt(data, offset, length) {
+    const read = rangeReader(data);
+    if (!Number.isSafeInteger(offset) || offset < 0) throw new RangeError(`Invalid offset: ${offset}`);
+    if (!Number.isSafeInteger(length) || length < 0) throw new RangeError(`Invalid length: ${length}`);
+
+    const start = Math.min(offset, this.length);
+    const end = Math.min(offset + length, this.length);
+    const result = new Uint8Array(end - start);
+    if (start === end) return result;
+
+    // Reads the next piece of compressed data, up to the end of the indexed stream
+    const point = this.pointBefore(start);
+    const byte = Math.floor(point.bitOffset / 8);
+    let pos = byte;
+    const readNext = () => {
+      const bytes = read(pos, Math.max(0, Math.min(CHUNK_SIZE, this.compressedLength - pos)));
+      pos += bytes.length;
+      return bytes;
+    };
+
+    const inflate = new Inflate(readNext());
+    inflate.skipBits(point.bitOffset % 8);
+    if (point.window.length > 0) inflate.setDictionary(point.window);
+    inflate.inputOffset = byte;
+    inflate.outputOffset = point.outputOffset;
+
+    let produced = point.outputOffset; // Decompressed offset of the next byte decoded
+    const take = (output) => {
+      const from = Math.max(0, start - produced);
+      const to = Math.min(output.length, end - produced);
+      if (from < to) result.set(output.subarray(from, to), produced + from - start);
+      produced += output.length;
+    };
+
+    take(inflate.push(new Uint8Array(0)));
+    while (produced < end) {
+      if (inflate.ended) throw new DataError('Data does not match the index', inflate.errorContext());
+      const bytes = readNext();
+      if (bytes.length === 0) inflate.finish(); // Throws: the data ends inside the stream
+      take(inflate.push(bytes));
+    }
+    return result;
+  }
+
+  /**
+   * Finds the last access point at or before a decompressed offset.
+   * @param {number} offset The decompressed offset.
+   * @returns {AccessPoint} The point.
+   */
+  pointBefore(offset) {
+    const { points } = this;
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >>> 1;
+      if (points[mid].outputOffset <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return points[low];
+  }
+
+  /**
+   * Writes the index to bytes, for storing next to the compressed data.
+   * Layout (Big Endian): "ZRAN", version, format code, 2 reserved bytes, span,
+   * length and compressed length (64-bit), point count (32-bit); per point its
+   * bit offset and output offset (64-bit), window length and packed length
+   * (32-bit) and the window as raw DEFLATE; then a CRC-32 of all that.
+   * @returns {Uint8Array} The serialized index.
+   */
+  serialize() {
+    const header = new Uint8Array(HEADER_SIZE);
+    const view = new DataView(header.buffer);
+    header.set(MAGIC, 0);
+    header[4] = VERSION;
+    header[5] = FORMAT_CODES.indexOf(this.format);
+    view.setBigUint64(8, BigInt(this.span), false);
+    view.setBigUint64(16, BigInt(this.length), false);
+    view.setBigUint64(24, BigInt(this.compressedLength), false);
+    view.setUint32(32, this.points.length, false);
+
+    const parts = [header];
+    this.points.forEach(({ bitOffset, outputOffset, window }) => {
+      const packed = new Deflate().compress(window);
+      const fields = new DataView(new ArrayBuffer(POINT_SIZE));
+      fields.setBigUint64(0, BigInt(bitOffset), false);
+      fields.setBigUint64(8, BigInt(outputOffset), false);
+      fields.setUint32(16, window.length, false);
+      fields.setUint32(20, packed.length, false);
+      parts.push(new Uint8Array(fields.buffer), packed);
+    });
+
+    const body = concatBytes(parts);
+    const bytes = new Uint8Array(body.length + CHECK_SIZE);
+    bytes.set(body, 0);
+    new DataView(bytes.buffer).setUint32(body.length, crc32(body), false);
+    return bytes;
+  }
+}
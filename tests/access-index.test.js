@@ -0,0 +1,226 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, Format, ZlibError, DataError, BufferError, ChecksumError, NeedDictError,
+  DecompressionLimitError,
+} from '../src/index.js';
+import {
+  SAMPLES, text, randomBytes, chunks, concat,
+} from './fixtures/samples.js';
+
+const data = concat([text(300000), randomBytes(50000, 11), text(150000)]);
+const SPAN = 16384;
+
+// Ranges at the start, across access points, in the random part and at the end
+const RANGES = [
+  [0, 100], [1, 70000], [SPAN - 3, 10], [123456, 4096], [310000, 30000],
+  [data.length - 50, 50], [data.length - 10, 1000], [data.length, 10], [data.length + 5, 1],
+  [200000, 0],
+];
+
+/**
+ * Checks every range of RANGES against the data.
+ * @param {object} index The index.
+ * @param {Uint8Array} compressed The data it was built from.
+ */
+function assertRanges(index, compressed) {
+  RANGES.forEach(([offset, length]) => {
+    const expected = data.subarray(Math.min(offset, data.length), offset + length);
+    assert.deepEqual(ZlibCore.readAt(index, compressed, offset, length), expected, `${offset}`);
+  });
+}
+
+describe('buildIndex and readAt', () => {
+  const formats = [
+    [Format.ZLIB, new Uint8Array(zlib.deflateSync(data))],
+    [Format.GZIP, new Uint8Array(zlib.gzipSync(data, { level: 1 }))],
+    [Format.RAW, ZlibCore.deflateRaw(data, { level: 9 })],
+  ];
+
+  formats.forEach(([format, compressed]) => {
+    it(`read any range of ${format} data`, () => {
+      const index = ZlibCore.buildIndex(compressed, { span: SPAN });
+      assert.equal(index.format, format);
+      assert.equal(index.length, data.length);
+      assert.equal(index.compressedLength, compressed.length);
+      assert.ok(index.points.length > 3, `${index.points.length} points`);
+      index.points.slice(1).forEach((point, i) => {
+        assert.ok(point.outputOffset - index.points[i].outputOffset >= SPAN);
+      });
+      assertRanges(index, compressed);
+    });
+
+    it(`read the same ranges of ${format} data after serialize and loadIndex`, () => {
+      const index = ZlibCore.buildIndex(compressed, { span: SPAN });
+      const loaded = ZlibCore.loadIndex(index.serialize());
+      assert.equal(loaded.format, index.format);
+      assert.equal(loaded.span, SPAN);
+      assert.equal(loaded.length, index.length);
+      assert.equal(loaded.compressedLength, index.compressedLength);
+      assert.deepEqual(loaded.points, index.points);
+      assertRanges(loaded, compressed);
+    });
+  });
+
+  it('builds from chunks and reads only from the access point on', () => {
+    const compressed = new Uint8Array(zlib.gzipSync(data));
+    const index = ZlibCore.buildIndex(compressed, { span: SPAN });
+    const pieces = [compressed.subarray(0, 1), ...chunks(compressed.subarray(1), 7000)];
+    const fromChunks = ZlibCore.buildIndex(pieces.values(), { span: SPAN });
+    assert.equal(fromChunks.compressedLength, index.compressedLength);
+    assert.deepEqual(fromChunks.points, index.points);
+
+    RANGES.forEach(([offset, length]) => {
+      const reads = [];
+      const read = (position, size) => {
+        reads.push([position, size]);
+        return compressed.subarray(position, position + size);
+      };
+      const expected = data.subarray(Math.min(offset, data.length), offset + length);
+      assert.deepEqual(ZlibCore.readAt(index, read, offset, length), expected, `${offset}`);
+      if (expected.length === 0) return;
+      const first = Math.floor(index.pointBefore(offset).bitOffset / 8);
+      assert.equal(reads[0][0], first);
+      reads.forEach(([position, size]) => {
+        assert.ok(position >= first && position + size <= compressed.length);
+      });
+    });
+  });
+
+  it('uses one access point for data shorter than the span', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    const index = ZlibCore.buildIndex(compressed);
+    assert.equal(index.points.length, 1);
+    const range = ZlibCore.readAt(index, compressed, 1000, 500);
+    assert.deepEqual(range, SAMPLES.text.subarray(1000, 1500));
+  });
+
+  it('indexes empty data', () => {
+    const compressed = ZlibCore.gzip(SAMPLES.empty);
+    const index = ZlibCore.loadIndex(ZlibCore.buildIndex(compressed).serialize());
+    assert.equal(index.length, 0);
+    assert.deepEqual(ZlibCore.readAt(index, compressed, 0, 10), new Uint8Array(0));
+  });
+
+  it('keeps a preset dictionary as the first window', () => {
+    const dictionary = SAMPLES.text.subarray(0, 4000);
+    const compressed = ZlibCore.compress(SAMPLES.text, { dictionary });
+    assert.throws(() => ZlibCore.buildIndex(compressed), NeedDictError);
+    const index = ZlibCore.buildIndex(compressed, { dictionary, span: 4096 });
+    const loaded = ZlibCore.loadIndex(index.serialize());
+    assert.deepEqual(ZlibCore.readAt(loaded, compressed, 0, 100), SAMPLES.text.subarray(0, 100));
+  });
+
+  it('ignores data after the first stream', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    const index = ZlibCore.buildIndex(concat([compressed, compressed]));
+    assert.equal(index.length, SAMPLES.text.length);
+    assert.equal(index.compressedLength, compressed.length);
+  });
+
+  it('verifies the data while building', () => {
+    const compressed = ZlibCore.gzip(SAMPLES.text);
+    const damaged = compressed.slice();
+    damaged[damaged.length - 6] ^= 1;
+    assert.throws(() => ZlibCore.buildIndex(damaged), ChecksumError);
+    assert.throws(() => ZlibCore.buildIndex(compressed.subarray(0, 100)), BufferError);
+    const truncated = compressed.subarray(0, compressed.length - 2);
+    assert.throws(() => ZlibCore.buildIndex(truncated), BufferError);
+  });
+
+  it('rejects invalid arguments', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    const index = ZlibCore.buildIndex(compressed);
+    assert.throws(() => ZlibCore.buildIndex(compressed, { span: 0 }), RangeError);
+    assert.throws(() => ZlibCore.buildIndex([1, 2, 3]), TypeError);
+    assert.throws(() => ZlibCore.buildIndex(42), TypeError);
+    assert.throws(() => ZlibCore.readAt({}, compressed, 0, 1), TypeError);
+    assert.throws(() => ZlibCore.readAt(index, [1, 2, 3], 0, 1), TypeError);
+    assert.throws(() => ZlibCore.readAt(index, () => [1, 2, 3], 0, 1), TypeError);
+    assert.throws(() => ZlibCore.readAt(index, compressed, -1, 1), RangeError);
+    assert.throws(() => ZlibCore.readAt(index, compressed, 0, 1.5), RangeError);
+  });
+
+  it('rejects data that ends before the range', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    const index = ZlibCore.buildIndex(compressed);
+    const truncated = compressed.subarray(0, 100);
+    assert.throws(() => ZlibCore.readAt(index, truncated, 5000, 10), BufferError);
+    const read = (position, size) => truncated.subarray(position, position + size);
+    assert.throws(() => ZlibCore.readAt(index, read, 5000, 10), BufferError);
+  });
+
+  it('detects data that does not match the index', () => {
+    const compressed = new Uint8Array(zlib.deflateSync(data));
+    const index = ZlibCore.buildIndex(compressed, { span: SPAN });
+    const other = new Uint8Array(zlib.deflateSync(data.slice().reverse()));
+    const padded = concat([other, new Uint8Array(compressed.length)]);
+    const point = index.points[3];
+    assert.throws(() => ZlibCore.readAt(index, padded, point.outputOffset, 1000), ZlibError);
+  });
+});
+
+describe('loadIndex', () => {
+  const compressed = ZlibCore.compress(SAMPLES.text);
+  const bytes = ZlibCore.buildIndex(compressed, { span: 8192 }).serialize();
+
+  /**
+   * Sets bytes of the serialized index and fixes the CRC-32 after them.
+   * @param {number} pos Position of the first byte.
+   * @param {...number} values Their new values.
+   * @returns {Uint8Array} The edited index.
+   */
+  function withBytes(pos, ...values) {
+    const edited = bytes.slice();
+    edited.set(values, pos);
+    const body = edited.subarray(0, edited.length - 4);
+    new DataView(edited.buffer).setUint32(body.length, ZlibCore.crc32(body), false);
+    return edited;
+  }
+
+  it('rejects bytes that are not an index, or of another version or format', () => {
+    assert.throws(() => ZlibCore.loadIndex(new Uint8Array(64)), DataError);
+    assert.throws(() => ZlibCore.loadIndex(withBytes(4, 2)), (err) => {
+      assert.ok(err instanceof DataError);
+      assert.match(err.message, /version: 2/);
+      assert.equal(err.byteOffset, 4);
+      return true;
+    });
+    assert.throws(() => ZlibCore.loadIndex(withBytes(5, 3)), DataError);
+  });
+
+  it('rejects truncated indexes', () => {
+    assert.throws(() => ZlibCore.loadIndex(bytes.subarray(0, 20)), BufferError);
+    // A point count past the end of the bytes
+    assert.throws(() => ZlibCore.loadIndex(withBytes(32, 1)), BufferError);
+  });
+
+  it('rejects corrupt indexes', () => {
+    const damaged = bytes.slice();
+    damaged[40] ^= 1;
+    assert.throws(() => ZlibCore.loadIndex(damaged), (err) => {
+      assert.ok(err instanceof ChecksumError);
+      assert.equal(err.byteOffset, bytes.length - 4);
+      return true;
+    });
+  });
+
+  it('rejects windows that decode to more than 32K or their stated length', () => {
+    // Window length of the second access point, after the first one's window
+    const view = new DataView(bytes.buffer);
+    const second = 36 + 24 + view.getUint32(36 + 20, false);
+    assert.ok(view.getUint32(second + 16, false) > 100);
+    assert.throws(() => ZlibCore.loadIndex(withBytes(second + 16, 0, 1, 0, 0)), (err) => {
+      assert.ok(err instanceof DataError);
+      assert.equal(err.byteOffset, second + 16);
+      return true;
+    });
+    const understated = withBytes(second + 18, 0, 100);
+    assert.throws(() => ZlibCore.loadIndex(understated), DecompressionLimitError);
+  });
+
+  it('rejects anything but a Uint8Array', () => {
+    assert.throws(() => ZlibCore.loadIndex(Array.from(bytes)), TypeError);
+  });
+});
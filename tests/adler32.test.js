@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore } from '../src/index.js';
+import adler32, { adler32Combine } from '../src/adler32/adler32.js';
+import { SAMPLES, randomBytes } from './fixtures/samples.js';
+
+/**
+ * Adler-32 straight from RFC 1950, reducing after every byte.
+ * @param {Uint8Array} data The data.
+ * @returns {number} The checksum.
+ */
+function reference(data) {
+  let s1 = 1;
+  let s2 = 0;
+  data.forEach((byte) => {
+    s1 = (s1 + byte) % 65521;
+    s2 = (s2 + s1) % 65521;
+  });
+  return ((s2 << 16) | s1) >>> 0;
+}
+
+/**
+ * Reads the Adler-32 that node's zlib writes in the trailer.
+ * @param {Uint8Array} data The data.
+ * @returns {number} The checksum.
+ */
+function fromNode(data) {
+  const compressed = zlib.deflateSync(data, { level: 1 });
+  return compressed.readUInt32BE(compressed.length - 4);
+}
+
+describe('adler32', () => {
+  const inputs = {
+    ...SAMPLES,
+    // All 0xFF across several NMAX runs: the worst case for the deferred modulo
+    ones: new Uint8Array(5552 * 3 + 17).fill(0xFF),
+  };
+
+  Object.entries(inputs).forEach(([name, data]) => {
+    it(`matches the RFC and node's zlib for ${name} data`, () => {
+      assert.equal(adler32(data), reference(data));
+      assert.equal(adler32(data), fromNode(data));
+    });
+  });
+
+  it('is 1 for no data', () => {
+    assert.equal(adler32(new Uint8Array(0)), 1);
+  });
+
+  it('continues from an initial value', () => {
+    const data = SAMPLES.mixed;
+    [0, 1, 5552, 5553, data.length >> 1, data.length].forEach((split) => {
+      const first = adler32(data.subarray(0, split));
+      assert.equal(adler32(data.subarray(split), first), adler32(data));
+    });
+  });
+
+  it('rejects anything but a Uint8Array', () => {
+    assert.throws(() => adler32('text'), TypeError);
+    assert.throws(() => adler32([1, 2, 3]), TypeError);
+  });
+
+  it('is exposed as ZlibCore.createChecksum', () => {
+    assert.equal(ZlibCore.createChecksum(SAMPLES.text), adler32(SAMPLES.text));
+    assert.equal(ZlibCore.createChecksum(SAMPLES.text, 7), adler32(SAMPLES.text, 7));
+  });
+});
+
+describe('adler32Combine', () => {
+  const data = randomBytes(200000, 5);
+
+  it('joins the checksums of two pieces', () => {
+    [0, 1, 100, 65521, 65522, 131042, data.length - 1, data.length].forEach((split) => {
+      const first = adler32(data.subarray(0, split));
+      const second = adler32(data.subarray(split));
+      assert.equal(adler32Combine(first, second, data.length - split), adler32(data), `${split}`);
+    });
+  });
+
+  it('joins many pieces in order', () => {
+    const size = 7001;
+    let combined = 1;
+    for (let pos = 0; pos < data.length; pos += size) {
+      const piece = data.subarray(pos, pos + size);
+      combined = adler32Combine(combined, adler32(piece), piece.length);
+    }
+    assert.equal(combined, adler32(data));
+  });
+
+  it('handles sums at the edge of the modulus', () => {
+    const ones = new Uint8Array(65521 * 2 + 3).fill(0xFF);
+    const split = 65520;
+    const first = adler32(ones.subarray(0, split));
+    const second = adler32(ones.subarray(split));
+    assert.equal(adler32Combine(first, second, ones.length - split), adler32(ones));
+  });
+
+  it('rejects invalid lengths', () => {
+    [-1, 1.5, NaN, 2 ** 53].forEach((len) => {
+      assert.throws(() => adler32Combine(1, 1, len), RangeError);
+    });
+  });
+
+  it('is exposed as ZlibCore.createChecksum.combine', () => {
+    const a = adler32(SAMPLES.text);
+    const b = adler32(SAMPLES.random);
+    assert.equal(
+      ZlibCore.createChecksum.combine(a, b, SAMPLES.random.length),
+      adler32Combine(a, b, SAMPLES.random.length),
+    );
+  });
+});
@@ -0,0 +1,187 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, DataError, ChecksumError, DecompressionLimitError,
+} from '../src/index.js';
+import { SAMPLES, chunks, concat } from './fixtures/samples.js';
+
+// 8 MB of zeros in about 8 KB: a single input chunk
+const bomb = new Uint8Array(zlib.deflateSync(new Uint8Array(8 << 20), { level: 9 }));
+
+// Yield after every push
+const EVERY_PUSH = 1e-9;
+
+describe('compressAsync and decompressAsync', () => {
+  [1, 6, 9].forEach((level) => {
+    it(`roundtrip with node's zlib at level ${level}`, async () => {
+      const compressed = await ZlibCore.compressAsync(SAMPLES.mixed, { level });
+      assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed)), SAMPLES.mixed);
+      assert.deepEqual(compressed, ZlibCore.compress(SAMPLES.mixed, { level }));
+
+      const nodeData = new Uint8Array(zlib.deflateSync(SAMPLES.mixed, { level }));
+      const result = await ZlibCore.decompressAsync(nodeData);
+      assert.deepEqual(result.data, SAMPLES.mixed);
+      assert.equal(result.bytesConsumed, nodeData.length);
+    });
+  });
+
+  it('handle empty input', async () => {
+    const compressed = await ZlibCore.compressAsync(SAMPLES.empty);
+    assert.deepEqual((await ZlibCore.decompressAsync(compressed)).data, SAMPLES.empty);
+  });
+
+  it('reject with the errors of the sync versions', async () => {
+    const damaged = ZlibCore.compress(SAMPLES.text);
+    damaged[damaged.length >> 1] ^= 0xFF;
+    assert.throws(() => ZlibCore.decompress(damaged), ChecksumError);
+    await assert.rejects(ZlibCore.decompressAsync(damaged), ChecksumError);
+    await assert.rejects(
+      ZlibCore.decompressAsync(bomb, { maxOutputLength: 1 << 20 }),
+      DecompressionLimitError,
+    );
+    await assert.rejects(ZlibCore.decompressAsync(Uint8Array.of(0x78, 0x9D)), DataError);
+    await assert.rejects(ZlibCore.compressAsync('text'), TypeError);
+  });
+
+  it('reject invalid slicing options', async () => {
+    await assert.rejects(ZlibCore.compressAsync(SAMPLES.text, { sliceTime: 0 }), RangeError);
+    await assert.rejects(ZlibCore.decompressAsync(bomb, { sliceTime: 'fast' }), RangeError);
+    await assert.rejects(ZlibCore.compressAsync(SAMPLES.text, { onProgress: 1 }), TypeError);
+  });
+});
+
+describe('progress', () => {
+  it('counts input and output up to the totals', async () => {
+    const reports = [];
+    const data = concat([SAMPLES.text, SAMPLES.random, SAMPLES.text]);
+    const compressed = await ZlibCore.compressAsync(data, {
+      sliceTime: EVERY_PUSH, onProgress: (progress) => reports.push(progress),
+    });
+    assert.ok(reports.length > 2);
+    assert.deepEqual(reports[reports.length - 1], {
+      bytesIn: data.length, bytesOut: compressed.length,
+    });
+    reports.slice(1).forEach((report, i) => {
+      assert.ok(report.bytesIn >= reports[i].bytesIn);
+      assert.ok(report.bytesOut >= reports[i].bytesOut);
+    });
+  });
+
+  it('reports once at the end when a slice is never used up', async () => {
+    const reports = [];
+    await ZlibCore.decompressAsync(ZlibCore.compress(SAMPLES.single), {
+      onProgress: (progress) => reports.push(progress),
+    });
+    assert.equal(reports.length, 1);
+    assert.equal(reports[0].bytesOut, 1);
+  });
+
+  it('bounds the output of a slice, however far the input expands', async () => {
+    const reports = [];
+    const result = await ZlibCore.decompressAsync(bomb, {
+      sliceTime: EVERY_PUSH, onProgress: (progress) => reports.push(progress),
+    });
+    assert.equal(result.data.length, 8 << 20);
+    assert.ok(reports.length >= 8, `${reports.length} slices`);
+    let before = 0;
+    reports.forEach(({ bytesOut }) => {
+      assert.ok(bytesOut - before <= (1 << 20) + 258, `${bytesOut - before} bytes in a slice`);
+      before = bytesOut;
+    });
+  });
+
+  it('lets other tasks run between slices', async () => {
+    let ticks = 0;
+    const timer = setInterval(() => { ticks++; }, 0);
+    try {
+      await ZlibCore.decompressAsync(bomb, { sliceTime: 1 });
+    } finally {
+      clearInterval(timer);
+    }
+    assert.ok(ticks > 0);
+  });
+});
+
+describe('abort', () => {
+  it('rejects at once if the signal has already fired', async () => {
+    const controller = new AbortController();
+    const reason = new Error('cancelled');
+    controller.abort(reason);
+    await assert.rejects(
+      ZlibCore.compressAsync(SAMPLES.text, { signal: controller.signal }),
+      (err) => err === reason,
+    );
+  });
+
+  it('stops between slices with an AbortError', async () => {
+    const controller = new AbortController();
+    let slices = 0;
+    const promise = ZlibCore.decompressAsync(bomb, {
+      sliceTime: EVERY_PUSH,
+      signal: controller.signal,
+      onProgress: () => {
+        slices++;
+        controller.abort();
+      },
+    });
+    await assert.rejects(promise, (err) => {
+      assert.ok(err instanceof DOMException);
+      assert.equal(err.name, 'AbortError');
+      return true;
+    });
+    assert.equal(slices, 1);
+  });
+
+  it('has no effect once the work is done', async () => {
+    const controller = new AbortController();
+    const compressed = await ZlibCore.compressAsync(SAMPLES.text, { signal: controller.signal });
+    controller.abort();
+    assert.deepEqual((await ZlibCore.decompressAsync(compressed)).data, SAMPLES.text);
+  });
+});
+
+describe('output cap', () => {
+  it('pauses a decompressor that an empty push resumes', () => {
+    const capped = ZlibCore.createDecompressor();
+    capped.setOutputCap(100000);
+    const parts = [capped.push(bomb)];
+    while (capped.paused) {
+      const part = capped.push(new Uint8Array(0));
+      assert.ok(part.length <= 100000 + 258);
+      parts.push(part);
+    }
+    capped.finish();
+    assert.ok(capped.ended);
+    assert.ok(parts.length > 80);
+    assert.deepEqual(concat(parts), new Uint8Array(8 << 20));
+  });
+
+  it('gives the same output as an uncapped decoder for any input', () => {
+    const compressed = new Uint8Array(zlib.deflateRawSync(SAMPLES.mixed));
+    const inflate = ZlibCore.createInflateRaw();
+    inflate.setOutputCap(1000);
+    const parts = chunks(compressed, 4096).map((chunk) => {
+      const output = [inflate.push(chunk)];
+      while (inflate.paused) output.push(inflate.push(new Uint8Array(0)));
+      return concat(output);
+    });
+    assert.ok(inflate.ended);
+    assert.deepEqual(concat(parts), SAMPLES.mixed);
+  });
+
+  it('applies to every stream with multiStream', () => {
+    const stream = ZlibCore.compress(new Uint8Array(300000));
+    const decompressor = ZlibCore.createDecompressor({ multiStream: true });
+    decompressor.setOutputCap(50000);
+    const parts = [decompressor.push(concat([stream, stream]))];
+    while (decompressor.paused) parts.push(decompressor.push(new Uint8Array(0)));
+    assert.ok(parts.every((part) => part.length <= 50000 + 258));
+    assert.equal(concat(parts).length, 600000);
+  });
+
+  it('rejects caps that are not positive numbers', () => {
+    assert.throws(() => ZlibCore.createInflateRaw().setOutputCap(0), RangeError);
+    assert.throws(() => ZlibCore.createDecompressor().setOutputCap('1'), RangeError);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore } from '../src/index.js';
+import { LZ77 } from '../src/deflate/lz77.js';
+import {
+  SAMPLES, text, randomBytes, concat,
+} from './fixtures/samples.js';
+import blockTypes from './fixtures/blocks.js';
+
+describe('block splitting and block types', () => {
+  it('round-trips data whose statistics change', () => {
+    const base64 = new TextEncoder().encode(Buffer.from(randomBytes(15000, 5)).toString('base64'));
+    const input = concat([text(30000), base64, randomBytes(20000, 6), text(30000)]);
+    [1, 6, 9].forEach((level) => {
+      const compressed = ZlibCore.deflateRaw(input, { level });
+      assert.deepEqual(new Uint8Array(zlib.inflateRawSync(compressed)), input, `level ${level}`);
+    });
+  });
+
+  it('tallies literals into all eight observation types', () => {
+    const lz77 = new LZ77();
+    for (let byte = 0; byte < 256; byte++) lz77.tallyLiteral(byte);
+    const literalTypes = Array.from(lz77.newObservations.subarray(0, 8));
+    assert.deepEqual(literalTypes, new Array(8).fill(32));
+  });
+
+  it('stores incompressible data', () => {
+    const compressed = ZlibCore.deflateRaw(SAMPLES.random);
+    const { types, output } = blockTypes(compressed);
+    assert.deepEqual(output, SAMPLES.random);
+    assert.ok(types.every((type) => type === 0), `${types}`);
+    assert.ok(compressed.length <= SAMPLES.random.length + 5 * types.length);
+  });
+
+  it('splits text followed by random data into separate blocks', () => {
+    const input = concat([text(40000), randomBytes(40000, 8)]);
+    const { types, output } = blockTypes(ZlibCore.deflateRaw(input));
+    assert.deepEqual(output, input);
+    assert.ok(types.includes(2), `${types}`);
+    assert.ok(types.includes(0), `${types}`);
+    // The random part costs little more than its own size
+    const compressed = ZlibCore.deflateRaw(input);
+    const textOnly = ZlibCore.deflateRaw(input.subarray(0, 40000));
+    assert.ok(compressed.length < textOnly.length + 40000 + 500, `${compressed.length}`);
+    assert.ok(compressed.length <= zlib.deflateRawSync(input).length);
+  });
+
+  it('uses fixed codes for short inputs', () => {
+    const { types } = blockTypes(ZlibCore.deflateRaw(new TextEncoder().encode('hello hello')));
+    assert.deepEqual(types, [1]);
+  });
+
+  it('splits stored data longer than 65535 bytes', () => {
+    const input = randomBytes(150000, 4);
+    [0, 6].forEach((level) => {
+      const compressed = ZlibCore.deflateRaw(input, { level });
+      const { types, output } = blockTypes(compressed);
+      assert.deepEqual(output, input);
+      assert.ok(types.length >= 3, `${types}`);
+      assert.deepEqual(new Uint8Array(zlib.inflateRawSync(compressed)), input);
+    });
+  });
+
+  it('is no larger than node:zlib by more than a few percent', () => {
+    const input = SAMPLES.mixed;
+    const ours = ZlibCore.deflateRaw(input, { level: 9 }).length;
+    const native = zlib.deflateRawSync(input, { level: 9 }).length;
+    assert.ok(ours < native * 1.05, `${ours} vs ${native}`);
+  });
+});
@@ -0,0 +1,62 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore } from '../src/index.js';
+import { SAMPLES } from './fixtures/samples.js';
+
+const LEVELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+describe('compression levels', () => {
+  LEVELS.forEach((level) => {
+    it(`level ${level} output inflates with node:zlib`, () => {
+      Object.entries(SAMPLES).forEach(([name, input]) => {
+        const compressed = ZlibCore.compress(input, { level });
+        assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed)), input, name);
+      });
+    });
+
+    it(`level ${level} node:zlib output decompresses`, () => {
+      const compressed = new Uint8Array(zlib.deflateSync(SAMPLES.text, { level }));
+      assert.deepEqual(ZlibCore.decompress(compressed).data, SAMPLES.text);
+    });
+  });
+
+  it('writes FLEVEL for the level used', () => {
+    const expected = [0, 0, 1, 1, 1, 1, 2, 3, 3, 3];
+    LEVELS.forEach((level) => {
+      const compressed = ZlibCore.compress(SAMPLES.single, { level });
+      assert.equal(compressed[1] >> 6, expected[level], `level ${level}`);
+      assert.equal((compressed[0] * 256 + compressed[1]) % 31, 0);
+    });
+  });
+
+  it('defaults to level 6 and maps -1 to it', () => {
+    const byDefault = ZlibCore.compress(SAMPLES.text);
+    assert.deepEqual(byDefault, ZlibCore.compress(SAMPLES.text, { level: 6 }));
+    assert.deepEqual(byDefault, ZlibCore.compress(SAMPLES.text, { level: -1 }));
+  });
+
+  it('emits only stored blocks at level 0', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text, { level: 0 });
+    // Header, one 5-byte stored header per 65535 bytes, the data and the trailer
+    const blocks = Math.ceil(SAMPLES.text.length / 65535);
+    assert.equal(compressed.length, 2 + 5 * blocks + SAMPLES.text.length + 4);
+    assert.equal(compressed[2] & 0x06, 0); // BTYPE 00
+  });
+
+  it('compresses better at higher levels', () => {
+    const sizes = [1, 6, 9].map((level) => ZlibCore.compress(SAMPLES.text, { level }).length);
+    assert.ok(sizes[0] >= sizes[1], `${sizes}`);
+    assert.ok(sizes[1] >= sizes[2], `${sizes}`);
+  });
+
+  it('rejects invalid levels', () => {
+    [10, -2, 1.5, '6'].forEach((level) => {
+      assert.throws(() => ZlibCore.compress(SAMPLES.single, { level }), RangeError);
+    });
+  });
+
+  it('rejects non-Uint8Array input', () => {
+    assert.throws(() => ZlibCore.compress('text'), TypeError);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZlibCompressionStream, ZlibDecompressionStream } from '../src/index.js';
+import { SAMPLES, chunks } from './fixtures/samples.js';
+
+const FORMATS = ['deflate', 'deflate-raw', 'gzip'];
+
+/**
+ * Writes data through a transform stream in pieces and collects the output.
+ * @param {{readable: ReadableStream, writable: WritableStream}} transform The stream.
+ * @param {Uint8Array} data The input.
+ * @param {number} [size] Piece size.
+ * @returns {Promise<Uint8Array>} The output.
+ */
+async function pipe(transform, data, size = 4096) {
+  const source = new ReadableStream({
+    start(controller) {
+      chunks(data, size).forEach((chunk) => controller.enqueue(chunk));
+      controller.close();
+    },
+  });
+  const output = await new Response(source.pipeThrough(transform)).arrayBuffer();
+  return new Uint8Array(output);
+}
+
+describe('ZlibCompressionStream / ZlibDecompressionStream', () => {
+  FORMATS.forEach((format) => {
+    it(`"${format}" output decodes with the native DecompressionStream`, async () => {
+      const compressed = await pipe(new ZlibCompressionStream(format), SAMPLES.mixed);
+      const output = await pipe(new DecompressionStream(format), compressed);
+      assert.deepEqual(output, SAMPLES.mixed);
+    });
+
+    it(`"${format}" decodes the native CompressionStream output`, async () => {
+      const compressed = await pipe(new CompressionStream(format), SAMPLES.text);
+      const output = await pipe(new ZlibDecompressionStream(format), compressed, 7);
+      assert.deepEqual(output, SAMPLES.text);
+    });
+
+    it(`"${format}" errors the stream with a TypeError on truncated input`, async () => {
+      const compressed = await pipe(new ZlibCompressionStream(format), SAMPLES.text);
+      const truncated = compressed.subarray(0, compressed.length - 3);
+      await assert.rejects(pipe(new ZlibDecompressionStream(format), truncated), TypeError);
+    });
+  });
+
+  it('errors the stream with a TypeError on corrupt input', async () => {
+    const corrupt = new Uint8Array([0x78, 0x9C, 0xFF, 0xFF, 0xFF, 0xFF]);
+    await assert.rejects(pipe(new ZlibDecompressionStream('deflate'), corrupt), (err) => {
+      assert.ok(err instanceof TypeError);
+      assert.ok(err.cause);
+      return true;
+    });
+  });
+
+  it('accepts ArrayBuffer chunks', async () => {
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue(SAMPLES.text.slice().buffer);
+        controller.close();
+      },
+    });
+    const compressed = source.pipeThrough(new ZlibCompressionStream('gzip'));
+    const output = await new Response(compressed.pipeThrough(new DecompressionStream('gzip')))
+      .arrayBuffer();
+    assert.deepEqual(new Uint8Array(output), SAMPLES.text);
+  });
+
+  it('passes options to the codec', async () => {
+    const dictionary = SAMPLES.text.subarray(0, 2000);
+    const compressed = await pipe(
+      new ZlibCompressionStream('deflate', { level: 9, dictionary }),
+      SAMPLES.text,
+    );
+    const output = await pipe(new ZlibDecompressionStream('deflate', { dictionary }), compressed);
+    assert.deepEqual(output, SAMPLES.text);
+  });
+
+  it('rejects unsupported formats', () => {
+    assert.throws(() => new ZlibCompressionStream('brotli'), TypeError);
+    assert.throws(() => new ZlibDecompressionStream('zstd'), TypeError);
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore } from '../src/index.js';
+import crc32, { crc32Combine } from '../src/crc32/crc32.js';
+import { SAMPLES, randomBytes } from './fixtures/samples.js';
+
+/**
+ * CRC-32 one bit at a time, as in RFC 1952 section 8.
+ * @param {Uint8Array} data The data.
+ * @returns {number} The CRC.
+ */
+function reference(data) {
+  let c = 0xFFFFFFFF;
+  data.forEach((byte) => {
+    c ^= byte;
+    for (let k = 0; k < 8; k++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+  });
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Reads the CRC-32 that node's zlib writes in a GZIP trailer.
+ * @param {Uint8Array} data The data.
+ * @returns {number} The CRC.
+ */
+function fromNode(data) {
+  const gzipped = zlib.gzipSync(data, { level: 1 });
+  return gzipped.readUInt32LE(gzipped.length - 8);
+}
+
+describe('crc32', () => {
+  it('gives the check value of "123456789"', () => {
+    assert.equal(crc32(new TextEncoder().encode('123456789')), 0xCBF43926);
+  });
+
+  Object.entries(SAMPLES).forEach(([name, data]) => {
+    it(`matches the RFC and node's zlib for ${name} data`, () => {
+      assert.equal(crc32(data), reference(data));
+      assert.equal(crc32(data), fromNode(data));
+    });
+  });
+
+  it('handles every alignment and tail length of the 8-byte loop', () => {
+    const data = randomBytes(64, 9);
+    for (let start = 0; start < 8; start++) {
+      for (let end = start; end <= start + 24; end++) {
+        const piece = data.subarray(start, end);
+        assert.equal(crc32(piece), reference(piece), `${start}-${end}`);
+      }
+    }
+  });
+
+  it('continues from an initial value', () => {
+    const data = SAMPLES.mixed;
+    [0, 1, 7, 8, 9, data.length >> 1, data.length].forEach((split) => {
+      const first = crc32(data.subarray(0, split));
+      assert.equal(crc32(data.subarray(split), first), crc32(data));
+    });
+  });
+
+  it('rejects anything but a Uint8Array', () => {
+    assert.throws(() => crc32('text'), TypeError);
+  });
+
+  it('is exposed as ZlibCore.crc32', () => {
+    assert.equal(ZlibCore.crc32(SAMPLES.text), crc32(SAMPLES.text));
+    assert.equal(ZlibCore.crc32(SAMPLES.text, 7), crc32(SAMPLES.text, 7));
+  });
+});
+
+describe('crc32Combine', () => {
+  const data = randomBytes(100000, 5);
+
+  it('joins the CRCs of two pieces', () => {
+    [0, 1, 3, 8, 4096, data.length - 1, data.length].forEach((split) => {
+      const first = crc32(data.subarray(0, split));
+      const second = crc32(data.subarray(split));
+      assert.equal(crc32Combine(first, second, data.length - split), crc32(data), `${split}`);
+    });
+  });
+
+  it('joins many pieces in order', () => {
+    const size = 3333;
+    let combined = 0;
+    for (let pos = 0; pos < data.length; pos += size) {
+      const piece = data.subarray(pos, pos + size);
+      combined = crc32Combine(combined, crc32(piece), piece.length);
+    }
+    assert.equal(combined, crc32(data));
+  });
+
+  it('is associative for lengths past 32 bits', () => {
+    const [a, b, c] = [0x12345678, 0x9ABCDEF0, 0x0F1E2D3C];
+    const lengthB = 2 ** 35 + 17;
+    const lengthC = 2 ** 33 + 3;
+    assert.equal(
+      crc32Combine(crc32Combine(a, b, lengthB), c, lengthC),
+      crc32Combine(a, crc32Combine(b, c, lengthC), lengthB + lengthC),
+    );
+  });
+
+  it('rejects invalid lengths', () => {
+    [-1, 1.5, NaN, 2 ** 53].forEach((len) => {
+      assert.throws(() => crc32Combine(0, 0, len), RangeError);
+    });
+  });
+
+  it('is exposed as ZlibCore.crc32.combine', () => {
+    const a = crc32(SAMPLES.text);
+    const b = crc32(SAMPLES.random);
+    assert.equal(
+      ZlibCore.crc32.combine(a, b, SAMPLES.random.length),
+      crc32Combine(a, b, SAMPLES.random.length),
+    );
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, Format, ZlibError, DecompressionLimitError,
+} from '../src/index.js';
+import { SAMPLES, concat } from './fixtures/samples.js';
+
+describe('detectFormat', () => {
+  it('recognizes node output in every format, level and window size', () => {
+    [0, 1, 6, 9].forEach((level) => {
+      [9, 12, 15].forEach((windowBits) => {
+        const options = { level, windowBits };
+        const { text } = SAMPLES;
+        assert.equal(ZlibCore.detectFormat(zlib.gzipSync(text, options)), Format.GZIP);
+        assert.equal(ZlibCore.detectFormat(zlib.deflateSync(text, options)), Format.ZLIB);
+        assert.equal(ZlibCore.detectFormat(zlib.deflateRawSync(text, options)), Format.RAW);
+      });
+    });
+  });
+
+  it('recognizes our own output', () => {
+    Object.values(SAMPLES).forEach((data) => {
+      assert.equal(ZlibCore.detectFormat(ZlibCore.gzip(data)), Format.GZIP);
+      assert.equal(ZlibCore.detectFormat(ZlibCore.compress(data)), Format.ZLIB);
+      assert.equal(ZlibCore.detectFormat(ZlibCore.deflateRaw(data)), Format.RAW);
+    });
+    const dictionary = SAMPLES.text.subarray(0, 1000);
+    const withDictionary = ZlibCore.compress(SAMPLES.text, { dictionary });
+    assert.equal(ZlibCore.detectFormat(withDictionary), Format.ZLIB);
+  });
+
+  it('needs only the first two bytes', () => {
+    assert.equal(ZlibCore.detectFormat(Uint8Array.of(0x1F, 0x8B)), Format.GZIP);
+    assert.equal(ZlibCore.detectFormat(Uint8Array.of(0x78, 0x9C)), Format.ZLIB);
+    assert.equal(ZlibCore.detectFormat(Uint8Array.of(0x78)), Format.RAW);
+    assert.equal(ZlibCore.detectFormat(new Uint8Array(0)), Format.RAW);
+  });
+
+  it('rejects ZLIB headers with a bad FCHECK, method or window size', () => {
+    assert.equal(ZlibCore.detectFormat(Uint8Array.of(0x78, 0x9D)), Format.RAW);
+    assert.equal(ZlibCore.detectFormat(Uint8Array.of(0x79, 0x9C)), Format.RAW);
+    // CINFO 8 with a correct FCHECK
+    assert.equal(ZlibCore.detectFormat(Uint8Array.of(0x88, 0x18)), Format.RAW);
+  });
+
+  it('takes raw data for ZLIB only if it starts with a padded non-final stored block', () => {
+    for (let b0 = 0; b0 < 256; b0++) {
+      for (let b1 = 0; b1 < 256; b1++) {
+        if (ZlibCore.detectFormat(Uint8Array.of(b0, b1)) === Format.ZLIB) {
+          // BFINAL 0 and BTYPE 00 in the low bits, padding bits above them
+          assert.equal(b0 & 0x07, 0);
+          assert.notEqual(b0 & 0xF8, 0);
+        }
+      }
+    }
+  });
+
+  it('rejects anything but a Uint8Array', () => {
+    assert.throws(() => ZlibCore.detectFormat([0x78, 0x9C]), TypeError);
+  });
+});
+
+describe('decompressAuto', () => {
+  const data = SAMPLES.mixed;
+
+  it('decodes every format and says which it was', () => {
+    const cases = [
+      [zlib.gzipSync(data), Format.GZIP],
+      [zlib.deflateSync(data), Format.ZLIB],
+      [zlib.deflateRawSync(data), Format.RAW],
+    ];
+    cases.forEach(([compressed, format]) => {
+      const result = ZlibCore.decompressAuto(new Uint8Array(compressed));
+      assert.equal(result.format, format);
+      assert.deepEqual(result.data, data);
+    });
+  });
+
+  it('returns the extra results of the format', () => {
+    const gzipped = ZlibCore.gzip(data, { header: { name: 'mixed.bin' } });
+    const gzip = ZlibCore.decompressAuto(concat([gzipped, gzipped]));
+    assert.equal(gzip.header.name, 'mixed.bin');
+    assert.equal(gzip.members.length, 2);
+    assert.deepEqual(gzip.data, concat([data, data]));
+
+    const compressed = ZlibCore.compress(data);
+    assert.equal(ZlibCore.decompressAuto(compressed).bytesConsumed, compressed.length);
+    const raw = ZlibCore.deflateRaw(data);
+    const result = ZlibCore.decompressAuto(concat([raw, Uint8Array.of(1, 2, 3)]));
+    assert.equal(result.bytesConsumed, raw.length);
+  });
+
+  it('decodes empty raw data', () => {
+    const raw = new Uint8Array(zlib.deflateRawSync(new Uint8Array(0)));
+    assert.deepEqual(ZlibCore.decompressAuto(raw), {
+      format: Format.RAW, data: new Uint8Array(0), bytesConsumed: raw.length,
+    });
+  });
+
+  it('passes options to the decoder', () => {
+    const dictionary = SAMPLES.text.subarray(0, 1000);
+    const compressed = ZlibCore.compress(SAMPLES.text, { dictionary });
+    assert.deepEqual(ZlibCore.decompressAuto(compressed, { dictionary }).data, SAMPLES.text);
+
+    const gzipped = ZlibCore.gzip(SAMPLES.zeros);
+    assert.throws(
+      () => ZlibCore.decompressAuto(gzipped, { maxOutputLength: 1000 }),
+      DecompressionLimitError,
+    );
+  });
+
+  it('throws a ZlibError for data in no format', () => {
+    assert.throws(() => ZlibCore.decompressAuto(Uint8Array.of(0xFF, 0xFF, 0xFF)), ZlibError);
+    assert.throws(() => ZlibCore.decompressAuto(new Uint8Array(0)), ZlibError);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, NeedDictError, DataError, ErrorCode,
+} from '../src/index.js';
+import { text, randomBytes } from './fixtures/samples.js';
+
+const encoder = new TextEncoder();
+const dictionary = encoder.encode('{"id":,"name":"","email":"","active":true,"roles":["admin","user"]}');
+const message = encoder.encode('{"id":42,"name":"Ada","email":"ada@example.com","active":true,"roles":["user"]}');
+
+describe('preset dictionaries', () => {
+  it('sets FDICT and DICTID', () => {
+    const compressed = ZlibCore.compress(message, { dictionary });
+    assert.equal(compressed[1] & 0x20, 0x20);
+    assert.equal(ZlibCore.getDictionaryId(compressed), ZlibCore.createChecksum(dictionary));
+    assert.equal(ZlibCore.getDictionaryId(ZlibCore.compress(message)), null);
+  });
+
+  it('output inflates with node:zlib given the dictionary', () => {
+    [1, 6, 9].forEach((level) => {
+      const compressed = ZlibCore.compress(message, { level, dictionary });
+      assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed, { dictionary })), message);
+    });
+  });
+
+  it('decodes node:zlib output made with a dictionary', () => {
+    const compressed = new Uint8Array(zlib.deflateSync(message, { dictionary }));
+    assert.deepEqual(ZlibCore.decompress(compressed, { dictionary }).data, message);
+  });
+
+  it('compresses better with a matching dictionary', () => {
+    const withDict = ZlibCore.compress(message, { dictionary }).length;
+    assert.ok(withDict < ZlibCore.compress(message).length);
+  });
+
+  it('uses the last 32K of a long dictionary', () => {
+    const long = text(50000);
+    const input = long.subarray(30000, 40000);
+    const compressed = ZlibCore.compress(input, { dictionary: long });
+    // The input lies 10K-20K back from the end of the dictionary
+    assert.ok(compressed.length < ZlibCore.compress(input).length / 3, `${compressed.length}`);
+    assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed, { dictionary: long })), input);
+    assert.deepEqual(ZlibCore.decompress(compressed, { dictionary: long }).data, input);
+  });
+
+  it('supports dictionaries for raw DEFLATE', () => {
+    const compressed = ZlibCore.deflateRaw(message, { dictionary });
+    assert.deepEqual(new Uint8Array(zlib.inflateRawSync(compressed, { dictionary })), message);
+    assert.deepEqual(ZlibCore.inflateRaw(compressed, { dictionary }).data, message);
+  });
+
+  it('throws NeedDictError when no dictionary is given', () => {
+    const compressed = ZlibCore.compress(message, { dictionary });
+    assert.throws(() => ZlibCore.decompress(compressed), (err) => {
+      assert.ok(err instanceof NeedDictError);
+      assert.equal(err.code, ErrorCode.NEED_DICT);
+      assert.equal(err.dictId, ZlibCore.createChecksum(dictionary));
+      return true;
+    });
+  });
+
+  it('rejects a wrong dictionary', () => {
+    const compressed = ZlibCore.compress(message, { dictionary });
+    assert.throws(
+      () => ZlibCore.decompress(compressed, { dictionary: randomBytes(64) }),
+      (err) => err instanceof DataError && /Incorrect dictionary/.test(err.message),
+    );
+  });
+
+  it('ignores the dictionary when the stream does not set FDICT', () => {
+    const compressed = ZlibCore.compress(message);
+    assert.deepEqual(ZlibCore.decompress(compressed, { dictionary }).data, message);
+  });
+
+  it('decodes with a streaming decompressor', () => {
+    const compressed = ZlibCore.compress(message, { dictionary });
+    const decompressor = ZlibCore.createDecompressor({ dictionary });
+    const parts = Array.from(compressed, (byte) => decompressor.push(new Uint8Array([byte])));
+    decompressor.finish();
+    assert.deepEqual(new Uint8Array(parts.flatMap((part) => Array.from(part))), message);
+  });
+});
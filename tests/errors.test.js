@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ZlibCore, ZlibDecompressionStream, ErrorCode, ZlibError, DataError, BufferError,
+  NeedDictError, ChecksumError, DecompressionLimitError,
+} from '../src/index.js';
+import { BitWriter } from './fixtures/bits.js';
+import { SAMPLES, concat } from './fixtures/samples.js';
+
+/**
+ * Runs a call that must fail and returns its error.
+ * @param {function(): void} fn The call.
+ * @returns {ZlibError} The error thrown.
+ */
+function caught(fn) {
+  try {
+    fn();
+  } catch (err) {
+    return err;
+  }
+  assert.fail('Expected an error');
+  return null;
+}
+
+/**
+ * Asserts the class, code and context of an error.
+ * @param {Error} err The error.
+ * @param {typeof ZlibError} type Expected class.
+ * @param {object} context Expected context fields.
+ */
+function assertError(err, type, context) {
+  assert.ok(err instanceof type, `${err.name}: ${err.message}`);
+  assert.ok(err instanceof ZlibError);
+  assert.deepEqual({
+    byteOffset: err.byteOffset,
+    bitOffset: err.bitOffset,
+    blockIndex: err.blockIndex,
+    blockType: err.blockType,
+    bytesOut: err.bytesOut,
+  }, context);
+}
+
+// A literal, then a length with distance symbol 30 at bit 18 of the block
+const badDistance = new BitWriter().block(true, 1).fixed(97).fixed(257)
+  .code(30, 5)
+  .fixed(256)
+  .bytes();
+
+describe('errors', () => {
+  it('have a class, name and code per kind of failure', () => {
+    const cases = [
+      [new DataError('x'), 'DataError', ErrorCode.DATA_ERROR],
+      [new BufferError('x'), 'BufferError', ErrorCode.BUF_ERROR],
+      [new NeedDictError('x', 1), 'NeedDictError', ErrorCode.NEED_DICT],
+      [new ChecksumError('x'), 'ChecksumError', ErrorCode.CHECKSUM_ERROR],
+      [new DecompressionLimitError('x'), 'DecompressionLimitError', ErrorCode.LIMIT_ERROR],
+    ];
+    cases.forEach(([err, name, code]) => {
+      assert.ok(err instanceof ZlibError);
+      assert.ok(err instanceof Error);
+      assert.equal(err.name, name);
+      assert.equal(err.code, code);
+      assert.equal(err.byteOffset, null);
+    });
+  });
+
+  it('keep the context given first', () => {
+    const err = new DataError('x', { byteOffset: 5 });
+    err.setContext({ byteOffset: 9, bitOffset: 1 });
+    assert.equal(err.byteOffset, 5);
+    assert.equal(err.bitOffset, 1);
+  });
+
+  it('point at the first bit of a bad symbol', () => {
+    const context = {
+      byteOffset: 2, bitOffset: 2, blockIndex: 0, blockType: 1, bytesOut: 1,
+    };
+    assertError(caught(() => ZlibCore.inflateRaw(badDistance)), DataError, context);
+
+    const inflate = ZlibCore.createInflateRaw();
+    const err = caught(() => {
+      for (let i = 0; i < badDistance.length; i++) inflate.push(badDistance.subarray(i, i + 1));
+    });
+    assertError(err, DataError, context);
+  });
+
+  it('count the ZLIB header in the offset', () => {
+    const data = concat([Uint8Array.of(0x78, 0x01), badDistance, new Uint8Array(4)]);
+    assertError(caught(() => ZlibCore.decompress(data)), DataError, {
+      byteOffset: 4, bitOffset: 2, blockIndex: 0, blockType: 1, bytesOut: 1,
+    });
+  });
+
+  it('report the index and type of the block being decoded', () => {
+    // A stored block of 3 bytes, then a block of type 3
+    const data = new BitWriter().block(false, 0).bits(0, 5).bits(3, 16)
+      .bits(0xFFFC, 16)
+      .bits(0x636261, 24)
+      .block(true, 3)
+      .bytes();
+    assertError(caught(() => ZlibCore.inflateRaw(data)), DataError, {
+      byteOffset: 8, bitOffset: 3, blockIndex: 1, blockType: 3, bytesOut: 3,
+    });
+  });
+
+  it('leave the block fields null outside DEFLATE data', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    const header = compressed.slice();
+    header[1] ^= 1;
+    assertError(caught(() => ZlibCore.decompress(header)), DataError, {
+      byteOffset: 1, bitOffset: 0, blockIndex: null, blockType: null, bytesOut: 0,
+    });
+
+    const trailer = compressed.slice();
+    trailer[trailer.length - 2] ^= 1;
+    assertError(caught(() => ZlibCore.decompress(trailer)), ChecksumError, {
+      byteOffset: compressed.length - 4,
+      bitOffset: 0,
+      blockIndex: null,
+      blockType: null,
+      bytesOut: SAMPLES.text.length,
+    });
+  });
+
+  it('point into the GZIP member that failed', () => {
+    const member = ZlibCore.gzip(SAMPLES.text);
+    const data = concat([member, member]);
+    data[data.length - 8] ^= 1;
+    assertError(caught(() => ZlibCore.gunzip(data)), ChecksumError, {
+      byteOffset: data.length - 8,
+      bitOffset: 0,
+      blockIndex: null,
+      blockType: null,
+      bytesOut: 2 * SAMPLES.text.length,
+    });
+  });
+
+  it('report how far truncated data got', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    const cut = compressed.length >> 1;
+    const decompressor = ZlibCore.createDecompressor();
+    decompressor.push(compressed.subarray(0, cut));
+    const err = caught(() => decompressor.finish());
+    assert.ok(err instanceof BufferError);
+    assert.equal(err.code, ErrorCode.BUF_ERROR);
+    assert.equal(err.byteOffset, cut);
+    assert.ok(err.bytesOut > 0 && err.bytesOut < SAMPLES.text.length);
+    assert.equal(err.blockType, 2);
+  });
+
+  it('give the DICTID of a missing dictionary', () => {
+    const dictionary = SAMPLES.text.subarray(0, 100);
+    const compressed = ZlibCore.compress(SAMPLES.text, { dictionary });
+    const err = caught(() => ZlibCore.decompress(compressed));
+    assertError(err, NeedDictError, {
+      byteOffset: 2, bitOffset: 0, blockIndex: null, blockType: null, bytesOut: 0,
+    });
+    assert.equal(err.dictId, ZlibCore.getDictionaryId(compressed));
+  });
+
+  it('reach web streams as the cause of a TypeError', async () => {
+    const stream = new ZlibDecompressionStream('deflate-raw');
+    const writer = stream.writable.getWriter();
+    writer.write(badDistance).catch(() => {});
+    writer.close().catch(() => {});
+    const reader = stream.readable.getReader();
+    await assert.rejects(reader.read(), (err) => {
+      assert.ok(err instanceof TypeError);
+      assert.ok(err.cause instanceof DataError);
+      assert.equal(err.cause.byteOffset, 2);
+      return true;
+    });
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore } from '../src/index.js';
+import HuffmanDecoder, { CodeType, Op } from '../src/inflate/huffman.js';
+import InflateBitStream from '../src/inflate/bitstream.js';
+import { BitWriter, canonicalCodes } from './fixtures/bits.js';
+import {
+  SAMPLES, randomBytes, text, chunks, concat,
+} from './fixtures/samples.js';
+
+describe('Huffman decoding tables', () => {
+  // A complete code with one symbol of each length from 1 to 15, plus a second of 15
+  const lengths = Uint8Array.from([...Array(15).keys()].map((i) => i + 1).concat(15));
+
+  it('send codes longer than the root bits to subtables', () => {
+    const decoder = new HuffmanDecoder(lengths, CodeType.LENS);
+    assert.equal(decoder.root, 9);
+    assert.equal(decoder.maxLen, 15);
+    assert.ok(decoder.table.length < 1 << 12, `${decoder.table.length} entries`);
+  });
+
+  it('decode every symbol, from the root table or a subtable', () => {
+    const decoder = new HuffmanDecoder(lengths, CodeType.LENS);
+    const codes = canonicalCodes([...lengths]);
+    const writer = new BitWriter();
+    lengths.forEach((len, sym) => writer.code(codes[sym], len));
+    const stream = new InflateBitStream();
+    stream.append(writer.bytes());
+    lengths.forEach((len, sym) => {
+      const here = decoder.tryDecode(stream);
+      assert.equal(here >>> 16, sym);
+      assert.equal((here >>> 8) & 0xFF, Op.LITERAL);
+      assert.equal(here & 0xFF, len);
+    });
+  });
+
+  it('wait for more input rather than misdecode a long code', () => {
+    const decoder = new HuffmanDecoder(lengths, CodeType.LENS);
+    const codes = canonicalCodes([...lengths]);
+    const bytes = new BitWriter().code(codes[14], 15).bytes();
+    const stream = new InflateBitStream();
+    stream.append(bytes.subarray(0, 1));
+    assert.equal(decoder.tryDecode(stream), -1);
+    stream.append(bytes.subarray(1));
+    assert.equal(decoder.tryDecode(stream) >>> 16, 14);
+  });
+
+  it('decode length and distance symbols to their base and extra bits', () => {
+    const lens = new Uint8Array(30).fill(5);
+    lens[0] = 0;
+    lens[1] = 0;
+    const decoder = new HuffmanDecoder(lens, CodeType.DISTS);
+    const codes = canonicalCodes([...lens]);
+    const stream = new InflateBitStream();
+    stream.append(new BitWriter().code(codes[29], 5).bytes());
+    const here = decoder.tryDecode(stream);
+    assert.equal(here >>> 16, 24577);
+    assert.equal((here >>> 8) & 0xFF, Op.BASE | 13);
+  });
+
+  it('share the fixed tables between blocks and decoders', () => {
+    const { Z_FIXED } = zlib.constants;
+    const fixed = new Uint8Array(zlib.deflateRawSync(SAMPLES.text, { strategy: Z_FIXED }));
+    const a = ZlibCore.createInflateRaw();
+    const b = ZlibCore.createInflateRaw();
+    assert.deepEqual(a.decompress(fixed), SAMPLES.text);
+    assert.deepEqual(b.decompress(fixed), SAMPLES.text);
+    assert.equal(a.litTree, b.litTree);
+    assert.equal(a.distTree, b.distTree);
+  });
+});
+
+describe('fast decode loop', () => {
+  // Skewed bytes, so literal codes reach past the root table
+  const skewed = randomBytes(200000, 7, 256).map((byte) => (byte * byte) >> 8);
+  const large = concat([text(300000), skewed, new Uint8Array(70000), randomBytes(50000, 3)]);
+
+  [0, 1, 6, 9].forEach((level) => {
+    it(`decodes node output at level ${level}`, () => {
+      const compressed = new Uint8Array(zlib.deflateSync(large, { level }));
+      assert.deepEqual(ZlibCore.decompress(compressed).data, large);
+    });
+  });
+
+  it('decodes codes longer than the root bits', () => {
+    const compressed = new Uint8Array(zlib.deflateRawSync(skewed, { level: 9 }));
+    assert.deepEqual(ZlibCore.inflateRaw(compressed).data, skewed);
+  });
+
+  it('copies overlapping matches of every short distance', () => {
+    const patterns = [1, 2, 3, 4, 5, 7, 8, 9, 15, 16, 17, 31, 32, 33, 258];
+    const data = concat(patterns.map((period) => {
+      const run = new Uint8Array(3000);
+      for (let i = 0; i < run.length; i++) run[i] = (i % period) * 7 + period;
+      return run;
+    }));
+    const compressed = new Uint8Array(zlib.deflateRawSync(data, { level: 9 }));
+    assert.deepEqual(ZlibCore.inflateRaw(compressed).data, data);
+  });
+
+  it('copies matches at the full 32K distance', () => {
+    // A stored block of 32K, then a match of length 258 at distance 32768
+    const block = randomBytes(32768, 11);
+    const writer = new BitWriter().block(false, 0).bits(0, 5).bits(32768, 16)
+      .bits(32767, 16);
+    block.forEach((byte) => writer.bits(byte, 8));
+    const data = writer.block(true, 1).fixed(285).code(29, 5).bits(8191, 13)
+      .fixed(256)
+      .bytes();
+    const expected = concat([block, block.subarray(0, 258)]);
+    assert.deepEqual(new Uint8Array(zlib.inflateRawSync(data)), expected);
+    assert.deepEqual(ZlibCore.inflateRaw(data).data, expected);
+  });
+
+  it('gives the same output for any chunking of the input', () => {
+    const compressed = new Uint8Array(zlib.deflateRawSync(large, { level: 6 }));
+    [13, 1000, 65536].forEach((size) => {
+      const inflate = ZlibCore.createInflateRaw();
+      const output = concat(chunks(compressed, size).map((chunk) => inflate.push(chunk)));
+      assert.ok(inflate.ended);
+      assert.deepEqual(output, large);
+    });
+  });
+
+  it('decodes with any size hint', () => {
+    const compressed = ZlibCore.compress(large);
+    [1, large.length - 1, large.length, large.length * 2].forEach((sizeHint) => {
+      assert.deepEqual(ZlibCore.decompress(compressed, { sizeHint }).data, large);
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * @module tests/fixtures/bits
+ * @description Builds raw DEFLATE bit streams by hand, for inputs no encoder produces.
+ */
+
+import DeflateBitStream from '../../src/deflate/bitstream.js';
+
+// Order of the code length code lengths in a dynamic block header (RFC 1951, 3.2.7)
+const BL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+// Extra bits after code length symbols 16, 17 and 18, and the repeat they start at
+const REPEAT = { 16: [2, 3], 17: [3, 3], 18: [7, 11] };
+
+/**
+ * Assigns canonical Huffman codes to a set of code lengths (RFC 1951, 3.2.2).
+ * @param {number[]} lengths Code length per symbol, 0 if unused.
+ * @returns {number[]} Code per symbol, most significant bit first.
+ */
+export function canonicalCodes(lengths) {
+  const counts = new Array(16).fill(0);
+  lengths.forEach((len) => { if (len > 0) counts[len]++; });
+  const next = new Array(16).fill(0);
+  let code = 0;
+  for (let bits = 1; bits < 16; bits++) {
+    code = (code + counts[bits - 1]) << 1;
+    next[bits] = code;
+  }
+  return lengths.map((len) => (len > 0 ? next[len]++ : 0));
+}
+
+/**
+ * Returns the fixed Huffman code of a literal/length symbol (RFC 1951, 3.2.6).
+ * @param {number} sym The symbol, 0-287.
+ * @returns {[number, number]} The code and its length in bits.
+ */
+export function fixedLiteral(sym) {
+  if (sym < 144) return [0x30 + sym, 8];
+  if (sym < 256) return [0x190 + sym - 144, 9];
+  if (sym < 280) return [sym - 256, 7];
+  return [0xC0 + sym - 280, 8];
+}
+
+/**
+ * A writer for hand-made raw DEFLATE streams.
+ */
+export class BitWriter {
+  constructor() {
+    /**
+     * The packed bits.
+     * @type {DeflateBitStream}
+     * @private
+     */
+    this.stream = new DeflateBitStream();
+  }
+
+  /**
+   * Writes a value, least significant bit first.
+   * @param {number} value The value.
+   * @param {number} count Number of bits.
+   * @returns {BitWriter} This writer.
+   */
+  bits(value, count) {
+    this.stream.writeBits(value, count);
+    return this;
+  }
+
+  /**
+   * Writes a Huffman code, most significant bit first.
+   * @param {number} code The code.
+   * @param {number} length Its length in bits.
+   * @returns {BitWriter} This writer.
+   */
+  code(code, length) {
+    for (let bit = length - 1; bit >= 0; bit--) this.stream.writeBits((code >> bit) & 1, 1);
+    return this;
+  }
+
+  /**
+   * Writes the 3-bit header of a block.
+   * @param {boolean} last Whether it is the final block.
+   * @param {number} type BTYPE, 0-3.
+   * @returns {BitWriter} This writer.
+   */
+  block(last, type) {
+    return this.bits(last ? 1 : 0, 1).bits(type, 2);
+  }
+
+  /**
+   * Writes a literal/length symbol of a fixed Huffman block.
+   * @param {number} sym The symbol.
+   * @returns {BitWriter} This writer.
+   */
+  fixed(sym) {
+    return this.code(...fixedLiteral(sym));
+  }
+
+  /**
+   * Writes the table of a dynamic block.
+   * @param {object} table The table.
+   * @param {number} table.hlit Literal/length codes minus 257, as stored.
+   * @param {number} table.hdist Distance codes minus 1, as stored.
+   * @param {{[symbol: number]: number}} table.codeLengths Length of each code
+   *   length symbol used; the others are 0.
+   * @param {number[]} table.symbols Code length symbols to write; 16, 17
+   *   and 18 take the repeat count as the next entry.
+   * @returns {BitWriter} This writer.
+   */
+  dynamic({
+    hlit, hdist, codeLengths, symbols,
+  }) {
+    const lengths = new Array(19).fill(0);
+    Object.entries(codeLengths).forEach(([sym, len]) => { lengths[sym] = len; });
+    let ncode = 19;
+    while (ncode > 4 && lengths[BL_ORDER[ncode - 1]] === 0) ncode--;
+    this.bits(hlit, 5).bits(hdist, 5).bits(ncode - 4, 4);
+    for (let i = 0; i < ncode; i++) this.bits(lengths[BL_ORDER[i]], 3);
+
+    const codes = canonicalCodes(lengths);
+    for (let i = 0; i < symbols.length; i++) {
+      const sym = symbols[i];
+      this.code(codes[sym], lengths[sym]);
+      if (sym >= 16) {
+        const [extra, base] = REPEAT[sym];
+        i++;
+        this.bits(symbols[i] - base, extra);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Pads to a byte boundary and returns the stream.
+   * @returns {Uint8Array} The bytes written.
+   */
+  bytes() {
+    this.stream.align();
+    return this.stream.take();
+  }
+}
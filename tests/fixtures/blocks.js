@@ -0,0 +1,21 @@
+/**
+ * @module tests/fixtures/blocks
+ * @description Lists the blocks of a raw DEFLATE stream.
+ */
+
+import { ZlibCore } from '../../src/index.js';
+
+/**
+ * Decodes raw DEFLATE data and records the BTYPE of every block.
+ * @param {Uint8Array} data The raw DEFLATE stream.
+ * @returns {{types: number[], output: Uint8Array}} BTYPE per block (0 stored,
+ *   1 fixed, 2 dynamic) and the decoded data.
+ */
+export default function blockTypes(data) {
+  const inflate = ZlibCore.createInflateRaw();
+  const types = [];
+  inflate.onBlockEnd = (decoder) => types.push(decoder.blockType);
+  const output = inflate.decompress(data);
+  types.push(inflate.blockType);
+  return { types, output };
+}
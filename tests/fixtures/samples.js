@@ -0,0 +1,79 @@
+/**
+ * @module tests/fixtures/samples
+ * @description Deterministic sample inputs shared by the tests.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Pseudo-random bytes from a fixed seed (LCG), so failures reproduce.
+ * @param {number} length Number of bytes.
+ * @param {number} [seed] Generator seed.
+ * @param {number} [alphabet] Number of distinct byte values (256 for incompressible data).
+ * @returns {Uint8Array} The bytes.
+ */
+export function randomBytes(length, seed = 1, alphabet = 256) {
+  const bytes = new Uint8Array(length);
+  let state = seed >>> 0;
+  for (let i = 0; i < length; i++) {
+    state = (Math.imul(state, 1103515245) + 12345) >>> 0;
+    bytes[i] = (state >>> 16) % alphabet;
+  }
+  return bytes;
+}
+
+/**
+ * English-like text with enough repetition for long matches and enough
+ * variation for literals.
+ * @param {number} length Number of bytes.
+ * @returns {Uint8Array} The text.
+ */
+export function text(length) {
+  const words = ['the', 'quick', 'brown', 'fox', 'jumps', 'over', 'lazy', 'dog', 'zlib',
+    'deflate', 'stream', 'window', 'huffman', 'block', 'literal', 'distance'];
+  const noise = randomBytes(length, 7, words.length);
+  let out = '';
+  for (let i = 0; out.length < length; i++) {
+    out += `${words[noise[i]]}${i % 11 === 0 ? '.\n' : ' '}`;
+  }
+  return encoder.encode(out.slice(0, length));
+}
+
+/**
+ * Inputs that exercise different parts of the encoder.
+ */
+export const SAMPLES = {
+  empty: new Uint8Array(0),
+  single: new Uint8Array([42]),
+  zeros: new Uint8Array(100000),
+  text: text(60000),
+  random: randomBytes(20000),
+  mixed: new Uint8Array([...text(20000), ...randomBytes(10000, 3), ...text(20000)]),
+};
+
+/**
+ * Splits data into chunks of the given size.
+ * @param {Uint8Array} data The data.
+ * @param {number} size Chunk size.
+ * @returns {Uint8Array[]} The chunks (at least one).
+ */
+export function chunks(data, size) {
+  const parts = [];
+  for (let i = 0; i < data.length; i += size) parts.push(data.subarray(i, i + size));
+  return parts.length > 0 ? parts : [data];
+}
+
+/**
+ * Concatenates byte arrays.
+ * @param {Uint8Array[]} parts The arrays.
+ * @returns {Uint8Array} Their concatenation.
+ */
+export function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  parts.forEach((part) => {
+    out.set(part, offset);
+    offset += part.length;
+  });
+  return out;
+}
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore, FlushMode } from '../src/index.js';
+import { text, concat } from './fixtures/samples.js';
+
+const messages = [text(1000), text(5000).subarray(1234), text(300)];
+const partialOptions = { finishFlush: zlib.constants.Z_SYNC_FLUSH };
+
+/**
+ * Decodes an incomplete ZLIB stream with node:zlib.
+ * @param {Uint8Array} bytes The stream so far.
+ * @returns {Uint8Array} Everything it decodes to.
+ */
+function inflatePartial(bytes) {
+  return new Uint8Array(zlib.inflateSync(bytes, partialOptions));
+}
+
+describe('flush modes', () => {
+  [FlushMode.SYNC_FLUSH, FlushMode.FULL_FLUSH].forEach((flush) => {
+    it(`mode ${flush} makes each message decodable on arrival`, () => {
+      [0, 1, 6, 9].forEach((level) => {
+        const compressor = ZlibCore.createCompressor({ level });
+        const sent = [];
+        messages.forEach((message, i) => {
+          const part = compressor.push(message, flush);
+          assert.deepEqual(Array.from(part.subarray(-4)), [0, 0, 0xFF, 0xFF]);
+          sent.push(part);
+          assert.deepEqual(inflatePartial(concat(sent)), concat(messages.slice(0, i + 1)));
+        });
+        sent.push(compressor.finish());
+        assert.deepEqual(new Uint8Array(zlib.inflateSync(concat(sent))), concat(messages));
+      });
+    });
+  });
+
+  it('BLOCK mode output decodes to all input but the pending bits', () => {
+    const compressor = ZlibCore.createCompressor();
+    const sent = [];
+    messages.forEach((message, i) => {
+      sent.push(compressor.push(message, FlushMode.BLOCK));
+      // The block's last bits may still be pending: the next byte completes it
+      const decoded = inflatePartial(concat(sent));
+      const expected = concat(messages.slice(0, i + 1));
+      assert.ok(decoded.length <= expected.length);
+      assert.deepEqual(decoded, expected.subarray(0, decoded.length));
+    });
+    sent.push(compressor.finish());
+    assert.deepEqual(new Uint8Array(zlib.inflateSync(concat(sent))), concat(messages));
+  });
+
+  it('FULL_FLUSH lets a decoder start at the flush point', () => {
+    const deflate = ZlibCore.createDeflateRaw();
+    const first = deflate.push(messages[0], FlushMode.FULL_FLUSH);
+    // The second message repeats the first: without history, no match may reach back
+    const rest = concat([deflate.push(messages[0]), deflate.finish()]);
+    assert.deepEqual(new Uint8Array(zlib.inflateRawSync(rest)), messages[0]);
+    assert.deepEqual(ZlibCore.inflateRaw(rest).data, messages[0]);
+    const both = ZlibCore.inflateRaw(concat([first, rest])).data;
+    assert.deepEqual(both, concat([messages[0], messages[0]]));
+  });
+
+  it('SYNC_FLUSH keeps the history', () => {
+    const compressor = ZlibCore.createCompressor();
+    const first = compressor.push(messages[0], FlushMode.SYNC_FLUSH);
+    const second = compressor.push(messages[0], FlushMode.SYNC_FLUSH);
+    assert.ok(second.length < first.length / 4, `${second.length} vs ${first.length}`);
+  });
+
+  it('FINISH ends the stream like finish()', () => {
+    const compressor = ZlibCore.createCompressor();
+    const compressed = compressor.push(messages[0], FlushMode.FINISH);
+    assert.deepEqual(compressed, ZlibCore.compress(messages[0]));
+    assert.throws(() => compressor.push(messages[1]), /already finished/);
+  });
+
+  it('decodes flushed output with the streaming decompressor', () => {
+    const compressor = ZlibCore.createCompressor();
+    const decompressor = ZlibCore.createDecompressor();
+    messages.forEach((message) => {
+      assert.deepEqual(decompressor.push(compressor.push(message, FlushMode.SYNC_FLUSH)), message);
+    });
+    decompressor.push(compressor.finish());
+    decompressor.finish();
+    assert.ok(decompressor.ended);
+  });
+
+  it('rejects unknown flush modes', () => {
+    const compressor = ZlibCore.createCompressor();
+    assert.throws(() => compressor.push(messages[0], 1), RangeError);
+    assert.throws(() => compressor.push(messages[0], 6), RangeError);
+  });
+});
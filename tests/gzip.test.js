@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, DataError, BufferError, ChecksumError,
+} from '../src/index.js';
+import { SAMPLES, chunks, concat } from './fixtures/samples.js';
+
+const HEADER = {
+  text: true,
+  mtime: 1700000000,
+  os: 3,
+  extra: new Uint8Array([0x41, 0x70, 2, 0, 1, 2]),
+  name: 'report-été.csv',
+  comment: 'nightly export',
+  hcrc: true,
+};
+
+describe('gzip / gunzip', () => {
+  it('output gunzips with node:zlib', () => {
+    Object.entries(SAMPLES).forEach(([name, input]) => {
+      [1, 6, 9].forEach((level) => {
+        const gz = ZlibCore.gzip(input, { level });
+        assert.deepEqual(new Uint8Array(zlib.gunzipSync(gz)), input, `${name} level ${level}`);
+      });
+    });
+  });
+
+  it('decodes node:zlib output', () => {
+    const gz = new Uint8Array(zlib.gzipSync(SAMPLES.mixed));
+    const { data, header, members } = ZlibCore.gunzip(gz);
+    assert.deepEqual(data, SAMPLES.mixed);
+    assert.equal(members.length, 1);
+    assert.equal(header.name, null);
+  });
+
+  it('round-trips every header field', () => {
+    const gz = ZlibCore.gzip(SAMPLES.text, { level: 9, header: HEADER });
+    const { data, header } = ZlibCore.gunzip(gz);
+    assert.deepEqual(data, SAMPLES.text);
+    assert.deepEqual(header, { ...HEADER, xfl: 2 });
+    assert.equal(gz[3], 0x1F); // FTEXT | FHCRC | FEXTRA | FNAME | FCOMMENT
+    assert.deepEqual(new Uint8Array(zlib.gunzipSync(gz)), SAMPLES.text);
+  });
+
+  it('writes XFL for the level and the defaults', () => {
+    assert.equal(ZlibCore.gzip(SAMPLES.single, { level: 1 })[8], 4);
+    const gz = ZlibCore.gzip(SAMPLES.single);
+    assert.deepEqual(Array.from(gz.subarray(3, 10)), [0, 0, 0, 0, 0, 0, 255]);
+  });
+
+  it('parses a header split into 1-byte chunks', () => {
+    const gz = ZlibCore.gzip(SAMPLES.text, { header: HEADER });
+    const gunzip = ZlibCore.createGunzip();
+    const output = concat([...chunks(gz, 1).map((chunk) => gunzip.push(chunk)), gunzip.finish()]);
+    assert.deepEqual(output, SAMPLES.text);
+    assert.equal(gunzip.header.comment, HEADER.comment);
+  });
+
+  it('decodes multi-member files into one output', () => {
+    const a = ZlibCore.gzip(SAMPLES.text, { header: { name: 'a.txt' } });
+    const b = new Uint8Array(zlib.gzipSync(SAMPLES.random));
+    const { data, members } = ZlibCore.gunzip(concat([a, b, a]));
+    assert.deepEqual(data, concat([SAMPLES.text, SAMPLES.random, SAMPLES.text]));
+    assert.deepEqual(members.map((member) => member.name), ['a.txt', null, 'a.txt']);
+  });
+
+  it('rejects a second member with multiMember: false', () => {
+    const gz = ZlibCore.gzip(SAMPLES.single);
+    assert.throws(() => ZlibCore.gunzip(concat([gz, gz]), { multiMember: false }), DataError);
+  });
+
+  it('skips zero padding after the last member', () => {
+    const gz = ZlibCore.gzip(SAMPLES.text);
+    const padded = concat([gz, new Uint8Array(1000)]);
+    assert.deepEqual(ZlibCore.gunzip(padded).data, SAMPLES.text);
+    assert.deepEqual(ZlibCore.gunzip(padded, { multiMember: false }).data, SAMPLES.text);
+    assert.deepEqual(new Uint8Array(zlib.gunzipSync(padded)), SAMPLES.text);
+
+    const gunzip = ZlibCore.createGunzip();
+    chunks(padded, 333).forEach((chunk) => gunzip.push(chunk));
+    gunzip.finish();
+    assert.ok(gunzip.ended);
+  });
+
+  it('rejects junk after the last member or its padding', () => {
+    const gz = ZlibCore.gzip(SAMPLES.single);
+    assert.throws(() => ZlibCore.gunzip(concat([gz, new Uint8Array([0x42])])), DataError);
+    assert.throws(
+      () => ZlibCore.gunzip(concat([gz, new Uint8Array([0, 0, 7])])),
+      (err) => err instanceof DataError && err.byteOffset === gz.length + 2,
+    );
+  });
+
+  it('verifies the CRC-32, ISIZE and header CRC16', () => {
+    const gz = ZlibCore.gzip(SAMPLES.text, { header: { hcrc: true } });
+    const crc = gz.slice();
+    crc[crc.length - 8] ^= 1;
+    assert.throws(() => ZlibCore.gunzip(crc), /CRC32 Checksum Failed/);
+    const size = gz.slice();
+    size[size.length - 1] ^= 1;
+    assert.throws(() => ZlibCore.gunzip(size), /GZIP Length Mismatch/);
+    const hcrc = gz.slice();
+    hcrc[10] ^= 1;
+    assert.throws(() => ZlibCore.gunzip(hcrc), ChecksumError);
+  });
+
+  it('rejects invalid headers', () => {
+    assert.throws(() => ZlibCore.gunzip(new Uint8Array([0x1F, 0x8C])), /Invalid GZIP Magic/);
+    assert.throws(
+      () => ZlibCore.gunzip(new Uint8Array([0x1F, 0x8B, 7])),
+      /Unsupported Compression Method/,
+    );
+    assert.throws(
+      () => ZlibCore.gunzip(new Uint8Array([0x1F, 0x8B, 8, 0x20, 0, 0, 0, 0, 0, 0])),
+      /Reserved GZIP flags set/,
+    );
+  });
+
+  it('throws BufferError on truncated input', () => {
+    const gz = ZlibCore.gzip(SAMPLES.text, { header: { name: 'a' } });
+    [0, 5, 12, 100, gz.length - 1].forEach((length) => {
+      assert.throws(() => ZlibCore.gunzip(gz.subarray(0, length)), BufferError, `${length}`);
+    });
+  });
+
+  it('caps FNAME and FCOMMENT at 65535 bytes', () => {
+    const long = 'n'.repeat(65536);
+    assert.throws(() => ZlibCore.gzip(SAMPLES.single, { header: { name: long } }), RangeError);
+    const fixed = [0x1F, 0x8B, 8, 0x10, 0, 0, 0, 0, 0, 255];
+    const gunzip = ZlibCore.createGunzip();
+    gunzip.push(new Uint8Array(fixed));
+    const piece = new Uint8Array(4096).fill(0x61);
+    assert.throws(() => {
+      for (let i = 0; i < 17; i++) gunzip.push(piece);
+    }, /GZIP comment too long/);
+    const name = 'n'.repeat(65535);
+    const gz = ZlibCore.gzip(SAMPLES.single, { header: { name } });
+    assert.equal(ZlibCore.gunzip(gz).header.name, name);
+  });
+
+  it('rejects header fields it cannot represent', () => {
+    assert.throws(() => ZlibCore.gzip(SAMPLES.single, { header: { name: 'aĀ' } }), RangeError);
+    assert.throws(() => ZlibCore.gzip(SAMPLES.single, { header: { mtime: -1 } }), RangeError);
+    assert.throws(() => ZlibCore.gzip(SAMPLES.single, { header: { os: 256 } }), RangeError);
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { ZlibCore, DigestEncoding } from '../src/index.js';
+import adler32 from '../src/adler32/adler32.js';
+import crc32 from '../src/crc32/crc32.js';
+import crc32c from '../src/crc32c/crc32c.js';
+import { SAMPLES, chunks } from './fixtures/samples.js';
+
+const CHECK = new TextEncoder().encode('123456789');
+
+describe('hashers', () => {
+  it('give the check values of "123456789"', () => {
+    const digest = (name) => ZlibCore.createHasher(name).update(CHECK).digest();
+    assert.equal(digest('adler32'), 0x091E01DE);
+    assert.equal(digest('crc32'), 0xCBF43926);
+    assert.equal(digest('crc32c'), 0xE3069283);
+    assert.equal(crc32c(CHECK), 0xE3069283);
+  });
+
+  [['adler32', adler32], ['crc32', crc32], ['crc32c', crc32c]].forEach(([name, checksum]) => {
+    it(`${name} gives the same value for data in any number of pieces`, () => {
+      const expected = checksum(SAMPLES.mixed);
+      [1, 7, 1000, SAMPLES.mixed.length].forEach((size) => {
+        const hasher = ZlibCore.createHasher(name);
+        chunks(SAMPLES.mixed, size).forEach((chunk) => hasher.update(chunk));
+        assert.equal(hasher.digest(), expected);
+        assert.equal(hasher.length, SAMPLES.mixed.length);
+      });
+    });
+  });
+
+  it('digest as a number, hex or Big Endian bytes', () => {
+    const hasher = ZlibCore.createHasher('crc32').update(CHECK);
+    assert.equal(hasher.digest(DigestEncoding.NUMBER), 0xCBF43926);
+    assert.equal(hasher.digest(DigestEncoding.HEX), 'cbf43926');
+    assert.deepEqual(hasher.digest(DigestEncoding.BYTES), Uint8Array.of(0xCB, 0xF4, 0x39, 0x26));
+    assert.equal(ZlibCore.createHasher('crc32').update(Uint8Array.of(0)).digest('hex'), 'd202ef8d');
+    assert.throws(() => hasher.digest('base64'), RangeError);
+  });
+
+  it('keep hashing after a digest', () => {
+    const hasher = ZlibCore.createHasher('adler32').update(SAMPLES.text);
+    hasher.digest();
+    hasher.update(SAMPLES.random);
+    assert.equal(hasher.digest(), adler32(SAMPLES.random, adler32(SAMPLES.text)));
+  });
+
+  it('fork with copy() and start over with reset()', () => {
+    const hasher = ZlibCore.createHasher('crc32').update(SAMPLES.text);
+    const fork = hasher.copy();
+    fork.update(SAMPLES.random);
+    assert.equal(hasher.digest(), crc32(SAMPLES.text));
+    assert.equal(fork.digest(), crc32(SAMPLES.random, crc32(SAMPLES.text)));
+
+    hasher.reset();
+    assert.equal(hasher.digest(), 0);
+    assert.equal(hasher.length, 0);
+    assert.equal(ZlibCore.createHasher('adler32').update(CHECK).reset().digest(), 1);
+  });
+
+  it('combine with a hasher over the data that follows', () => {
+    ['adler32', 'crc32'].forEach((name) => {
+      const first = ZlibCore.createHasher(name).update(SAMPLES.text);
+      const second = ZlibCore.createHasher(name).update(SAMPLES.random);
+      const whole = ZlibCore.createHasher(name).update(SAMPLES.text).update(SAMPLES.random);
+      assert.equal(first.combine(second).digest(), whole.digest());
+      assert.equal(first.length, whole.length);
+    });
+  });
+
+  it('refuse to combine different or uncombinable algorithms', () => {
+    const crc = ZlibCore.createHasher('crc32');
+    assert.throws(() => crc.combine(ZlibCore.createHasher('adler32')), TypeError);
+    const castagnoli = ZlibCore.createHasher('crc32c');
+    assert.throws(() => castagnoli.combine(ZlibCore.createHasher('crc32c')), TypeError);
+  });
+
+  it('reject unknown names and data that is not a Uint8Array', () => {
+    assert.throws(() => ZlibCore.createHasher('md5'), TypeError);
+    assert.throws(() => ZlibCore.createHasher('crc32').update('text'), TypeError);
+  });
+});
+
+describe('hasher registry', () => {
+  // Sum of the bytes modulo 2^32
+  const sum32 = {
+    initial: 0,
+    update: (buffer, value) => buffer.reduce((sum, byte) => (sum + byte) >>> 0, value),
+    combine: (value1, value2) => (value1 + value2) >>> 0,
+  };
+
+  it('adds algorithms under new names', () => {
+    ZlibCore.registerHasher('test-sum32', sum32);
+    const hasher = ZlibCore.createHasher('test-sum32').update(Uint8Array.of(1, 2, 250));
+    assert.equal(hasher.digest(), 253);
+    assert.equal(hasher.digest('hex'), '000000fd');
+    hasher.combine(ZlibCore.createHasher('test-sum32').update(Uint8Array.of(3)));
+    assert.equal(hasher.digest(), 256);
+  });
+
+  it('keeps unsigned 32-bit values from the algorithm', () => {
+    ZlibCore.registerHasher('test-signed', { initial: 0, update: () => -1 });
+    assert.equal(ZlibCore.createHasher('test-signed').update(CHECK).digest(), 0xFFFFFFFF);
+  });
+
+  it('rejects taken names and malformed algorithms', () => {
+    assert.throws(() => ZlibCore.registerHasher('crc32', sum32), TypeError);
+    assert.throws(() => ZlibCore.registerHasher('', sum32), TypeError);
+    assert.throws(() => ZlibCore.registerHasher('test-bad', { initial: 0 }), TypeError);
+    assert.throws(() => ZlibCore.registerHasher('test-bad', { update: sum32.update }), TypeError);
+    assert.throws(() => ZlibCore.createHasher('test-bad'), TypeError);
+  });
+});
+
+describe('trailers', () => {
+  it('carry the Adler-32 and CRC-32 of the data', () => {
+    const zlibData = ZlibCore.compress(SAMPLES.text);
+    const adler = ZlibCore.createHasher('adler32').update(SAMPLES.text).digest('bytes');
+    assert.deepEqual(zlibData.subarray(zlibData.length - 4), adler);
+
+    const gzipData = ZlibCore.gzip(SAMPLES.text);
+    const crc = ZlibCore.createHasher('crc32').update(SAMPLES.text).digest('bytes');
+    assert.deepEqual(gzipData.subarray(gzipData.length - 8, gzipData.length - 4), crc.reverse());
+  });
+});
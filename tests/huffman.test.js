@@ -0,0 +1,96 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore } from '../src/index.js';
+import { HuffmanTree } from '../src/deflate/huffman.js';
+import { concat } from './fixtures/samples.js';
+
+/**
+ * Builds a tree from frequencies.
+ * @param {number[]} freqs Frequency per symbol.
+ * @param {number} maxBits Maximum code length.
+ * @returns {HuffmanTree} The built tree.
+ */
+function buildTree(freqs, maxBits) {
+  const tree = new HuffmanTree(freqs.length);
+  freqs.forEach((freq, symbol) => {
+    for (let i = 0; i < freq; i++) tree.count(symbol);
+  });
+  tree.build(maxBits);
+  return tree;
+}
+
+/**
+ * Kraft sum of the code lengths, scaled by 2^maxBits.
+ * @param {Uint8Array} lens Code lengths (0 = unused).
+ * @param {number} maxBits Maximum code length.
+ * @returns {number} The scaled sum (2^maxBits for a complete code).
+ */
+function kraft(lens, maxBits) {
+  return Array.from(lens).reduce((sum, len) => sum + (len > 0 ? 2 ** (maxBits - len) : 0), 0);
+}
+
+/**
+ * Fibonacci frequencies, which give the deepest possible Huffman tree.
+ * @param {number} count Number of symbols.
+ * @returns {number[]} The frequencies.
+ */
+function fibonacci(count) {
+  const freqs = [1, 1];
+  while (freqs.length < count) freqs.push(freqs[freqs.length - 1] + freqs[freqs.length - 2]);
+  return freqs;
+}
+
+describe('length-limited Huffman codes', () => {
+  [[25, 15], [20, 7], [19, 7]].forEach(([count, maxBits]) => {
+    it(`limits ${count} Fibonacci-weighted symbols to ${maxBits} bits`, () => {
+      const tree = buildTree(fibonacci(count), maxBits);
+      assert.ok(Math.max(...tree.lens) <= maxBits);
+      assert.ok(tree.lens.every((len) => len > 0));
+      assert.equal(kraft(tree.lens, maxBits), 2 ** maxBits);
+    });
+  });
+
+  it('produces two codes for a single used symbol', () => {
+    const freqs = new Array(30).fill(0);
+    freqs[5] = 100;
+    const tree = buildTree(freqs, 15);
+    assert.equal(tree.lens.filter((len) => len > 0).length, 2);
+    assert.equal(tree.lens[5], 1);
+  });
+
+  it('generates canonical prefix-free codes', () => {
+    const tree = buildTree([5, 9, 12, 13, 16, 45, 0, 3], 15);
+    tree.genCodes();
+    const words = [];
+    tree.lens.forEach((len, symbol) => {
+      if (len > 0) words.push({ len, code: tree.codes[symbol] });
+    });
+    words.forEach((a, i) => words.forEach((b, j) => {
+      if (i === j || a.len > b.len) return;
+      assert.notEqual(b.code >> (b.len - a.len), a.code, 'prefix');
+    }));
+  });
+
+  it('keeps skewed inputs decodable', () => {
+    // Byte i occurs fib(i) times: the unlimited code would be 25 bits deep
+    const freqs = fibonacci(25);
+    const parts = freqs.map((freq, byte) => new Uint8Array(Math.min(freq, 20000)).fill(byte));
+    const input = concat(parts);
+    [ZlibCore.deflateRaw(input, { strategy: 2 }), ZlibCore.deflateRaw(input, { level: 9 })]
+      .forEach((compressed) => {
+        assert.deepEqual(new Uint8Array(zlib.inflateRawSync(compressed)), input);
+        assert.deepEqual(ZlibCore.inflateRaw(compressed).data, input);
+      });
+  });
+
+  it('trims unused codes from the dynamic header', () => {
+    // Few distinct literals: HLIT / HDIST cover only the codes in use
+    const input = new TextEncoder().encode('abababababcabcabcabcaaaabbbbccccabc'.repeat(50));
+    const compressed = ZlibCore.deflateRaw(input, { strategy: 2 });
+    assert.equal(compressed[0] & 0x06, 0x04); // BTYPE 10
+    const hlit = (compressed[0] >> 3) & 0x1F;
+    assert.ok(hlit < 5, `HLIT ${hlit}`);
+    assert.deepEqual(new Uint8Array(zlib.inflateRawSync(compressed)), input);
+  });
+});
@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, ZlibDecompressionStream, DecompressionLimitError, ErrorCode,
+} from '../src/index.js';
+import { createDecompress } from '../src/node/index.js';
+import { SAMPLES, chunks, concat } from './fixtures/samples.js';
+
+// 8 MB of zeros in about 8 KB: a small decompression bomb
+const bomb = new Uint8Array(zlib.deflateSync(new Uint8Array(8 << 20), { level: 9 }));
+
+/**
+ * Asserts that a call fails with a DecompressionLimitError.
+ * @param {function(): void} fn The call.
+ */
+function assertLimit(fn) {
+  assert.throws(fn, (err) => {
+    assert.ok(err instanceof DecompressionLimitError, err.message);
+    assert.equal(err.code, ErrorCode.LIMIT_ERROR);
+    return true;
+  });
+}
+
+describe('decompression limits', () => {
+  it('stops at maxOutputLength', () => {
+    assertLimit(() => ZlibCore.decompress(bomb, { maxOutputLength: 1 << 20 }));
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    const { length } = SAMPLES.text;
+    const exact = ZlibCore.decompress(compressed, { maxOutputLength: length });
+    assert.deepEqual(exact.data, SAMPLES.text);
+    assertLimit(() => ZlibCore.decompress(compressed, { maxOutputLength: length - 1 }));
+  });
+
+  it('stops at maxRatio', () => {
+    assertLimit(() => ZlibCore.decompress(bomb, { maxRatio: 100 }));
+    const compressed = ZlibCore.compress(SAMPLES.random);
+    assert.deepEqual(ZlibCore.decompress(compressed, { maxRatio: 1.5 }).data, SAMPLES.random);
+  });
+
+  it('applies to raw DEFLATE and every GZIP member together', () => {
+    const raw = ZlibCore.deflateRaw(SAMPLES.text);
+    assertLimit(() => ZlibCore.inflateRaw(raw, { maxOutputLength: 1000 }));
+    const member = ZlibCore.gzip(SAMPLES.text);
+    const maxOutputLength = SAMPLES.text.length * 2;
+    const two = ZlibCore.gunzip(concat([member, member]), { maxOutputLength });
+    assert.equal(two.data.length, maxOutputLength);
+    assertLimit(() => ZlibCore.gunzip(concat([member, member, member]), { maxOutputLength }));
+  });
+
+  it('applies to every ZLIB stream together with multiStream', () => {
+    const stream = ZlibCore.compress(SAMPLES.text);
+    const options = { multiStream: true, maxOutputLength: SAMPLES.text.length + 10 };
+    assertLimit(() => ZlibCore.decompress(concat([stream, stream]), options));
+  });
+
+  it('stops streaming decoders without buffering the excess', () => {
+    const decompressor = ZlibCore.createDecompressor({ maxOutputLength: 1 << 20 });
+    let output = 0;
+    assertLimit(() => {
+      chunks(bomb, 512).forEach((chunk) => {
+        output += decompressor.push(chunk).length;
+      });
+    });
+    assert.ok(output <= 1 << 20);
+    assert.ok(decompressor.inflate.out.length <= (1 << 20) + 1);
+  });
+
+  it('caps the size hint before allocating', () => {
+    const inflate = ZlibCore.createInflateRaw({ sizeHint: 1e9, maxOutputLength: 1000 });
+    inflate.push(ZlibCore.deflateRaw(SAMPLES.text.subarray(0, 500)));
+    assert.ok(inflate.out.length <= 1001, `${inflate.out.length}`);
+
+    const compressed = ZlibCore.compress(SAMPLES.text.subarray(0, 500));
+    const { data } = ZlibCore.decompress(compressed, { sizeHint: 1e9, maxOutputLength: 1000 });
+    assert.equal(data.length, 500);
+    const ratio = ZlibCore.createDecompressor({ sizeHint: 1e9, maxRatio: 10 });
+    ratio.push(compressed);
+    assert.ok(ratio.inflate.out.length <= compressed.length * 10 + 1);
+  });
+
+  it('uses an exact size hint without copying', () => {
+    const compressed = ZlibCore.deflateRaw(SAMPLES.text);
+    const { data } = ZlibCore.inflateRaw(compressed, { sizeHint: SAMPLES.text.length });
+    assert.equal(data.buffer.byteLength, SAMPLES.text.length);
+    assert.deepEqual(data, SAMPLES.text);
+  });
+
+  it('errors web and Node.js streams', async () => {
+    const source = new Blob([bomb]).stream();
+    const decoded = source.pipeThrough(new ZlibDecompressionStream('deflate', { maxRatio: 10 }));
+    await assert.rejects(new Response(decoded).arrayBuffer(), (err) => {
+      assert.ok(err instanceof TypeError);
+      assert.ok(err.cause instanceof DecompressionLimitError);
+      return true;
+    });
+
+    const transform = createDecompress({ maxOutputLength: 1000 });
+    const failed = new Promise((resolve) => { transform.on('error', resolve); });
+    transform.resume();
+    transform.end(Buffer.from(bomb));
+    assert.ok(await failed instanceof DecompressionLimitError);
+  });
+
+  it('rejects invalid limits', () => {
+    const compressed = ZlibCore.compress(SAMPLES.single);
+    [{ maxOutputLength: -1 }, { maxOutputLength: 1.5 }, { maxRatio: 0 }, { maxRatio: 'x' }]
+      .forEach((options) => {
+        assert.throws(() => ZlibCore.decompress(compressed, options), RangeError);
+      });
+    assert.throws(() => ZlibCore.decompress(compressed, { sizeHint: -1 }), RangeError);
+  });
+});
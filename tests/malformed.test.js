@@ -0,0 +1,239 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, DataError, BufferError, ChecksumError,
+} from '../src/index.js';
+import { BitWriter } from './fixtures/bits.js';
+import { SAMPLES } from './fixtures/samples.js';
+
+/**
+ * Asserts that node's inflater and ours both reject a raw DEFLATE stream,
+ * whether it arrives at once or one byte at a time.
+ * @param {Uint8Array} data The stream.
+ * @param {RegExp} message Expected error message.
+ * @param {object} [options] Options for both decoders.
+ */
+function assertRejected(data, message, options = {}) {
+  assert.throws(() => zlib.inflateRawSync(data, options));
+  const expected = (err) => {
+    assert.ok(err instanceof DataError, err.message);
+    assert.match(err.message, message);
+    return true;
+  };
+  assert.throws(() => ZlibCore.inflateRaw(data, options), expected);
+  assert.throws(() => {
+    const inflate = ZlibCore.createInflateRaw(options);
+    for (let i = 0; i < data.length; i++) inflate.push(data.subarray(i, i + 1));
+    inflate.finish();
+  }, expected);
+}
+
+/**
+ * A dynamic block table whose literal/length code is valid: symbols 0-255
+ * unused, 256 and 257 of length 1, and the distance lengths given.
+ * @param {number[]} distLengths Distance code lengths, each 0 or 1.
+ * @returns {BitWriter} The writer, positioned after the table.
+ */
+function dynamicTable(distLengths) {
+  return new BitWriter().block(true, 2).dynamic({
+    hlit: 1,
+    hdist: distLengths.length - 1,
+    codeLengths: { 0: 2, 1: 1, 18: 2 },
+    symbols: [18, 138, 18, 118, 1, 1, ...distLengths],
+  });
+}
+
+describe('malformed DEFLATE streams', () => {
+  it('decodes a hand-made fixed block', () => {
+    const data = new BitWriter().block(true, 1).fixed(97).fixed(257)
+      .code(0, 5)
+      .fixed(256)
+      .bytes();
+    const expected = new Uint8Array(zlib.inflateRawSync(data));
+    assert.deepEqual(expected, new Uint8Array([97, 97, 97, 97]));
+    assert.deepEqual(ZlibCore.inflateRaw(data).data, expected);
+  });
+
+  it('rejects block type 3', () => {
+    assertRejected(new BitWriter().block(true, 3).bytes(), /invalid block type/i);
+  });
+
+  it('rejects a stored block whose LEN and NLEN disagree', () => {
+    const data = new BitWriter().block(true, 0).bytes();
+    assertRejected(Uint8Array.of(...data, 1, 0, 0, 0), /LEN != ~NLEN/);
+  });
+
+  it('rejects too many length or distance symbols', () => {
+    const table = (hlit, hdist) => new BitWriter().block(true, 2)
+      .bits(hlit, 5).bits(hdist, 5)
+      .bits(0, 4)
+      .bytes();
+    assertRejected(table(30, 0), /too many length or distance symbols/i);
+    assertRejected(table(29, 30), /too many length or distance symbols/i);
+  });
+
+  it('rejects over-subscribed and incomplete code length codes', () => {
+    const table = (codeLengths) => new BitWriter().block(true, 2)
+      .dynamic({
+        hlit: 0, hdist: 0, codeLengths, symbols: [],
+      })
+      .bytes();
+    assertRejected(table({ 0: 1, 16: 1, 17: 1 }), /invalid code lengths set/i);
+    assertRejected(table({ 0: 1 }), /invalid code lengths set/i);
+    assertRejected(table({ 0: 2, 18: 2 }), /invalid code lengths set/i);
+  });
+
+  it('rejects a repeat of the previous length before any length', () => {
+    const data = new BitWriter().block(true, 2).dynamic({
+      hlit: 0, hdist: 0, codeLengths: { 0: 1, 16: 1 }, symbols: [16, 3],
+    }).bytes();
+    assertRejected(data, /invalid bit length repeat/i);
+  });
+
+  it('rejects a repeat that runs past HLIT + HDIST', () => {
+    const data = new BitWriter().block(true, 2).dynamic({
+      hlit: 0, hdist: 0, codeLengths: { 0: 1, 18: 1 }, symbols: [18, 138, 18, 138],
+    }).bytes();
+    assertRejected(data, /invalid bit length repeat/i);
+  });
+
+  it('rejects a literal/length code without end-of-block', () => {
+    const data = new BitWriter().block(true, 2).dynamic({
+      hlit: 0, hdist: 0, codeLengths: { 0: 1, 18: 1 }, symbols: [18, 138, 18, 120],
+    }).bytes();
+    assertRejected(data, /missing end-of-block/i);
+  });
+
+  it('rejects over-subscribed and incomplete literal/length codes', () => {
+    const table = (symbols, hdist = 0) => new BitWriter().block(true, 2)
+      .dynamic({
+        hlit: 0, hdist, codeLengths: { 1: 2, 2: 2, 18: 1 }, symbols,
+      })
+      .bytes();
+    // Four codes of length 1
+    assertRejected(table([1, 1, 1, 18, 138, 18, 115, 1, 1]), /invalid literal\/lengths set/i);
+    // A single code of length 2
+    assertRejected(table([18, 138, 18, 118, 2, 1]), /invalid literal\/lengths set/i);
+    // Three distance codes of length 1
+    assertRejected(table([18, 138, 18, 118, 1, 1, 1, 1], 2), /invalid distances set/i);
+  });
+
+  it('rejects literal/length symbols 286 and 287', () => {
+    [286, 287].forEach((sym) => {
+      const data = new BitWriter().block(true, 1).fixed(97).fixed(sym)
+        .bytes();
+      assertRejected(data, /invalid literal\/length code/i);
+    });
+  });
+
+  it('rejects distance symbols 30 and 31', () => {
+    [30, 31].forEach((sym) => {
+      const data = new BitWriter().block(true, 1).fixed(97).fixed(257)
+        .code(sym, 5)
+        .fixed(256)
+        .bytes();
+      assertRejected(data, /invalid distance code/i);
+    });
+  });
+
+  it('rejects invalid distance symbols in the fast loop', () => {
+    const writer = new BitWriter().block(true, 1);
+    for (let i = 0; i < 1000; i++) writer.fixed(97);
+    writer.fixed(257).code(30, 5);
+    for (let i = 0; i < 1000; i++) writer.fixed(98);
+    assertRejected(writer.fixed(256).bytes(), /invalid distance code/i);
+  });
+
+  it('rejects a length code when the distance code is empty', () => {
+    const valid = dynamicTable([0]).code(0, 1).bytes();
+    assert.deepEqual(ZlibCore.inflateRaw(valid).data, new Uint8Array(0));
+    assert.equal(zlib.inflateRawSync(valid).length, 0);
+    assertRejected(dynamicTable([0]).code(1, 1).code(0, 1).bytes(), /invalid distance code/i);
+  });
+
+  it('accepts a lone distance code of length 1, but not its unused code', () => {
+    const dictionary = Uint8Array.of(120);
+    const valid = dynamicTable([1]).code(1, 1).code(0, 1).code(0, 1)
+      .bytes();
+    const expected = new Uint8Array(zlib.inflateRawSync(valid, { dictionary }));
+    assert.deepEqual(expected, Uint8Array.of(120, 120, 120));
+    assert.deepEqual(ZlibCore.inflateRaw(valid, { dictionary }).data, expected);
+    const invalid = dynamicTable([1]).code(1, 1).code(1, 1).code(0, 1)
+      .bytes();
+    assertRejected(invalid, /invalid distance code/i, { dictionary });
+  });
+
+  it('rejects a distance before the start of the output', () => {
+    const data = new BitWriter().block(true, 1).fixed(97).fixed(257)
+      .code(1, 5)
+      .fixed(256)
+      .bytes();
+    assertRejected(data, /invalid distance/i);
+  });
+
+  it('allows distances into the dictionary, but not past it', () => {
+    // Length 3, distance 5 (code 4, one extra bit of 0)
+    const data = new BitWriter().block(true, 1).fixed(257).code(4, 5)
+      .bits(0, 1)
+      .fixed(256)
+      .bytes();
+    const dictionary = new TextEncoder().encode('hello');
+    assert.deepEqual(ZlibCore.inflateRaw(data, { dictionary }).data, dictionary.subarray(0, 3));
+    assertRejected(data, /invalid distance/i, { dictionary: dictionary.subarray(1) });
+  });
+
+  it('rejects data truncated anywhere with a BufferError', () => {
+    const compressed = ZlibCore.compress(SAMPLES.text);
+    [0, 1, 2, 10, compressed.length >> 1, compressed.length - 1].forEach((cut) => {
+      assert.throws(() => ZlibCore.decompress(compressed.subarray(0, cut)), BufferError);
+    });
+  });
+});
+
+describe('malformed ZLIB containers', () => {
+  const compressed = ZlibCore.compress(SAMPLES.text);
+
+  /**
+   * Returns a copy of the compressed stream with some bytes replaced.
+   * @param {{[offset: number]: number}} changes New byte per offset.
+   * @returns {Uint8Array} The damaged stream.
+   */
+  const damaged = (changes) => {
+    const copy = compressed.slice();
+    Object.entries(changes).forEach(([offset, byte]) => { copy[offset] = byte; });
+    return copy;
+  };
+
+  it('rejects a bad header', () => {
+    const cases = [
+      [damaged({ 0: 0x77 }), /unsupported compression method/i],
+      [damaged({ 0: 0x88 }), /window size too large/i],
+      [damaged({ 1: compressed[1] ^ 1 }), /header checksum/i],
+    ];
+    cases.forEach(([data, message]) => {
+      assert.throws(() => zlib.inflateSync(data));
+      assert.throws(() => ZlibCore.decompress(data), (err) => {
+        assert.ok(err instanceof DataError, err.message);
+        assert.match(err.message, message);
+        return true;
+      });
+    });
+  });
+
+  it('rejects a bad Adler-32', () => {
+    const data = damaged({ [compressed.length - 1]: compressed[compressed.length - 1] ^ 0x80 });
+    assert.throws(() => zlib.inflateSync(data));
+    assert.throws(() => ZlibCore.decompress(data), ChecksumError);
+  });
+
+  it('rejects a bad CRC-32 or ISIZE in a gzip trailer', () => {
+    const gzipped = ZlibCore.gzip(SAMPLES.text);
+    [8, 1].forEach((back) => {
+      const data = gzipped.slice();
+      data[data.length - back] ^= 1;
+      assert.throws(() => zlib.gunzipSync(data));
+      assert.throws(() => ZlibCore.gunzip(data), ChecksumError);
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import {
+  describe, it, before, after,
+} from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { Readable, Writable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import {
+  createCompress, createDecompress, compressFile, decompressFile, DecompressTransform,
+} from '../src/node/index.js';
+import { SAMPLES, chunks, concat } from './fixtures/samples.js';
+
+/**
+ * Pipes data through a transform and collects the output.
+ * @param {import('node:stream').Transform} transform The transform.
+ * @param {Uint8Array} data The input.
+ * @param {number} [size] Size of the written pieces.
+ * @returns {Promise<Uint8Array>} The output.
+ */
+async function run(transform, data, size = 4096) {
+  const parts = [];
+  await pipeline(
+    Readable.from(chunks(data, size).map((chunk) => Buffer.from(chunk))),
+    transform,
+    new Writable({
+      write(chunk, encoding, callback) {
+        parts.push(new Uint8Array(chunk));
+        callback();
+      },
+    }),
+  );
+  return concat(parts);
+}
+
+describe('Node.js transforms', () => {
+  ['deflate', 'deflate-raw', 'gzip'].forEach((format) => {
+    it(`round-trips "${format}" through pipeline()`, async () => {
+      const compressed = await run(createCompress({ format, level: 9 }), SAMPLES.mixed);
+      const output = await run(createDecompress({ format }), compressed, 100);
+      assert.deepEqual(output, SAMPLES.mixed);
+    });
+  });
+
+  it('interoperates with node:zlib', async () => {
+    const compressed = await run(createCompress({ format: 'gzip' }), SAMPLES.text);
+    assert.deepEqual(new Uint8Array(zlib.gunzipSync(compressed)), SAMPLES.text);
+    const native = new Uint8Array(zlib.deflateSync(SAMPLES.text));
+    assert.deepEqual(await run(createDecompress(), native), SAMPLES.text);
+  });
+
+  it('rejects pipeline() on corrupt input', async () => {
+    const compressed = new Uint8Array(zlib.deflateSync(SAMPLES.text));
+    compressed[40] ^= 0xFF;
+    await assert.rejects(run(createDecompress(), compressed));
+  });
+
+  it('rejects pipeline() on truncated input', async () => {
+    const compressed = new Uint8Array(zlib.gzipSync(SAMPLES.text));
+    await assert.rejects(
+      run(createDecompress({ format: 'gzip' }), compressed.subarray(0, 100)),
+      /Unexpected end of input/,
+    );
+  });
+
+  it('passes highWaterMark to stream.Transform', () => {
+    const transform = new DecompressTransform({ highWaterMark: 1024 });
+    assert.equal(transform.writableHighWaterMark, 1024);
+    assert.equal(transform.readableHighWaterMark, 1024);
+  });
+
+  it('rejects unsupported formats', () => {
+    assert.throws(() => createCompress({ format: 'br' }), TypeError);
+  });
+
+  describe('file helpers', () => {
+    let dir;
+    before(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zlibcore-'));
+    });
+    after(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('compresses and decompresses files', async () => {
+      const src = path.join(dir, 'input.txt');
+      const packed = path.join(dir, 'input.txt.gz');
+      const restored = path.join(dir, 'restored.txt');
+      fs.writeFileSync(src, SAMPLES.mixed);
+
+      await compressFile(src, packed, { format: 'gzip' });
+      assert.deepEqual(new Uint8Array(zlib.gunzipSync(fs.readFileSync(packed))), SAMPLES.mixed);
+      await decompressFile(packed, restored, { format: 'gzip' });
+      assert.deepEqual(new Uint8Array(fs.readFileSync(restored)), SAMPLES.mixed);
+    });
+
+    it('rejects corrupt files', async () => {
+      const src = path.join(dir, 'corrupt.zlib');
+      fs.writeFileSync(src, new Uint8Array([0x78, 0x9C, 0xFF, 0xFF]));
+      await assert.rejects(decompressFile(src, path.join(dir, 'out.txt')));
+    });
+  });
+});
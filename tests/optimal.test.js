@@ -0,0 +1,68 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore, Strategy } from '../src/index.js';
+import { SAMPLES, text, chunks } from './fixtures/samples.js';
+
+// Optimal parsing is slow: keep the large samples short
+const INPUTS = {
+  ...SAMPLES,
+  zeros: new Uint8Array(20000),
+  text: text(20000),
+  random: SAMPLES.random.subarray(0, 4000),
+  mixed: SAMPLES.mixed.subarray(15000, 35000),
+};
+
+describe('optimal parsing', () => {
+  [1, 6, 9].forEach((level) => {
+    it(`level ${level} output inflates with node:zlib`, () => {
+      Object.entries(INPUTS).forEach(([name, input]) => {
+        const compressed = ZlibCore.compress(input, { level, optimal: true, iterations: 2 });
+        assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed)), input, name);
+      });
+    });
+  });
+
+  it('round-trips with FILTERED and FIXED strategies', () => {
+    [Strategy.FILTERED, Strategy.FIXED].forEach((strategy) => {
+      const compressed = ZlibCore.deflateRaw(SAMPLES.mixed, { optimal: true, strategy });
+      assert.deepEqual(new Uint8Array(zlib.inflateRawSync(compressed)), SAMPLES.mixed);
+    });
+  });
+
+  it('compresses at least as well as level 9', () => {
+    const input = text(40000);
+    const optimal = ZlibCore.compress(input, { level: 9, optimal: true }).length;
+    const lazy = ZlibCore.compress(input, { level: 9 }).length;
+    assert.ok(optimal <= lazy, `${optimal} vs ${lazy}`);
+    assert.ok(optimal <= zlib.deflateSync(input, { level: 9 }).length);
+  });
+
+  it('does not grow with more iterations', () => {
+    const input = text(20000);
+    const one = ZlibCore.compress(input, { optimal: true, iterations: 1 }).length;
+    const five = ZlibCore.compress(input, { optimal: true, iterations: 5 }).length;
+    assert.ok(five <= one + 8, `${five} vs ${one}`);
+  });
+
+  it('works with a streaming compressor', () => {
+    const compressor = ZlibCore.createCompressor({ optimal: true, iterations: 2 });
+    const parts = chunks(SAMPLES.mixed, 7000).map((chunk) => compressor.push(chunk));
+    parts.push(compressor.finish());
+    assert.deepEqual(new Uint8Array(zlib.inflateSync(Buffer.concat(parts))), SAMPLES.mixed);
+  });
+
+  it('is ignored at level 0', () => {
+    assert.deepEqual(
+      ZlibCore.compress(SAMPLES.text, { level: 0, optimal: true }),
+      ZlibCore.compress(SAMPLES.text, { level: 0 }),
+    );
+  });
+
+  it('rejects invalid iteration counts', () => {
+    [0, -1, 2.5].forEach((iterations) => {
+      const options = { optimal: true, iterations };
+      assert.throws(() => ZlibCore.compress(SAMPLES.single, options), RangeError);
+    });
+  });
+});
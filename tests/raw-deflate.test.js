@@ -0,0 +1,53 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore, BufferError } from '../src/index.js';
+import { SAMPLES, concat } from './fixtures/samples.js';
+
+describe('deflateRaw / inflateRaw', () => {
+  it('output inflates with node:zlib inflateRaw', () => {
+    Object.entries(SAMPLES).forEach(([name, input]) => {
+      const compressed = ZlibCore.deflateRaw(input, { level: 6 });
+      assert.deepEqual(new Uint8Array(zlib.inflateRawSync(compressed)), input, name);
+    });
+  });
+
+  it('writes no header or trailer', () => {
+    const compressed = ZlibCore.deflateRaw(SAMPLES.text);
+    const zlibStream = ZlibCore.compress(SAMPLES.text);
+    assert.deepEqual(compressed, zlibStream.subarray(2, zlibStream.length - 4));
+  });
+
+  it('decodes node:zlib deflateRaw output', () => {
+    [0, 1, 6, 9].forEach((level) => {
+      const compressed = new Uint8Array(zlib.deflateRawSync(SAMPLES.mixed, { level }));
+      const { data, bytesConsumed } = ZlibCore.inflateRaw(compressed);
+      assert.deepEqual(data, SAMPLES.mixed);
+      assert.equal(bytesConsumed, compressed.length);
+    });
+  });
+
+  it('reports where the next record starts', () => {
+    const first = ZlibCore.deflateRaw(SAMPLES.text);
+    const second = ZlibCore.deflateRaw(SAMPLES.random);
+    const packed = concat([first, second]);
+
+    const a = ZlibCore.inflateRaw(packed);
+    assert.deepEqual(a.data, SAMPLES.text);
+    assert.equal(a.bytesConsumed, first.length);
+    const b = ZlibCore.inflateRaw(packed.subarray(a.bytesConsumed));
+    assert.deepEqual(b.data, SAMPLES.random);
+    assert.equal(b.bytesConsumed, second.length);
+  });
+
+  it('throws BufferError on truncated input', () => {
+    const compressed = ZlibCore.deflateRaw(SAMPLES.text);
+    assert.throws(() => ZlibCore.inflateRaw(compressed.subarray(0, 10)), BufferError);
+    assert.throws(() => ZlibCore.inflateRaw(new Uint8Array(0)), BufferError);
+  });
+
+  it('rejects non-Uint8Array input', () => {
+    assert.throws(() => ZlibCore.deflateRaw([1, 2]), TypeError);
+    assert.throws(() => ZlibCore.inflateRaw(null), TypeError);
+  });
+});
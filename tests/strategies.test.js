@@ -0,0 +1,86 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { Readable } from 'node:stream';
+import { buffer } from 'node:stream/consumers';
+import { ZlibCore, Strategy } from '../src/index.js';
+import { createCompress } from '../src/node/index.js';
+import { SAMPLES, randomBytes } from './fixtures/samples.js';
+import blockTypes from './fixtures/blocks.js';
+
+// Smooth numeric data, as left by PNG-style filters
+const filtered = Uint8Array.from(randomBytes(30000, 11, 7), (value, i) => (i >> 6) + value);
+
+describe('compression strategies', () => {
+  Object.entries(Strategy).forEach(([name, strategy]) => {
+    [1, 4, 6, 9].forEach((level) => {
+      it(`${name} at level ${level} inflates with node:zlib`, () => {
+        [SAMPLES.mixed, SAMPLES.zeros, filtered, SAMPLES.empty].forEach((input) => {
+          const compressed = ZlibCore.compress(input, { level, strategy });
+          assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed)), input);
+        });
+      });
+    });
+  });
+
+  it('decodes node:zlib output of every strategy', () => {
+    Object.values(Strategy).forEach((strategy) => {
+      const compressed = new Uint8Array(zlib.deflateSync(SAMPLES.mixed, { strategy }));
+      assert.deepEqual(ZlibCore.decompress(compressed).data, SAMPLES.mixed);
+    });
+  });
+
+  it('writes FLEVEL 0 for HUFFMAN_ONLY, RLE and FIXED', () => {
+    [Strategy.HUFFMAN_ONLY, Strategy.RLE, Strategy.FIXED].forEach((strategy) => {
+      assert.equal(ZlibCore.compress(SAMPLES.single, { level: 9, strategy })[1] >> 6, 0);
+    });
+    const filteredHeader = ZlibCore.compress(SAMPLES.single, {
+      level: 9, strategy: Strategy.FILTERED,
+    });
+    assert.equal(filteredHeader[1] >> 6, 3);
+  });
+
+  it('FIXED uses only fixed or stored blocks', () => {
+    const { types, output } = blockTypes(ZlibCore.deflateRaw(SAMPLES.mixed, {
+      strategy: Strategy.FIXED,
+    }));
+    assert.deepEqual(output, SAMPLES.mixed);
+    assert.ok(types.every((type) => type !== 2), `${types}`);
+  });
+
+  it('HUFFMAN_ONLY emits no matches', () => {
+    // Without matches, a run of zeros cannot shrink below 1 bit per byte
+    const compressed = ZlibCore.deflateRaw(SAMPLES.zeros, { strategy: Strategy.HUFFMAN_ONLY });
+    assert.ok(compressed.length >= SAMPLES.zeros.length / 8, `${compressed.length}`);
+    const matched = ZlibCore.deflateRaw(SAMPLES.zeros);
+    assert.ok(matched.length < compressed.length / 10);
+  });
+
+  it('RLE compresses runs like the default strategy', () => {
+    const rle = ZlibCore.deflateRaw(SAMPLES.zeros, { strategy: Strategy.RLE });
+    assert.ok(rle.length < 1000, `${rle.length}`);
+  });
+
+  it('FILTERED output is no larger than node:zlib by much on filtered data', () => {
+    const ours = ZlibCore.compress(filtered, { strategy: Strategy.FILTERED }).length;
+    const native = zlib.deflateSync(filtered, { strategy: Strategy.FILTERED }).length;
+    assert.ok(ours < native * 1.05, `${ours} vs ${native}`);
+  });
+
+  it('rejects unknown strategies', () => {
+    assert.throws(() => ZlibCore.compress(SAMPLES.single, { strategy: 5 }), RangeError);
+    assert.throws(() => createCompress({ strategy: -1 }), RangeError);
+  });
+
+  it('Node.js transforms forward strategy and optimal options', async () => {
+    const options = { level: 9, strategy: Strategy.HUFFMAN_ONLY };
+    const streamed = await buffer(Readable.from([Buffer.from(SAMPLES.text)])
+      .pipe(createCompress(options)));
+    assert.deepEqual(new Uint8Array(streamed), ZlibCore.compress(SAMPLES.text, options));
+
+    const optimal = { optimal: true, iterations: 2 };
+    const streamedOptimal = await buffer(Readable.from([Buffer.from(SAMPLES.text)])
+      .pipe(createCompress(optimal)));
+    assert.deepEqual(new Uint8Array(streamedOptimal), ZlibCore.compress(SAMPLES.text, optimal));
+  });
+});
@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore } from '../src/index.js';
+import {
+  SAMPLES, randomBytes, chunks, concat,
+} from './fixtures/samples.js';
+
+/**
+ * Compresses data with a streaming compressor, pushing it in pieces.
+ * @param {Uint8Array} data The input.
+ * @param {number} size Piece size.
+ * @param {object} [options] Compressor options.
+ * @returns {Uint8Array} The ZLIB stream.
+ */
+function compressInChunks(data, size, options) {
+  const compressor = ZlibCore.createCompressor(options);
+  const parts = chunks(data, size).map((chunk) => compressor.push(chunk));
+  parts.push(compressor.finish());
+  return concat(parts);
+}
+
+describe('streaming compressor', () => {
+  [1, 100, 4096, 65536].forEach((size) => {
+    it(`round-trips input pushed in ${size}-byte chunks`, () => {
+      Object.entries(SAMPLES).forEach(([name, input]) => {
+        const compressed = compressInChunks(input, size);
+        assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed)), input, name);
+      });
+    });
+  });
+
+  it('keeps the window across chunks', () => {
+    const block = randomBytes(16384, 9);
+    const compressor = ZlibCore.createCompressor();
+    const first = compressor.push(block);
+    const rest = concat([compressor.push(block), compressor.finish()]);
+    const compressed = concat([first, rest]);
+    // The second copy is one long run of matches into the first push
+    assert.ok(compressed.length < block.length * 1.1, `${compressed.length}`);
+    assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed)), concat([block, block]));
+  });
+
+  it('emits output before finish() for large inputs', () => {
+    const compressor = ZlibCore.createCompressor();
+    const early = chunks(SAMPLES.mixed, 8192).map((chunk) => compressor.push(chunk));
+    assert.ok(early.some((part) => part.length > 0));
+    const compressed = concat([...early, compressor.finish()]);
+    assert.deepEqual(new Uint8Array(zlib.inflateSync(compressed)), SAMPLES.mixed);
+  });
+
+  it('streams raw DEFLATE with createDeflateRaw', () => {
+    const deflate = ZlibCore.createDeflateRaw({ level: 9 });
+    const parts = chunks(SAMPLES.text, 1000).map((chunk) => deflate.push(chunk));
+    parts.push(deflate.finish());
+    assert.deepEqual(new Uint8Array(zlib.inflateRawSync(concat(parts))), SAMPLES.text);
+  });
+
+  it('rejects use after finish()', () => {
+    const compressor = ZlibCore.createDeflateRaw();
+    compressor.finish();
+    assert.throws(() => compressor.push(SAMPLES.single), /already finished/);
+    assert.throws(() => compressor.finish(), /already finished/);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { ZlibCore, BufferError } from '../src/index.js';
+import { SAMPLES, chunks, concat } from './fixtures/samples.js';
+
+/**
+ * Feeds data to a streaming decoder in pieces.
+ * @param {{push: function(Uint8Array): Uint8Array, finish: function(): Uint8Array}} decoder
+ *   The decoder.
+ * @param {Uint8Array} data The compressed data.
+ * @param {number} size Piece size.
+ * @returns {Uint8Array} All output.
+ */
+function decodeInChunks(decoder, data, size) {
+  const parts = chunks(data, size).map((chunk) => decoder.push(chunk));
+  parts.push(decoder.finish());
+  return concat(parts);
+}
+
+describe('streaming decompressor', () => {
+  const compressed = new Uint8Array(zlib.deflateSync(SAMPLES.mixed));
+  const dynamic = new Uint8Array(zlib.deflateRawSync(SAMPLES.text, { level: 9 }));
+
+  [1, 3, 7, 1000].forEach((size) => {
+    it(`resumes ZLIB data split into ${size}-byte chunks`, () => {
+      const output = decodeInChunks(ZlibCore.createDecompressor(), compressed, size);
+      assert.deepEqual(output, SAMPLES.mixed);
+    });
+
+    it(`resumes raw DEFLATE split into ${size}-byte chunks`, () => {
+      const output = decodeInChunks(ZlibCore.createInflateRaw(), dynamic, size);
+      assert.deepEqual(output, SAMPLES.text);
+    });
+  });
+
+  it('decodes stored blocks split anywhere', () => {
+    const stored = new Uint8Array(zlib.deflateRawSync(SAMPLES.random, { level: 0 }));
+    assert.deepEqual(decodeInChunks(ZlibCore.createInflateRaw(), stored, 5), SAMPLES.random);
+  });
+
+  it('returns output incrementally', () => {
+    const inflate = ZlibCore.createInflateRaw();
+    const parts = chunks(dynamic, 512).map((chunk) => inflate.push(chunk));
+    assert.ok(parts.filter((part) => part.length > 0).length > 1);
+    assert.ok(inflate.ended);
+    assert.equal(inflate.bytesConsumed, dynamic.length);
+  });
+
+  it('reports ended only after the Adler-32 trailer', () => {
+    const decompressor = ZlibCore.createDecompressor();
+    decompressor.push(compressed.subarray(0, compressed.length - 1));
+    assert.equal(decompressor.ended, false);
+    decompressor.push(compressed.subarray(compressed.length - 1));
+    assert.equal(decompressor.ended, true);
+  });
+
+  it('throws BufferError from finish() when truncated', () => {
+    [1, 2, 50, compressed.length - 2].forEach((length) => {
+      const decompressor = ZlibCore.createDecompressor();
+      decompressor.push(compressed.subarray(0, length));
+      assert.throws(() => decompressor.finish(), BufferError, `length ${length}`);
+    });
+  });
+
+  it('decodes empty and long-match streams', () => {
+    const empty = new Uint8Array(zlib.deflateSync(SAMPLES.empty));
+    assert.deepEqual(decodeInChunks(ZlibCore.createDecompressor(), empty, 1), SAMPLES.empty);
+    const zeros = new Uint8Array(zlib.deflateSync(SAMPLES.zeros));
+    assert.deepEqual(decodeInChunks(ZlibCore.createDecompressor(), zeros, 2), SAMPLES.zeros);
+  });
+});
@@ -0,0 +1,148 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, TrailingData, DataError, BufferError,
+} from '../src/index.js';
+import { SAMPLES, chunks, concat } from './fixtures/samples.js';
+
+const first = ZlibCore.compress(SAMPLES.text);
+const second = new Uint8Array(zlib.deflateSync(SAMPLES.random));
+const empty = ZlibCore.compress(SAMPLES.empty);
+const junk = Uint8Array.of(0, 1, 2, 3, 4);
+
+describe('bytesConsumed and trailing data', () => {
+  it('reports the length of the stream', () => {
+    const result = ZlibCore.decompress(first);
+    assert.deepEqual(result.data, SAMPLES.text);
+    assert.equal(result.bytesConsumed, first.length);
+    assert.equal(result.trailingData, undefined);
+    assert.equal(ZlibCore.decompress(empty).bytesConsumed, empty.length);
+  });
+
+  it('rejects trailing data by default', () => {
+    assert.throws(() => ZlibCore.decompress(concat([first, junk])), (err) => {
+      assert.ok(err instanceof DataError);
+      assert.match(err.message, /junk found after end of compressed data/i);
+      assert.equal(err.byteOffset, first.length);
+      assert.equal(err.bytesOut, SAMPLES.text.length);
+      return true;
+    });
+  });
+
+  it('ignores or returns trailing data on request', () => {
+    const data = concat([first, junk]);
+    const ignored = ZlibCore.decompress(data, { trailingData: TrailingData.IGNORE });
+    assert.deepEqual(ignored.data, SAMPLES.text);
+    assert.equal(ignored.bytesConsumed, first.length);
+    assert.equal(ignored.trailingData, undefined);
+
+    const returned = ZlibCore.decompress(data, { trailingData: TrailingData.RETURN });
+    assert.deepEqual(returned.data, SAMPLES.text);
+    assert.equal(returned.bytesConsumed, first.length);
+    assert.deepEqual(returned.trailingData, junk);
+    assert.deepEqual(
+      ZlibCore.decompress(first, { trailingData: 'return' }).trailingData,
+      new Uint8Array(0),
+    );
+  });
+
+  it('finds the end of the stream whatever follows it', () => {
+    // A trailer look-alike right after the stream must not be taken for the Adler-32
+    const data = concat([first, first.subarray(first.length - 4)]);
+    const result = ZlibCore.decompress(data, { trailingData: 'return' });
+    assert.equal(result.bytesConsumed, first.length);
+    assert.equal(result.trailingData.length, 4);
+  });
+
+  it('lets the caller walk back-to-back streams by bytesConsumed', () => {
+    const data = concat([first, second, empty]);
+    const outputs = [];
+    let offset = 0;
+    while (offset < data.length) {
+      const result = ZlibCore.decompress(data.subarray(offset), { trailingData: 'ignore' });
+      outputs.push(result.data);
+      offset += result.bytesConsumed;
+    }
+    assert.deepEqual(outputs, [SAMPLES.text, SAMPLES.random, SAMPLES.empty]);
+  });
+
+  it('rejects an invalid trailingData policy', () => {
+    assert.throws(() => ZlibCore.decompress(first, { trailingData: 'keep' }), RangeError);
+  });
+});
+
+describe('multiStream', () => {
+  const data = concat([first, second, empty, first]);
+  const expected = concat([SAMPLES.text, SAMPLES.random, SAMPLES.text]);
+
+  it('decodes back-to-back streams into one output', () => {
+    const result = ZlibCore.decompress(data, { multiStream: true });
+    assert.deepEqual(result.data, expected);
+    assert.equal(result.bytesConsumed, data.length);
+  });
+
+  it('decodes only the first stream without it', () => {
+    assert.throws(() => ZlibCore.decompress(data), DataError);
+    const result = ZlibCore.decompress(data, { trailingData: 'return' });
+    assert.deepEqual(result.data, SAMPLES.text);
+    assert.deepEqual(result.trailingData, data.subarray(first.length));
+  });
+
+  it('stops at bytes that are not a ZLIB header', () => {
+    const result = ZlibCore.decompress(concat([data, junk]), {
+      multiStream: true, trailingData: 'return',
+    });
+    assert.deepEqual(result.data, expected);
+    assert.equal(result.bytesConsumed, data.length);
+    assert.deepEqual(result.trailingData, junk);
+    const options = { multiStream: true };
+    assert.throws(() => ZlibCore.decompress(concat([data, junk]), options), DataError);
+  });
+
+  it('treats a single byte after the last stream as trailing data', () => {
+    const withByte = concat([data, Uint8Array.of(0x78)]);
+    const result = ZlibCore.decompress(withByte, { multiStream: true, trailingData: 'return' });
+    assert.deepEqual(result.data, expected);
+    assert.deepEqual(result.trailingData, Uint8Array.of(0x78));
+    assert.throws(() => ZlibCore.decompress(withByte, { multiStream: true }), DataError);
+  });
+
+  it('reports a truncated stream after a valid header', () => {
+    const withHeader = concat([first, Uint8Array.of(0x78, 0x9C)]);
+    assert.throws(() => ZlibCore.decompress(withHeader, { multiStream: true }), BufferError);
+  });
+
+  it('checks the Adler-32 of every stream', () => {
+    const damaged = data.slice();
+    damaged[first.length + second.length - 1] ^= 1;
+    assert.throws(() => ZlibCore.decompress(damaged, { multiStream: true }), (err) => {
+      assert.equal(err.code, 'CHECKSUM_ERROR');
+      assert.equal(err.byteOffset, first.length + second.length - 4);
+      return true;
+    });
+  });
+
+  it('works the same with streaming input', () => {
+    [1, 3, 1000].forEach((size) => {
+      const decompressor = ZlibCore.createDecompressor({
+        multiStream: true, trailingData: 'return',
+      });
+      const output = concat(chunks(concat([data, junk]), size).map((c) => decompressor.push(c)));
+      decompressor.finish();
+      assert.deepEqual(output, expected);
+      assert.ok(decompressor.ended);
+      assert.equal(decompressor.bytesConsumed, data.length);
+      assert.deepEqual(decompressor.trailingData, junk);
+    });
+  });
+
+  it('is supported by decompressAsync', async () => {
+    const result = await ZlibCore.decompressAsync(concat([data, junk]), {
+      multiStream: true, trailingData: 'return',
+    });
+    assert.deepEqual(result.data, expected);
+    assert.equal(result.bytesConsumed, data.length);
+    assert.deepEqual(result.trailingData, junk);
+  });
+});
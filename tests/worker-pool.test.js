@@ -0,0 +1,190 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import {
+  ZlibCore, Format, DataError, NeedDictError, DecompressionLimitError,
+} from '../src/index.js';
+import adler32 from '../src/adler32/adler32.js';
+import { SAMPLES, concat } from './fixtures/samples.js';
+
+// 64 MB of zeros: keeps a worker busy long enough to cancel it
+const slowJob = () => new Uint8Array(zlib.deflateSync(new Uint8Array(64 << 20), { level: 1 }));
+
+describe('worker pool', () => {
+  it('runs every job method and matches the sync results', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 2 });
+    try {
+      const data = SAMPLES.mixed;
+      const compressed = await pool.compress(data.slice(), { level: 9 });
+      assert.deepEqual(compressed, ZlibCore.compress(data, { level: 9 }));
+      assert.deepEqual((await pool.decompress(compressed)).data, data);
+
+      const gzipped = await pool.run('gzip', data.slice(), { header: { name: 'mixed.bin' } });
+      const gunzipped = await pool.run('gunzip', gzipped);
+      assert.deepEqual(gunzipped.data, data);
+      assert.equal(gunzipped.header.name, 'mixed.bin');
+
+      const raw = await pool.run('deflateRaw', data.slice());
+      assert.deepEqual(new Uint8Array(zlib.inflateRawSync(raw)), data);
+      const inflated = ZlibCore.inflateRaw(raw);
+      assert.deepEqual(await pool.run('inflateRaw', raw), inflated);
+
+      const auto = await pool.run('decompressAuto', new Uint8Array(zlib.gzipSync(data)));
+      assert.equal(auto.format, Format.GZIP);
+      assert.deepEqual(auto.data, data);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('runs more jobs than workers, in any order of completion', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 2 });
+    try {
+      const inputs = [SAMPLES.text, SAMPLES.random, SAMPLES.zeros, SAMPLES.empty, SAMPLES.mixed];
+      const promises = inputs.map((input) => pool.compress(input.slice()));
+      assert.equal(pool.pending, inputs.length);
+      const outputs = await Promise.all(promises);
+      outputs.forEach((output, i) => {
+        assert.deepEqual(new Uint8Array(zlib.inflateSync(output)), inputs[i]);
+      });
+      assert.equal(pool.pending, 0);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('transfers the input buffer unless told not to', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 1 });
+    try {
+      const transferred = SAMPLES.text.slice();
+      await pool.compress(transferred);
+      assert.equal(transferred.buffer.byteLength, 0);
+
+      const kept = SAMPLES.text.slice();
+      await pool.compress(kept, { transfer: false });
+      assert.deepEqual(kept, SAMPLES.text);
+
+      const whole = concat([SAMPLES.text, SAMPLES.random]);
+      const view = whole.subarray(0, SAMPLES.text.length);
+      await pool.compress(view);
+      assert.deepEqual(view, SAMPLES.text);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('rethrows errors with their class and context', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 1 });
+    try {
+      const damaged = ZlibCore.compress(SAMPLES.text);
+      damaged[2] ^= 0x40;
+      const expected = (() => {
+        try {
+          ZlibCore.decompress(damaged.slice());
+        } catch (err) {
+          return err;
+        }
+        return null;
+      })();
+      await assert.rejects(pool.decompress(damaged), (err) => {
+        assert.ok(err instanceof DataError);
+        assert.equal(err.message, expected.message);
+        assert.equal(err.byteOffset, expected.byteOffset);
+        assert.equal(err.blockIndex, expected.blockIndex);
+        return true;
+      });
+
+      const dictionary = SAMPLES.text.subarray(0, 1000);
+      const withDictionary = ZlibCore.compress(SAMPLES.text, { dictionary });
+      await assert.rejects(pool.decompress(withDictionary), (err) => {
+        assert.ok(err instanceof NeedDictError);
+        assert.equal(err.dictId, adler32(dictionary));
+        return true;
+      });
+
+      const zeros = ZlibCore.compress(SAMPLES.zeros);
+      await assert.rejects(
+        pool.decompress(zeros, { maxOutputLength: 1000 }),
+        DecompressionLimitError,
+      );
+      await assert.rejects(pool.compress(SAMPLES.text.slice(), { level: 42 }), RangeError);
+
+      // The worker survives a failed job
+      assert.deepEqual((await pool.decompress(ZlibCore.compress(SAMPLES.text))).data, SAMPLES.text);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('rejects invalid jobs and sizes at once', async () => {
+    assert.throws(() => ZlibCore.createWorkerPool({ size: 0 }), RangeError);
+    assert.throws(() => ZlibCore.createWorkerPool({ size: 1.5 }), RangeError);
+    const pool = ZlibCore.createWorkerPool({ size: 1 });
+    await assert.rejects(pool.run('eval', SAMPLES.text), TypeError);
+    await assert.rejects(pool.compress('text'), TypeError);
+    await pool.close();
+    await assert.rejects(pool.compress(SAMPLES.text.slice()), /closed/);
+  });
+
+  it('rejects a job whose options cannot be posted', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 1 });
+    try {
+      await assert.rejects(pool.compress(SAMPLES.text.slice(), { level: () => 6 }));
+      assert.equal(pool.pending, 0);
+    } finally {
+      await pool.close();
+    }
+  });
+});
+
+describe('worker pool cancellation', () => {
+  it('rejects at once if the signal has already fired', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 1 });
+    try {
+      const controller = new AbortController();
+      const reason = new Error('cancelled');
+      controller.abort(reason);
+      const job = pool.compress(SAMPLES.text.slice(), { signal: controller.signal });
+      await assert.rejects(job, (err) => err === reason);
+      assert.equal(pool.pending, 0);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('drops a queued job and stops a running one', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 1 });
+    try {
+      const running = new AbortController();
+      const queued = new AbortController();
+      const first = pool.decompress(slowJob(), { signal: running.signal });
+      const second = pool.compress(SAMPLES.text.slice(), { signal: queued.signal });
+      const third = pool.compress(SAMPLES.text.slice());
+
+      queued.abort();
+      await assert.rejects(second, { name: 'AbortError' });
+      running.abort();
+      await assert.rejects(first, { name: 'AbortError' });
+
+      // A new worker takes over the remaining job
+      assert.deepEqual(new Uint8Array(zlib.inflateSync(await third)), SAMPLES.text);
+      assert.equal(pool.pending, 0);
+    } finally {
+      await pool.close();
+    }
+  });
+
+  it('rejects queued and running jobs on close', async () => {
+    const pool = ZlibCore.createWorkerPool({ size: 1 });
+    const jobs = Promise.allSettled([
+      pool.decompress(slowJob()),
+      pool.compress(SAMPLES.text.slice()),
+    ]);
+    await pool.close();
+    const results = await jobs;
+    results.forEach((result) => {
+      assert.equal(result.status, 'rejected');
+      assert.match(result.reason.message, /closed/);
+    });
+  });
+});